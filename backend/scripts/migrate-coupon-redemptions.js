@@ -0,0 +1,79 @@
+// Move coupon uses from the usageHistory array embedded in coupons into the
+// couponredemptions collection.
+//
+//   node scripts/migrate-coupon-redemptions.js [--dry-run]
+//
+// Run it once, with the API stopped, before starting the version that reads redemptions.
+// Redemptions are upserted by order and a coupon's history is only removed once its
+// redemptions are written, so an interrupted run can simply be started again.
+import dotenv from "dotenv"
+import mongoose from "mongoose"
+
+dotenv.config()
+
+const dryRun = process.argv.includes("--dry-run")
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+  const { db } = mongoose.connection
+  const coupons = db.collection("coupons")
+  const redemptions = db.collection("couponredemptions")
+  const orders = db.collection("orders")
+
+  console.log(`Moving coupon usage history to redemptions${dryRun ? " [dry run]" : ""}`)
+
+  let couponCount = 0
+  let redemptionCount = 0
+  const cursor = coupons.find({ "usageHistory.0": { $exists: true } })
+
+  for await (const coupon of cursor) {
+    const orderIds = coupon.usageHistory.map((usage) => usage.order)
+    const orderCurrencies = new Map(
+      (await orders.find({ _id: { $in: orderIds } }, { projection: { currency: 1 } }).toArray()).map((order) => [
+        String(order._id),
+        order.currency,
+      ]),
+    )
+
+    const operations = coupon.usageHistory.map((usage) => {
+      const redeemedAt = usage.usedAt || coupon.updatedAt || new Date()
+      return {
+        updateOne: {
+          filter: { order: usage.order },
+          update: {
+            $setOnInsert: {
+              coupon: coupon._id,
+              campaign: coupon.campaign,
+              code: coupon.code,
+              user: usage.user,
+              order: usage.order,
+              discountAmount: usage.discountAmount,
+              currency: orderCurrencies.get(String(usage.order)),
+              redeemedAt,
+              createdAt: redeemedAt,
+              updatedAt: new Date(),
+            },
+          },
+          upsert: true,
+        },
+      }
+    })
+
+    if (!dryRun) {
+      await redemptions.bulkWrite(operations, { ordered: false })
+      await coupons.updateOne({ _id: coupon._id }, { $unset: { usageHistory: "" } })
+    }
+    couponCount += 1
+    redemptionCount += operations.length
+  }
+
+  console.log(`  ${couponCount} coupons, ${redemptionCount} redemptions`)
+  console.log("Done")
+}
+
+run()
+  .catch((error) => {
+    console.error("Coupon redemption migration failed:", error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
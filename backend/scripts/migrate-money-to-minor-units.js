@@ -0,0 +1,174 @@
+// Convert stored money amounts from decimal major units (19.99) to integer minor units (1999).
+//
+//   node scripts/migrate-money-to-minor-units.js [--dry-run]
+//
+// Run it once, with the API stopped, before starting the version that expects minor units.
+// Documents are marked as they are converted so an interrupted run can be resumed; a record in
+// the `migrations` collection stops the script from converting anything twice once it completes.
+import dotenv from "dotenv"
+import mongoose from "mongoose"
+import { getBaseCurrency } from "../src/utils/currency.js"
+import { allocateMinor, getCurrencyDecimals, toMinor } from "../src/utils/money.js"
+
+dotenv.config()
+
+const MIGRATION_ID = "money-minor-units"
+const MARKER = "_minorUnitsMigrated"
+const BATCH_SIZE = 500
+const dryRun = process.argv.includes("--dry-run")
+
+// Convert the named fields of an object in place
+const convertFields = (target, fields, code) => {
+  if (!target) return
+  for (const field of fields) {
+    if (typeof target[field] === "number") {
+      target[field] = toMinor(target[field], code)
+    }
+  }
+}
+
+const convertProduct = (product, base) => {
+  convertFields(product, ["price", "comparePrice", "costPrice"], base)
+  for (const variant of product.variants || []) {
+    convertFields(variant, ["price"], base)
+  }
+  for (const entry of product.currencyPrices || []) {
+    convertFields(entry, ["price", "comparePrice"], entry.currency)
+  }
+}
+
+const convertOrder = (order, base) => {
+  const code = order.currency || base
+  convertFields(order, ["subtotal", "taxAmount", "shippingAmount", "discountAmount", "totalAmount", "refundAmount"], code)
+  for (const item of order.items || []) {
+    convertFields(item, ["price", "taxAmount"], code)
+  }
+  for (const entry of order.taxBreakdown || []) {
+    convertFields(entry, ["taxableAmount", "taxAmount"], code)
+  }
+  for (const transaction of order.paymentTransactions || []) {
+    convertFields(transaction, ["amount"], code)
+  }
+  for (const refund of order.refunds || []) {
+    convertFields(refund, ["amount"], code)
+    for (const line of refund.items || []) {
+      convertFields(line, ["amount"], code)
+    }
+  }
+
+  // Orders now carry each line's share of the discount, which partial refunds rely on
+  const lineDiscounts = allocateMinor(
+    order.discountAmount || 0,
+    (order.items || []).map((item) => item.price * item.quantity),
+  )
+  ;(order.items || []).forEach((item, index) => {
+    item.discountAmount = lineDiscounts[index]
+  })
+  order.currencyDecimals = getCurrencyDecimals(code)
+}
+
+const convertCart = (cart, base) => {
+  convertFields(cart, ["subtotal", "discountAmount", "totalAmount"], base)
+  for (const item of cart.items || []) {
+    convertFields(item, ["price"], base)
+  }
+  if (cart.coupon?.discountType === "fixed") {
+    convertFields(cart.coupon, ["discountValue"], base)
+  }
+}
+
+const convertCoupon = (coupon, base) => {
+  convertFields(coupon, ["minimumOrderAmount", "maximumDiscountAmount"], base)
+  if (coupon.discountType === "fixed") {
+    convertFields(coupon, ["discountValue"], base)
+  }
+  for (const usage of coupon.usageHistory || []) {
+    convertFields(usage, ["discountAmount"], base)
+  }
+}
+
+const convertShippingZone = (zone, base) => {
+  for (const method of zone.methods || []) {
+    convertFields(method, ["rate", "freeThreshold"], base)
+    for (const tier of method.tiers || []) {
+      convertFields(tier, method.type === "price" ? ["min", "max", "rate"] : ["rate"], base)
+    }
+  }
+}
+
+const collections = {
+  products: convertProduct,
+  orders: convertOrder,
+  carts: convertCart,
+  coupons: convertCoupon,
+  shippingzones: convertShippingZone,
+}
+
+// Convert every unmarked document of a collection, writing in batches
+const migrateCollection = async (db, name, convert, base) => {
+  const collection = db.collection(name)
+  const cursor = collection.find({ [MARKER]: { $ne: true } })
+  let operations = []
+  let converted = 0
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await collection.bulkWrite(operations, { ordered: false })
+    }
+    operations = []
+  }
+
+  for await (const document of cursor) {
+    convert(document, base)
+    const { _id, ...fields } = document
+    operations.push({ replaceOne: { filter: { _id }, replacement: { ...fields, [MARKER]: true } } })
+    converted += 1
+
+    if (operations.length >= BATCH_SIZE) await flush()
+  }
+  await flush()
+
+  return converted
+}
+
+// Remove the markers of converted documents, which are left behind if a completed run was
+// interrupted while removing them
+const clearMarkers = async (db) => {
+  for (const name of Object.keys(collections)) {
+    await db.collection(name).updateMany({ [MARKER]: true }, { $unset: { [MARKER]: "" } })
+  }
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+  const { db } = mongoose.connection
+
+  const previous = await db.collection("migrations").findOne({ _id: MIGRATION_ID })
+  if (previous) {
+    console.log(`Money amounts were already converted on ${previous.completedAt.toISOString()}`)
+    if (!dryRun) await clearMarkers(db)
+    return
+  }
+
+  const base = getBaseCurrency()
+  console.log(`Converting money amounts to minor units (base currency ${base})${dryRun ? " [dry run]" : ""}`)
+
+  for (const [name, convert] of Object.entries(collections)) {
+    const converted = await migrateCollection(db, name, convert, base)
+    console.log(`  ${name}: ${converted} documents`)
+  }
+
+  if (dryRun) return
+
+  // Recorded before the markers go, so documents without a marker are never converted again
+  await db.collection("migrations").insertOne({ _id: MIGRATION_ID, completedAt: new Date() })
+  await clearMarkers(db)
+  console.log("Done")
+}
+
+run()
+  .catch((error) => {
+    console.error("Money migration failed:", error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -1,6 +1,9 @@
 import jwt from "jsonwebtoken"
 
 export const setupSocketIO = (io) => {
+  // Expose io to the emitters in websocketController
+  global.io = io
+
   // Socket authentication middleware
   io.use((socket, next) => {
     const token = socket.handshake.auth.token
@@ -11,6 +14,10 @@ export const setupSocketIO = (io) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      // Only user tokens open a socket; guest cart tokens carry no user
+      if (!decoded.id || decoded.type === "guest") {
+        return next(new Error("Authentication error"))
+      }
       socket.userId = decoded.id
       socket.userRole = decoded.role
       next()
@@ -22,8 +29,9 @@ export const setupSocketIO = (io) => {
   io.on("connection", (socket) => {
     console.log(`👤 User ${socket.userId} connected`)
 
-    // Join user to their personal room
+    // Join user to their personal and cart rooms
     socket.join(`user_${socket.userId}`)
+    socket.join(`user_cart_${socket.userId}`)
 
     // Join admin users to admin room
     if (socket.userRole === "admin") {
@@ -3,6 +3,15 @@ import Product from "../models/Product.js"
 import Category from "../models/Category.js"
 import Order from "../models/Order.js"
 import Coupon from "../models/Coupon.js"
+import CouponCampaign from "../models/CouponCampaign.js"
+import TaxRate from "../models/TaxRate.js"
+import ShippingZone from "../models/ShippingZone.js"
+import Currency from "../models/Currency.js"
+import Promotion from "../models/Promotion.js"
+import EmailMessage from "../models/EmailMessage.js"
+import { getBaseCurrency, importExchangeRates, toBaseAmount } from "../utils/currency.js"
+import { resendEmail } from "../utils/emailQueue.js"
+import { generateCampaignCodes, pickCouponSettings, writeCampaignCodesCsv } from "../utils/couponCodes.js"
 
 // Dashboard Overview Statistics
 export const getDashboardStats = async (req, res) => {
@@ -39,28 +48,28 @@ export const getDashboardStats = async (req, res) => {
       Order.countDocuments(),
       Order.aggregate([
         { $match: { paymentStatus: "paid" } },
-        { $group: { _id: null, total: { $sum: "$totalAmount" } } },
+        { $group: { _id: null, total: { $sum: toBaseAmount("$totalAmount") } } },
       ]),
 
       // Today's stats
       Order.countDocuments({ createdAt: { $gte: startOfDay } }),
       Order.aggregate([
         { $match: { createdAt: { $gte: startOfDay }, paymentStatus: "paid" } },
-        { $group: { _id: null, total: { $sum: "$totalAmount" } } },
+        { $group: { _id: null, total: { $sum: toBaseAmount("$totalAmount") } } },
       ]),
 
       // Weekly stats
       Order.countDocuments({ createdAt: { $gte: startOfWeek } }),
       Order.aggregate([
         { $match: { createdAt: { $gte: startOfWeek }, paymentStatus: "paid" } },
-        { $group: { _id: null, total: { $sum: "$totalAmount" } } },
+        { $group: { _id: null, total: { $sum: toBaseAmount("$totalAmount") } } },
       ]),
 
       // Monthly stats
       Order.countDocuments({ createdAt: { $gte: startOfMonth } }),
       Order.aggregate([
         { $match: { createdAt: { $gte: startOfMonth }, paymentStatus: "paid" } },
-        { $group: { _id: null, total: { $sum: "$totalAmount" } } },
+        { $group: { _id: null, total: { $sum: toBaseAmount("$totalAmount") } } },
       ]),
 
       // Pending orders
@@ -80,7 +89,7 @@ export const getDashboardStats = async (req, res) => {
         .sort({ createdAt: -1 })
         .limit(10)
         .populate("user", "firstName lastName email")
-        .select("orderNumber totalAmount orderStatus paymentStatus createdAt"),
+        .select("orderNumber totalAmount currency orderStatus paymentStatus createdAt"),
 
       // User growth (last 12 months)
       User.aggregate([
@@ -139,6 +148,7 @@ export const getDashboardStats = async (req, res) => {
           totalProducts,
           totalOrders,
           totalRevenue: totalRevenue[0]?.total || 0,
+          currency: getBaseCurrency(),
           pendingOrders,
           lowStockCount: lowStockProducts.length,
         },
@@ -214,7 +224,7 @@ export const getSalesAnalytics = async (req, res) => {
               month: { $month: "$createdAt" },
               day: { $dayOfMonth: "$createdAt" },
             },
-            totalSales: { $sum: "$totalAmount" },
+            totalSales: { $sum: toBaseAmount("$totalAmount") },
             orderCount: { $sum: 1 },
           },
         },
@@ -246,7 +256,7 @@ export const getSalesAnalytics = async (req, res) => {
         {
           $group: {
             _id: "$category.name",
-            totalSales: { $sum: { $multiply: ["$items.price", "$items.quantity"] } },
+            totalSales: { $sum: toBaseAmount({ $multiply: ["$items.price", "$items.quantity"] }) },
             totalQuantity: { $sum: "$items.quantity" },
           },
         },
@@ -261,7 +271,7 @@ export const getSalesAnalytics = async (req, res) => {
           $group: {
             _id: "$items.product",
             productName: { $first: "$items.name" },
-            totalSales: { $sum: { $multiply: ["$items.price", "$items.quantity"] } },
+            totalSales: { $sum: toBaseAmount({ $multiply: ["$items.price", "$items.quantity"] }) },
             totalQuantity: { $sum: "$items.quantity" },
           },
         },
@@ -275,7 +285,7 @@ export const getSalesAnalytics = async (req, res) => {
         {
           $group: {
             _id: "$paymentMethod",
-            totalRevenue: { $sum: "$totalAmount" },
+            totalRevenue: { $sum: toBaseAmount("$totalAmount") },
             orderCount: { $sum: 1 },
           },
         },
@@ -290,6 +300,7 @@ export const getSalesAnalytics = async (req, res) => {
         salesByCategory,
         salesByProduct,
         revenueByPaymentMethod,
+        currency: getBaseCurrency(),
         period,
         dateRange: dateFilter,
       },
@@ -504,10 +515,11 @@ export const deleteCategory = async (req, res) => {
 // Coupon Management
 export const getAllCoupons = async (req, res) => {
   try {
-    const { page = 1, limit = 20, isActive, search } = req.query
+    const { page = 1, limit = 20, isActive, campaign, search } = req.query
 
     const filter = {}
     if (isActive !== undefined) filter.isActive = isActive === "true"
+    if (campaign) filter.campaign = campaign
     if (search) {
       filter.$or = [{ code: new RegExp(search, "i") }, { name: new RegExp(search, "i") }]
     }
@@ -618,6 +630,691 @@ export const deleteCoupon = async (req, res) => {
   }
 }
 
+// Get all coupon campaigns
+export const getCouponCampaigns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query
+    const skip = (Number(page) - 1) * Number(limit)
+
+    const campaigns = await CouponCampaign.find()
+      .populate("createdBy", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+
+    const total = await CouponCampaign.countDocuments()
+
+    res.status(200).json({
+      success: true,
+      data: {
+        campaigns,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(total / Number(limit)),
+          totalCampaigns: total,
+          hasNextPage: skip + Number(limit) < total,
+          hasPrevPage: Number(page) > 1,
+        },
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch coupon campaigns",
+      error: error.message,
+    })
+  }
+}
+
+// Create a coupon campaign and generate its first codes
+export const createCouponCampaign = async (req, res) => {
+  try {
+    const { name, description, codeTemplate, quantity } = req.body
+
+    const campaign = new CouponCampaign({
+      name,
+      description,
+      codeTemplate,
+      couponSettings: pickCouponSettings(req.body),
+      createdBy: req.user._id,
+    })
+    const generated = await generateCampaignCodes(campaign, Number(quantity), req.user._id)
+
+    res.status(201).json({
+      success: true,
+      message: `Coupon campaign created with ${generated} codes`,
+      data: { campaign, generated },
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to create coupon campaign",
+      error: error.message,
+    })
+  }
+}
+
+// Generate more codes for a coupon campaign
+export const generateCouponCampaignCodes = async (req, res) => {
+  try {
+    const campaign = await CouponCampaign.findById(req.params.id)
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon campaign not found",
+      })
+    }
+
+    const generated = await generateCampaignCodes(campaign, Number(req.body.quantity), req.user._id)
+
+    res.status(201).json({
+      success: true,
+      message: `${generated} codes generated`,
+      data: { campaign, generated },
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to generate coupon codes",
+      error: error.message,
+    })
+  }
+}
+
+// Export a coupon campaign's codes with their redemption status as CSV
+export const exportCouponCampaignCodes = async (req, res) => {
+  try {
+    const campaign = await CouponCampaign.findById(req.params.id)
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon campaign not found",
+      })
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.setHeader("Content-Disposition", `attachment; filename=campaign-${campaign._id}-codes.csv`)
+    await writeCampaignCodesCsv(campaign, (chunk) => res.write(chunk))
+    res.end()
+  } catch (error) {
+    // Once rows are streamed the status can no longer change
+    if (res.headersSent) return res.destroy(error)
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to export coupon codes",
+      error: error.message,
+    })
+  }
+}
+
+// Get all promotions
+export const getAllPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive, automatic, type } = req.query
+
+    const filter = {}
+    if (isActive !== undefined) filter.isActive = isActive === "true"
+    if (automatic !== undefined) filter.automatic = automatic === "true"
+    if (type) filter.type = type
+
+    const skip = (Number(page) - 1) * Number(limit)
+
+    const promotions = await Promotion.find(filter)
+      .populate("createdBy", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+
+    const total = await Promotion.countDocuments(filter)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promotions,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(total / Number(limit)),
+          totalPromotions: total,
+          hasNextPage: skip + Number(limit) < total,
+          hasPrevPage: Number(page) > 1,
+        },
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch promotions",
+      error: error.message,
+    })
+  }
+}
+
+// Create promotion
+export const createPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.create({ ...req.body, createdBy: req.user._id })
+
+    res.status(201).json({
+      success: true,
+      message: "Promotion created successfully",
+      data: { promotion },
+    })
+  } catch (error) {
+    // Rule fields are checked against the promotion type by the schema
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create promotion",
+      error: error.message,
+    })
+  }
+}
+
+// Update promotion. Saved through the document so rule fields are validated against its type.
+export const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      })
+    }
+
+    const { createdBy, ...updates } = req.body
+    promotion.set(updates)
+    await promotion.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Promotion updated successfully",
+      data: { promotion },
+    })
+  } catch (error) {
+    // Rule fields are checked against the promotion type by the schema
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((val) => val.message)
+          .join(", "),
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update promotion",
+      error: error.message,
+    })
+  }
+}
+
+// Delete promotion. Coupons still linked to it must be removed or changed first.
+export const deletePromotion = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const linkedCoupons = await Coupon.countDocuments({ promotion: id })
+    if (linkedCoupons > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Promotion is used by ${linkedCoupons} coupons`,
+      })
+    }
+
+    await Promotion.findByIdAndDelete(id)
+
+    res.status(200).json({
+      success: true,
+      message: "Promotion deleted successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete promotion",
+      error: error.message,
+    })
+  }
+}
+
+// Get all tax rates
+export const getAllTaxRates = async (req, res) => {
+  try {
+    const { country, taxClass } = req.query
+
+    const filter = {}
+    if (country) filter.country = country.toUpperCase()
+    if (taxClass) filter.taxClass = taxClass
+
+    const taxRates = await TaxRate.find(filter).sort({ country: 1, state: 1, zipPrefix: 1, taxClass: 1 })
+
+    res.status(200).json({
+      success: true,
+      data: { taxRates },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch tax rates",
+      error: error.message,
+    })
+  }
+}
+
+// Create new tax rate
+export const createTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.create(req.body)
+
+    res.status(201).json({
+      success: true,
+      message: "Tax rate created successfully",
+      data: { taxRate },
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A tax rate already exists for this region and tax class",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create tax rate",
+      error: error.message,
+    })
+  }
+}
+
+// Update tax rate
+export const updateTaxRate = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const taxRate = await TaxRate.findByIdAndUpdate(id, req.body, {
+      new: true,
+      runValidators: true,
+    })
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax rate not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rate updated successfully",
+      data: { taxRate },
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A tax rate already exists for this region and tax class",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update tax rate",
+      error: error.message,
+    })
+  }
+}
+
+// Delete tax rate
+export const deleteTaxRate = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    await TaxRate.findByIdAndDelete(id)
+
+    res.status(200).json({
+      success: true,
+      message: "Tax rate deleted successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete tax rate",
+      error: error.message,
+    })
+  }
+}
+
+// Get all shipping zones
+export const getAllShippingZones = async (req, res) => {
+  try {
+    const shippingZones = await ShippingZone.find().sort({ name: 1 })
+
+    res.status(200).json({
+      success: true,
+      data: { shippingZones },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch shipping zones",
+      error: error.message,
+    })
+  }
+}
+
+// Create new shipping zone
+export const createShippingZone = async (req, res) => {
+  try {
+    const shippingZone = await ShippingZone.create(req.body)
+
+    res.status(201).json({
+      success: true,
+      message: "Shipping zone created successfully",
+      data: { shippingZone },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to create shipping zone",
+      error: error.message,
+    })
+  }
+}
+
+// Update shipping zone
+export const updateShippingZone = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const shippingZone = await ShippingZone.findByIdAndUpdate(id, req.body, {
+      new: true,
+      runValidators: true,
+    })
+
+    if (!shippingZone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone updated successfully",
+      data: { shippingZone },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update shipping zone",
+      error: error.message,
+    })
+  }
+}
+
+// Delete shipping zone
+export const deleteShippingZone = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    await ShippingZone.findByIdAndDelete(id)
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone deleted successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete shipping zone",
+      error: error.message,
+    })
+  }
+}
+
+// Get all currencies
+export const getAllCurrencies = async (req, res) => {
+  try {
+    const currencies = await Currency.find().sort({ code: 1 })
+
+    res.status(200).json({
+      success: true,
+      data: { baseCurrency: getBaseCurrency(), currencies },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch currencies",
+      error: error.message,
+    })
+  }
+}
+
+// Create new currency
+export const createCurrency = async (req, res) => {
+  try {
+    if (String(req.body.code).toUpperCase() === getBaseCurrency()) {
+      return res.status(400).json({
+        success: false,
+        message: "The base currency does not need an exchange rate",
+      })
+    }
+
+    const currency = await Currency.create({ ...req.body, rateSource: "manual", rateUpdatedAt: new Date() })
+
+    res.status(201).json({
+      success: true,
+      message: "Currency created successfully",
+      data: { currency },
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Currency already exists",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create currency",
+      error: error.message,
+    })
+  }
+}
+
+// Update currency; a new exchange rate counts as manually entered
+export const updateCurrency = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { code, ...updates } = req.body
+
+    if (updates.exchangeRate !== undefined) {
+      updates.rateSource = "manual"
+      updates.rateUpdatedAt = new Date()
+    }
+
+    const currency = await Currency.findByIdAndUpdate(id, updates, {
+      new: true,
+      runValidators: true,
+    })
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        message: "Currency not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Currency updated successfully",
+      data: { currency },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update currency",
+      error: error.message,
+    })
+  }
+}
+
+// Delete currency
+export const deleteCurrency = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const currency = await Currency.findById(id)
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        message: "Currency not found",
+      })
+    }
+
+    // Products priced in the currency would lose their prices; it can be deactivated instead
+    const productCount = await Product.countDocuments({ "currencyPrices.currency": currency.code })
+    if (productCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete a currency products have prices in; deactivate it instead",
+      })
+    }
+
+    await currency.deleteOne()
+
+    res.status(200).json({
+      success: true,
+      message: "Currency deleted successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete currency",
+      error: error.message,
+    })
+  }
+}
+
+// Load exchange rates from the configured rates file
+export const importCurrencyRates = async (req, res) => {
+  try {
+    const result = await importExchangeRates()
+
+    res.status(200).json({
+      success: true,
+      message: `Updated exchange rates for ${result.updated.length} currencies`,
+      data: result,
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to import exchange rates",
+      error: error.message,
+    })
+  }
+}
+
+// Get outbound emails, newest first; bodies are left out of the list
+export const getEmailMessages = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, template, to } = req.query
+
+    const filter = {}
+    if (status) filter.status = status
+    if (template) filter.template = template
+    if (to) filter.to = String(to).toLowerCase()
+
+    const skip = (Number(page) - 1) * Number(limit)
+
+    const messages = await EmailMessage.find(filter)
+      .select("-html")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+
+    const total = await EmailMessage.countDocuments(filter)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messages,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(total / Number(limit)),
+          totalMessages: total,
+          hasNextPage: skip + Number(limit) < total,
+          hasPrevPage: Number(page) > 1,
+        },
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch email messages",
+      error: error.message,
+    })
+  }
+}
+
+// Get one outbound email with its body and delivery log
+export const getEmailMessage = async (req, res) => {
+  try {
+    const message = await EmailMessage.findById(req.params.id).populate("deliveryLog.requeuedBy", "firstName lastName email")
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Email message not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { message },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch email message",
+      error: error.message,
+    })
+  }
+}
+
+// Queue a failed email again
+export const resendEmailMessage = async (req, res) => {
+  try {
+    const message = await resendEmail(req.params.id, req.user._id)
+
+    res.status(200).json({
+      success: true,
+      message: "Email queued for delivery",
+      data: { message },
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to resend email message",
+      error: error.message,
+    })
+  }
+}
+
 // System Health Check
 export const getSystemHealth = async (req, res) => {
   try {
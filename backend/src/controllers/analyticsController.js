@@ -1,6 +1,7 @@
 const Order = require("../models/Order")
 const Product = require("../models/Product")
 const User = require("../models/User")
+const { getBaseCurrency, toBaseAmount } = require("../utils/currency")
 
 // Get dashboard analytics
 const getDashboardAnalytics = async (req, res) => {
@@ -43,7 +44,7 @@ const getDashboardAnalytics = async (req, res) => {
             month: { $month: "$createdAt" },
             day: { $dayOfMonth: "$createdAt" },
           },
-          revenue: { $sum: "$totalAmount" },
+          revenue: { $sum: toBaseAmount("$totalAmount") },
           orders: { $sum: 1 },
         },
       },
@@ -63,7 +64,7 @@ const getDashboardAnalytics = async (req, res) => {
         $group: {
           _id: "$items.product",
           totalSold: { $sum: "$items.quantity" },
-          revenue: { $sum: { $multiply: ["$items.quantity", "$items.price"] } },
+          revenue: { $sum: toBaseAmount({ $multiply: ["$items.quantity", "$items.price"] }) },
         },
       },
       {
@@ -116,6 +117,7 @@ const getDashboardAnalytics = async (req, res) => {
           totalProducts,
           lowStockProducts,
           avgOrderValue: totalOrders > 0 ? totalRevenue / totalOrders : 0,
+          currency: getBaseCurrency(),
         },
         charts: {
           revenue: revenueData,
@@ -149,7 +151,7 @@ const getRealTimeMetrics = async (req, res) => {
       {
         $group: {
           _id: null,
-          todayRevenue: { $sum: "$totalAmount" },
+          todayRevenue: { $sum: toBaseAmount("$totalAmount") },
           todayOrders: { $sum: 1 },
         },
       },
@@ -168,6 +170,7 @@ const getRealTimeMetrics = async (req, res) => {
       data: {
         todayRevenue: todayStats[0]?.todayRevenue || 0,
         todayOrders: todayStats[0]?.todayOrders || 0,
+        currency: getBaseCurrency(),
         activeUsers,
         pendingOrders,
       },
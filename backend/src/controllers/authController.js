@@ -1,6 +1,28 @@
 import User from "../models/User.js"
 import jwt from "jsonwebtoken"
+import Cart from "../models/Cart.js"
 import { sendEmail } from "../utils/emailService.js"
+import { verifyGuestToken, getGuestToken } from "../utils/guestToken.js"
+import { emitCartSync } from "./websocketController.js"
+
+// Merge the guest cart identified by the request's guest token into the user's cart.
+// Returns a summary of what changed, or undefined when there was nothing to merge.
+const mergeGuestCart = async (req, userId) => {
+  const guestToken = getGuestToken(req)
+  const guestId = guestToken ? verifyGuestToken(guestToken) : null
+  if (!guestId) return undefined
+
+  try {
+    const result = await Cart.mergeGuestCart(guestId, userId)
+    if (!result) return undefined
+
+    emitCartSync(userId, result.cart)
+    return result.summary
+  } catch (error) {
+    console.error("Failed to merge guest cart:", error)
+    return undefined
+  }
+}
 
 // Register user
 export const register = async (req, res) => {
@@ -48,12 +70,16 @@ export const register = async (req, res) => {
     // Generate auth token
     const token = user.generateAuthToken()
 
+    // Carry over anything picked while browsing anonymously
+    const cartMerge = await mergeGuestCart(req, user._id)
+
     res.status(201).json({
       success: true,
       message: "User registered successfully. Please check your email for verification.",
       data: {
         user,
         token,
+        cartMerge,
       },
     })
   } catch (error) {
@@ -109,12 +135,16 @@ export const login = async (req, res) => {
     // Remove password from response
     user.password = undefined
 
+    // Carry over anything picked while browsing anonymously
+    const cartMerge = await mergeGuestCart(req, user._id)
+
     res.status(200).json({
       success: true,
       message: "Login successful",
       data: {
         user,
         token,
+        cartMerge,
       },
     })
   } catch (error) {
@@ -0,0 +1,283 @@
+import Cart from "../models/Cart.js"
+import Product from "../models/Product.js"
+import Coupon from "../models/Coupon.js"
+import { buildCouponLines, evaluateCoupon } from "../utils/coupons.js"
+import { applyAutomaticPromotions } from "../utils/promotions.js"
+import { emitCartSync } from "./websocketController.js"
+
+// Load the cart of the user or guest identified by identifyCartOwner, creating an empty one on first use
+const loadCart = async (owner) => {
+  const cart = await Cart.findOne(owner)
+  return cart || new Cart({ ...owner, items: [] })
+}
+
+// Re-price, persist and broadcast the cart to every device of the user
+const saveAndSync = async (cart) => {
+  const adjustments = await cart.reprice()
+  await cart.save()
+  if (cart.user) {
+    emitCartSync(cart.user, cart)
+  }
+  return adjustments
+}
+
+// Get current cart
+export const getCart = async (req, res) => {
+  try {
+    const cart = await loadCart(req.cartOwner)
+    const adjustments = await saveAndSync(cart)
+
+    res.status(200).json({
+      success: true,
+      data: { cart, adjustments, guestToken: req.guestToken },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch cart",
+      error: error.message,
+    })
+  }
+}
+
+// Add item to cart
+export const addCartItem = async (req, res) => {
+  try {
+    const { product: productId, variant: variantId, quantity = 1 } = req.body
+
+    const product = await Product.findById(productId)
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      })
+    }
+
+    const variant = variantId ? product.variants.id(variantId) : null
+    if (variantId && !variant?.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Product variant not found",
+      })
+    }
+
+    if (!variant && product.requiresVariant()) {
+      return res.status(400).json({
+        success: false,
+        message: `Please select ${product.options.map((option) => option.name).join(" and ")}`,
+      })
+    }
+
+    const cart = await loadCart(req.cartOwner)
+    const existingItem = cart.findItem(product._id, variantId)
+    const newQuantity = (existingItem ? existingItem.quantity : 0) + Number(quantity)
+
+    if (!product.isInStock(newQuantity, variant)) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock for product: ${product.name}`,
+      })
+    }
+
+    if (existingItem) {
+      existingItem.quantity = newQuantity
+    } else {
+      cart.items.push({
+        product: product._id,
+        variant: variantId,
+        quantity: newQuantity,
+      })
+    }
+
+    const adjustments = await saveAndSync(cart)
+
+    res.status(200).json({
+      success: true,
+      message: "Item added to cart",
+      data: { cart, adjustments, guestToken: req.guestToken },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to add item to cart",
+      error: error.message,
+    })
+  }
+}
+
+// Update cart item quantity
+export const updateCartItem = async (req, res) => {
+  try {
+    const { itemId } = req.params
+    const { quantity } = req.body
+
+    const cart = await loadCart(req.cartOwner)
+    const item = cart.items.id(itemId)
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart item not found",
+      })
+    }
+
+    const product = await Product.findById(item.product)
+    const variant = product && item.variant ? product.variants.id(item.variant) : null
+    if (product && !product.isInStock(Number(quantity), variant)) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock for product: ${product.name}`,
+      })
+    }
+
+    item.quantity = Number(quantity)
+    const adjustments = await saveAndSync(cart)
+
+    res.status(200).json({
+      success: true,
+      message: "Cart item updated",
+      data: { cart, adjustments, guestToken: req.guestToken },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update cart item",
+      error: error.message,
+    })
+  }
+}
+
+// Remove item from cart
+export const removeCartItem = async (req, res) => {
+  try {
+    const { itemId } = req.params
+
+    const cart = await loadCart(req.cartOwner)
+    const item = cart.items.id(itemId)
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart item not found",
+      })
+    }
+
+    item.deleteOne()
+    const adjustments = await saveAndSync(cart)
+
+    res.status(200).json({
+      success: true,
+      message: "Item removed from cart",
+      data: { cart, adjustments, guestToken: req.guestToken },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove cart item",
+      error: error.message,
+    })
+  }
+}
+
+// Apply coupon to cart
+export const applyCartCoupon = async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Please login to apply a coupon",
+      })
+    }
+
+    const coupon = await Coupon.findOne({ code: code.toUpperCase() })
+    if (!coupon) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired coupon code",
+        reason: "not_found",
+      })
+    }
+
+    const cart = await loadCart(req.cartOwner)
+    await cart.reprice()
+
+    const lines = await buildCouponLines(cart.items)
+    const evaluation = await evaluateCoupon(coupon, {
+      userId: req.user._id,
+      lines,
+      automaticPromotions: await applyAutomaticPromotions(lines),
+    })
+    if (!evaluation.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: evaluation.message,
+        reason: evaluation.reason,
+      })
+    }
+
+    cart.coupon = {
+      code: coupon.code,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      promotion: coupon.promotion,
+    }
+    const adjustments = await saveAndSync(cart)
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon applied to cart",
+      data: { cart, adjustments, guestToken: req.guestToken },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to apply coupon",
+      error: error.message,
+    })
+  }
+}
+
+// Remove coupon from cart
+export const removeCartCoupon = async (req, res) => {
+  try {
+    const cart = await loadCart(req.cartOwner)
+    cart.coupon = undefined
+    const adjustments = await saveAndSync(cart)
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon removed from cart",
+      data: { cart, adjustments, guestToken: req.guestToken },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove coupon",
+      error: error.message,
+    })
+  }
+}
+
+// Clear cart
+export const clearCart = async (req, res) => {
+  try {
+    const cart = await loadCart(req.cartOwner)
+    cart.items = []
+    cart.coupon = undefined
+    await saveAndSync(cart)
+
+    res.status(200).json({
+      success: true,
+      message: "Cart cleared",
+      data: { cart, guestToken: req.guestToken },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to clear cart",
+      error: error.message,
+    })
+  }
+}
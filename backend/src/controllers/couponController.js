@@ -1,9 +1,13 @@
 import Coupon from "../models/Coupon.js"
+import CouponRedemption from "../models/CouponRedemption.js"
+import Order from "../models/Order.js"
+import { buildCouponLines, evaluateCoupon } from "../utils/coupons.js"
+import { applyAutomaticPromotions } from "../utils/promotions.js"
 
 // Validate coupon code
 export const validateCoupon = async (req, res) => {
   try {
-    const { code, orderAmount = 0, items = [] } = req.body
+    const { code, items = [] } = req.body
 
     const coupon = await Coupon.findOne({ code: code.toUpperCase() })
 
@@ -14,31 +18,29 @@ export const validateCoupon = async (req, res) => {
       })
     }
 
-    // Check if coupon is valid
-    if (!coupon.isValid()) {
-      return res.status(400).json({
-        success: false,
-        message: "Coupon is expired or inactive",
-      })
-    }
+    // Calculate discount over the items in the coupon's scope when they are given
+    const lines = items.length > 0 ? await buildCouponLines(items) : []
+    const orderAmount = req.body.orderAmount ?? lines.reduce((total, line) => total + line.amount, 0)
+    // Automatic promotions apply first; without items the order amount counts as a single line
+    const automaticPromotions = await applyAutomaticPromotions(
+      lines.length > 0 ? lines : [{ amount: orderAmount, quantity: 1 }],
+    )
+    const evaluation = await evaluateCoupon(coupon, {
+      userId: req.user._id,
+      orderAmount,
+      lines,
+      automaticPromotions,
+    })
 
-    // Check if user can use this coupon
-    if (!coupon.canUserUse(req.user._id)) {
+    if (!evaluation.eligible) {
       return res.status(400).json({
         success: false,
-        message: "You have already used this coupon or reached the usage limit",
+        message: evaluation.message,
+        reason: evaluation.reason,
       })
     }
 
-    // Calculate discount
-    const discountAmount = coupon.calculateDiscount(orderAmount, items)
-
-    if (discountAmount === 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum order amount of $${coupon.minimumOrderAmount} required`,
-      })
-    }
+    const { discountAmount } = evaluation
 
     res.status(200).json({
       success: true,
@@ -49,9 +51,13 @@ export const validateCoupon = async (req, res) => {
           name: coupon.name,
           discountType: coupon.discountType,
           discountValue: coupon.discountValue,
+          promotion: coupon.promotion,
         },
         discountAmount,
-        finalAmount: Math.max(0, orderAmount - discountAmount),
+        promotions: automaticPromotions.promotions,
+        promotionDiscountAmount: automaticPromotions.discountAmount,
+        freeShipping: evaluation.freeShipping || automaticPromotions.freeShipping,
+        finalAmount: Math.max(0, orderAmount - automaticPromotions.discountAmount - discountAmount),
       },
     })
   } catch (error) {
@@ -69,15 +75,37 @@ export const getAvailableCoupons = async (req, res) => {
     const userId = req.user._id
     const now = new Date()
 
+    // Campaign codes are handed out one by one, so they are not listed
     const coupons = await Coupon.find({
       isActive: true,
       startDate: { $lte: now },
       endDate: { $gte: now },
+      campaign: null,
       $or: [{ applicableUsers: { $size: 0 } }, { applicableUsers: userId }],
-    }).select("code name description discountType discountValue minimumOrderAmount startDate endDate")
+    }).select(
+      "code name description discountType discountValue minimumOrderAmount startDate endDate isActive firstTimeCustomersOnly usageLimit usedCount usageLimitPerUser applicableUsers",
+    )
+
+    // How many times the user has used each of them
+    const redemptions = await CouponRedemption.aggregate([
+      { $match: { user: userId, coupon: { $in: coupons.map((coupon) => coupon._id) } } },
+      { $group: { _id: "$coupon", count: { $sum: 1 } } },
+    ])
+    const userRedemptions = new Map(redemptions.map((entry) => [String(entry._id), entry.count]))
 
-    // Filter coupons based on usage limits
-    const availableCoupons = coupons.filter((coupon) => coupon.canUserUse(userId))
+    // Filter coupons based on usage limits, and first order coupons once the user has ordered.
+    // Who else may use a coupon is not shown.
+    const hasOrdered = await Order.exists({ user: userId, orderStatus: { $ne: "cancelled" } })
+    const availableCoupons = coupons
+      .filter(
+        (coupon) =>
+          coupon.canUserUse(userId, userRedemptions.get(String(coupon._id))) &&
+          !(coupon.firstTimeCustomersOnly && hasOrdered),
+      )
+      .map((coupon) => {
+        const { applicableUsers, ...details } = coupon.toObject()
+        return details
+      })
 
     res.status(200).json({
       success: true,
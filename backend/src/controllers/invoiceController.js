@@ -0,0 +1,75 @@
+import Order from "../models/Order.js"
+import { issueCreditNote, issueInvoice } from "../utils/invoices.js"
+import { renderInvoicePdf } from "../utils/invoicePdf.js"
+
+// Load an order the requesting user may see, or send the error response and return null
+const loadOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id).populate("user", "firstName lastName email")
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: "Order not found",
+    })
+    return null
+  }
+
+  // Check if user owns the order or is admin. The owner is gone when their account was deleted.
+  const ownerId = order.user?._id
+  if (req.user.role !== "admin" && ownerId?.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied",
+    })
+    return null
+  }
+
+  return order
+}
+
+const sendPdf = (res, invoice) => {
+  res.setHeader("Content-Type", "application/pdf")
+  res.setHeader("Content-Disposition", `attachment; filename=${invoice.number}.pdf`)
+  renderInvoicePdf(invoice).pipe(res)
+}
+
+// Download the invoice of an order, issuing it on first download
+export const getOrderInvoice = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res)
+    if (!order) return
+
+    const invoice = await issueInvoice(order)
+    sendPdf(res, invoice)
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to generate invoice",
+      error: error.message,
+    })
+  }
+}
+
+// Download the credit note of a refund, issuing it on first download
+export const getRefundCreditNote = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res)
+    if (!order) return
+
+    const refund = order.refunds.id(req.params.refundId)
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: "Refund not found",
+      })
+    }
+
+    const creditNote = await issueCreditNote(order, refund)
+    sendPdf(res, creditNote)
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to generate credit note",
+      error: error.message,
+    })
+  }
+}
@@ -1,120 +1,322 @@
+import mongoose from "mongoose"
 import Order from "../models/Order.js"
 import Product from "../models/Product.js"
 import Coupon from "../models/Coupon.js"
-import { handleNewOrder, handleOrderStatusChange, handlePaymentStatusChange } from "../utils/realtimeEvents.js"
-
-// Create new order
+import CouponRedemption from "../models/CouponRedemption.js"
+import Cart from "../models/Cart.js"
+import { createHttpError } from "../utils/httpError.js"
+import { reserveStock, decrementStock, commitReservation, getReservationExpiry } from "../utils/inventory.js"
+import { cancelOrder } from "../utils/orderCancellation.js"
+import { changeOrderStatus } from "../utils/orderStatus.js"
+import { buildCouponLines, evaluateCoupon } from "../utils/coupons.js"
+import { applyAutomaticPromotions } from "../utils/promotions.js"
+import { calculateTax } from "../utils/tax.js"
+import { resolveShippingMethod } from "../utils/shipping.js"
+import { convertFromBase, convertToBase, getBaseCurrency, localizePrice, resolveCurrency } from "../utils/currency.js"
+import { allocateMinor, getCurrencyDecimals } from "../utils/money.js"
+import { emitCartSync } from "./websocketController.js"
+import { handleNewOrder, handlePaymentStatusChange } from "../utils/realtimeEvents.js"
+
+// Create new order, either from the submitted items or from the user's cart.
+// Stock reservation, coupon usage, order insert and cart clearing run in a single
+// transaction, so any failing line rolls back the whole checkout. Orders awaiting
+// payment only reserve stock; cash on delivery orders deduct it immediately.
 export const createOrder = async (req, res) => {
-  try {
-    const { items, shippingAddress, billingAddress, paymentMethod, couponCode, notes } = req.body
-
-    // Validate items and calculate totals
-    let subtotal = 0
-    const orderItems = []
+  const session = await mongoose.startSession()
 
-    for (const item of items) {
-      const product = await Product.findById(item.product)
-
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product not found: ${item.product}`,
-        })
+  try {
+    const {
+      items,
+      fromCart,
+      shippingAddress,
+      billingAddress,
+      paymentMethod,
+      shippingMethod: shippingMethodId,
+      couponCode,
+      notes,
+      currency: currencyCode,
+    } = req.body
+
+    let order
+    let cart
+    let stockChanges
+
+    // The exchange rate is read once so the whole order is priced, and later reported, at it
+    const currency = await resolveCurrency(currencyCode)
+
+    await session.withTransaction(async () => {
+      stockChanges = []
+      let lines = items
+      let code = couponCode
+
+      if (fromCart) {
+        cart = await Cart.findOne({ user: req.user._id }).session(session)
+        if (!cart || cart.items.length === 0) {
+          throw createHttpError(400, "Cart is empty")
+        }
+        lines = cart.items
+        code = code || cart.coupon?.code
       }
 
-      if (!product.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: `Product is not available: ${product.name}`,
+      // Validate items and calculate totals
+      let subtotal = 0
+      const orderItems = []
+      const shippingLines = []
+      const awaitsPayment = paymentMethod !== "cash_on_delivery"
+
+      for (const item of lines) {
+        const product = await Product.findById(item.product).session(session)
+
+        if (!product) {
+          throw createHttpError(400, `Product not found: ${item.product}`)
+        }
+
+        if (!product.isActive) {
+          throw createHttpError(400, `Product is not available: ${product.name}`)
+        }
+
+        // Variants are referenced by ID (cart lines) or SKU and carry their own price and stock
+        const variantKey = item.variant || item.variantSku
+        const variant = product.findVariant(variantKey)
+        if (variantKey && !variant) {
+          throw createHttpError(400, `Variant not found for product: ${product.name}`)
+        }
+
+        if (variant && !variant.isActive) {
+          throw createHttpError(400, `Variant is not available: ${product.name} (${variant.value})`)
+        }
+
+        if (!variant && product.requiresVariant()) {
+          throw createHttpError(400, `A variant must be selected for product: ${product.name}`)
+        }
+
+        const price = localizePrice(product, currency, variant)
+        const itemTotal = price * item.quantity
+        subtotal += itemTotal
+
+        // Shipping rates are set in the base currency, so parcels are valued in it too
+        shippingLines.push({ product, quantity: item.quantity, price: variant?.price ?? product.price })
+
+        const stockChange = awaitsPayment
+          ? await reserveStock(product, variant, item.quantity, session)
+          : await decrementStock(product, variant, item.quantity, session)
+        if (stockChange) stockChanges.push(stockChange)
+
+        orderItems.push({
+          product: product._id,
+          name: product.name,
+          image: variant?.image?.url || product.images[0]?.url || "",
+          price,
+          quantity: item.quantity,
+          variant: variant
+            ? {
+                variantId: variant._id,
+                name: variant.name,
+                value: variant.value,
+                options: variant.options,
+                sku: variant.sku,
+              }
+            : undefined,
+          sku: product.sku,
+          stockSource: stockChange?.source,
+          reserved: Boolean(stockChange) && awaitsPayment,
+          requiresShipping: product.requiresShipping !== false,
+          taxClass: product.taxable ? product.taxClass : undefined,
         })
       }
 
-      if (!product.isInStock(item.quantity)) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for product: ${product.name}`,
+      // Promotions and coupons are set up in the base currency, so lines are valued in it
+      const discountLines = (await buildCouponLines(orderItems, { session })).map((line) => ({
+        ...line,
+        amount: convertToBase(line.amount, currency),
+      }))
+
+      // Automatic promotions apply first, then the coupon to what they leave
+      const automaticPromotions = await applyAutomaticPromotions(discountLines, { session })
+      let couponDiscounts = orderItems.map(() => 0)
+      let freeShipping = automaticPromotions.freeShipping
+      let coupon = null
+
+      if (code) {
+        coupon = await Coupon.findOne({ code: code.toUpperCase() }).session(session)
+
+        if (!coupon) {
+          throw createHttpError(400, "Invalid or expired coupon code", { reason: "not_found" })
+        }
+
+        const evaluation = await evaluateCoupon(coupon, {
+          userId: req.user._id,
+          lines: discountLines,
+          automaticPromotions,
+          session,
         })
+        if (!evaluation.eligible) {
+          throw createHttpError(400, evaluation.message, { reason: evaluation.reason })
+        }
+
+        couponDiscounts = evaluation.lineDiscounts
+        freeShipping = freeShipping || evaluation.freeShipping
       }
 
-      const itemTotal = product.price * item.quantity
-      subtotal += itemTotal
-
-      orderItems.push({
-        product: product._id,
-        name: product.name,
-        image: product.images[0]?.url || "",
-        price: product.price,
-        quantity: item.quantity,
-        variant: item.variant,
-        sku: product.sku,
+      const baseLineDiscounts = automaticPromotions.lineDiscounts.map(
+        (discount, index) => discount + couponDiscounts[index],
+      )
+      const baseDiscount = baseLineDiscounts.reduce((total, discount) => total + discount, 0)
+      const discountAmount = Math.min(convertFromBase(baseDiscount, currency), subtotal)
+
+      // Each discounted line carries its share of the discount, and the shares add up to the
+      // discount. The discount is split between the promotions and the coupon the same way.
+      const lineDiscounts = allocateMinor(discountAmount, baseLineDiscounts)
+      orderItems.forEach((orderItem, index) => {
+        orderItem.discountAmount = lineDiscounts[index]
+      })
+      const discountShares = allocateMinor(discountAmount, [
+        ...automaticPromotions.promotions.map((promotion) => promotion.discountAmount),
+        couponDiscounts.reduce((total, discount) => total + discount, 0),
+      ])
+      const promotions = automaticPromotions.promotions.map((promotion, index) => ({
+        ...promotion,
+        discountAmount: discountShares[index],
+      }))
+      const couponDiscountAmount = discountShares[discountShares.length - 1]
+
+      const shipping = await resolveShippingMethod({
+        lines: shippingLines,
+        address: shippingAddress,
+        discountAmount: convertToBase(discountAmount, currency),
+        methodId: shippingMethodId,
+      })
+      // Free shipping promotions waive the rate of the chosen method
+      const shippingAmount = freeShipping ? 0 : convertFromBase(shipping.amount, currency)
+
+      // Tax each line on its price after its share of the discount
+      const tax = await calculateTax({
+        lines: orderItems.map((orderItem) => ({
+          price: orderItem.price,
+          quantity: orderItem.quantity,
+          taxable: Boolean(orderItem.taxClass),
+          taxClass: orderItem.taxClass,
+          discount: orderItem.discountAmount,
+        })),
+        shippingAmount,
+        address: shippingAddress,
+      })
+      orderItems.forEach((orderItem, index) => {
+        orderItem.taxRate = tax.lines[index].taxRate
+        orderItem.taxAmount = tax.lines[index].taxAmount
       })
-    }
-
-    // Apply coupon if provided
-    let discountAmount = 0
-    let couponData = null
-
-    if (couponCode) {
-      const coupon = await Coupon.findOne({ code: couponCode.toUpperCase() })
 
-      if (!coupon || !coupon.canUserUse(req.user._id)) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid or expired coupon code",
-        })
+      // Tax-inclusive prices already contain the tax
+      const taxAmount = tax.taxAmount
+      const totalAmount = subtotal + shippingAmount - discountAmount + (tax.pricesIncludeTax ? 0 : taxAmount)
+
+      // Create order
+      const createdOrders = await Order.create(
+        [
+          {
+            user: req.user._id,
+            items: orderItems,
+            shippingAddress,
+            billingAddress,
+            paymentMethod,
+            subtotal,
+            taxAmount,
+            pricesIncludeTax: tax.pricesIncludeTax,
+            taxBreakdown: tax.breakdown,
+            shippingAmount,
+            shippingMethod: shipping.method,
+            estimatedDelivery: shipping.method?.estimatedDays?.max
+              ? new Date(Date.now() + shipping.method.estimatedDays.max * 24 * 60 * 60 * 1000)
+              : undefined,
+            discountAmount,
+            promotions,
+            totalAmount,
+            currency: currency.code,
+            baseCurrency: getBaseCurrency(),
+            exchangeRate: currency.exchangeRate,
+            currencyDecimals: getCurrencyDecimals(currency.code),
+            coupon: coupon
+              ? {
+                  code: coupon.code,
+                  discountType: coupon.discountType,
+                  discountValue: coupon.discountValue,
+                  promotion: coupon.promotion,
+                }
+              : null,
+            reservation: orderItems.some((orderItem) => orderItem.reserved)
+              ? { status: "held", expiresAt: getReservationExpiry() }
+              : undefined,
+            notes,
+          },
+        ],
+        { session },
+      )
+      order = createdOrders[0]
+
+      // Record coupon usage, guarded against the usage limit being reached concurrently
+      if (coupon) {
+        const result = await Coupon.updateOne(
+          {
+            _id: coupon._id,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+          },
+          { $inc: { usedCount: 1 } },
+          { session },
+        )
+
+        if (result.modifiedCount === 0) {
+          throw createHttpError(409, "Coupon usage limit has been reached")
+        }
+
+        await CouponRedemption.create(
+          [
+            {
+              coupon: coupon._id,
+              campaign: coupon.campaign,
+              code: coupon.code,
+              user: req.user._id,
+              order: order._id,
+              discountAmount: couponDiscountAmount,
+              currency: currency.code,
+            },
+          ],
+          { session },
+        )
+
+        // The usedCount update makes concurrent checkouts with the coupon conflict, so a retried
+        // checkout counts the redemptions committed meanwhile
+        if (coupon.usageLimitPerUser) {
+          const userRedemptions = await CouponRedemption.countDocuments({
+            coupon: coupon._id,
+            user: req.user._id,
+          }).session(session)
+          if (userRedemptions > coupon.usageLimitPerUser) {
+            throw createHttpError(409, "You have already used this coupon the maximum number of times", {
+              reason: "user_usage_limit_reached",
+            })
+          }
+        }
       }
 
-      discountAmount = coupon.calculateDiscount(subtotal, orderItems)
-      couponData = {
-        code: coupon.code,
-        discountType: coupon.discountType,
-        discountValue: coupon.discountValue,
+      if (cart) {
+        cart.items = []
+        cart.coupon = undefined
+        cart.promotions = []
+        cart.subtotal = 0
+        cart.discountAmount = 0
+        cart.totalAmount = 0
+        await cart.save({ session })
       }
-
-      // Update coupon usage
-      coupon.usedCount += 1
-      coupon.usageHistory.push({
-        user: req.user._id,
-        order: null, // Will be updated after order creation
-        discountAmount,
-      })
-      await coupon.save()
-    }
-
-    // Calculate totals (simplified - you might want to add tax calculation)
-    const taxAmount = 0 // Implement tax calculation based on your requirements
-    const shippingAmount = 0 // Implement shipping calculation
-    const totalAmount = subtotal + taxAmount + shippingAmount - discountAmount
-
-    // Create order
-    const order = await Order.create({
-      user: req.user._id,
-      items: orderItems,
-      shippingAddress,
-      billingAddress,
-      paymentMethod,
-      subtotal,
-      taxAmount,
-      shippingAmount,
-      discountAmount,
-      totalAmount,
-      coupon: couponData,
-      notes,
     })
 
-    // Update coupon with order ID
-    if (couponCode && couponData) {
-      await Coupon.findOneAndUpdate(
-        { code: couponCode.toUpperCase(), "usageHistory.order": null },
-        { $set: { "usageHistory.$.order": order._id } },
-      )
-    }
-
     // Populate order with user details
     await order.populate("user", "firstName lastName email")
 
     // Emit real-time events
-    await handleNewOrder(order)
+    await handleNewOrder(order, stockChanges)
+    if (cart) {
+      emitCartSync(req.user._id, cart)
+    }
 
     res.status(201).json({
       success: true,
@@ -122,12 +324,22 @@ export const createOrder = async (req, res) => {
       data: { order },
     })
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details,
+      })
+    }
+
     console.error("Create order error:", error)
     res.status(500).json({
       success: false,
       message: "Failed to create order",
       error: error.message,
     })
+  } finally {
+    await session.endSession()
   }
 }
 
@@ -137,6 +349,40 @@ export const updateOrderStatus = async (req, res) => {
     const { id } = req.params
     const { orderStatus, trackingNumber, shippingCarrier, notes } = req.body
 
+    const set = {}
+    if (trackingNumber) set.trackingNumber = trackingNumber
+    if (shippingCarrier) set.shippingCarrier = shippingCarrier
+
+    // Illegal transitions are rejected with a 409; each status runs its own side effects
+    const { order, paymentError } = await changeOrderStatus(id, orderStatus, {
+      note: notes,
+      updatedBy: req.user._id,
+      set,
+    })
+    await order.populate("user", "firstName lastName email")
+
+    res.status(200).json({
+      success: true,
+      message: paymentError
+        ? `Order cancelled, but the payment could not be reversed: ${paymentError}`
+        : "Order status updated successfully",
+      data: { order, paymentError },
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to update order status",
+      error: error.message,
+    })
+  }
+}
+
+// Cancel own order before it ships
+export const cancelUserOrder = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { reason } = req.body
+
     const order = await Order.findById(id)
     if (!order) {
       return res.status(404).json({
@@ -145,48 +391,38 @@ export const updateOrderStatus = async (req, res) => {
       })
     }
 
-    const oldStatus = order.orderStatus
-
-    // Update order
-    const updateData = { orderStatus }
-    if (trackingNumber) updateData.trackingNumber = trackingNumber
-    if (shippingCarrier) updateData.shippingCarrier = shippingCarrier
-    if (notes) updateData.notes = notes
-
-    // Set delivery date if status is delivered
-    if (orderStatus === "delivered") {
-      updateData.deliveredAt = new Date()
-    }
-
-    // Set cancellation date if status is cancelled
-    if (orderStatus === "cancelled") {
-      updateData.cancelledAt = new Date()
-      if (notes) updateData.cancellationReason = notes
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate("user", "firstName lastName email")
-
-    // Emit real-time events
-    await handleOrderStatusChange(updatedOrder, oldStatus, orderStatus)
+    // Customers may only cancel orders of which nothing has shipped yet
+    const { order: cancelledOrder, paymentError } = await cancelOrder(id, {
+      reason: reason || "Cancelled by customer",
+      cancelledBy: req.user._id,
+      conditions: { "shipments.0": { $exists: false } },
+    })
 
     res.status(200).json({
       success: true,
-      message: "Order status updated successfully",
-      data: { order: updatedOrder },
+      message: paymentError
+        ? "Order cancelled. Your refund is being processed and may take longer than usual."
+        : "Order cancelled successfully",
+      data: { order: cancelledOrder },
     })
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to update order status",
+      message: error.statusCode ? error.message : "Failed to cancel order",
       error: error.message,
     })
   }
 }
 
-// Update payment status (Admin only)
+// Update payment status of offline payments such as cash on delivery (Admin only).
+// Online payments are driven by the payment provider through /api/payments.
 export const updatePaymentStatus = async (req, res) => {
   try {
     const { id } = req.params
@@ -200,6 +436,13 @@ export const updatePaymentStatus = async (req, res) => {
       })
     }
 
+    if (order.paymentMethod !== "cash_on_delivery") {
+      return res.status(409).json({
+        success: false,
+        message: "Payment status of online payments is managed by the payment provider",
+      })
+    }
+
     const oldPaymentStatus = order.paymentStatus
 
     const updatedOrder = await Order.findByIdAndUpdate(
@@ -208,6 +451,11 @@ export const updatePaymentStatus = async (req, res) => {
       { new: true, runValidators: true },
     ).populate("user", "firstName lastName email")
 
+    // A paid order keeps its reserved stock for good
+    if (paymentStatus === "paid") {
+      await commitReservation(updatedOrder)
+    }
+
     // Emit real-time events
     await handlePaymentStatusChange(updatedOrder, oldPaymentStatus, paymentStatus)
 
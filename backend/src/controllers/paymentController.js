@@ -0,0 +1,313 @@
+import Order from "../models/Order.js"
+import PaymentEvent from "../models/PaymentEvent.js"
+import { getPaymentProvider, toPaymentStatus } from "../utils/payments/index.js"
+import { applyPaymentResult, applyWebhookEvent } from "../utils/payments/orderPayments.js"
+import { refundOrder } from "../utils/refunds.js"
+
+// Load an order the current user may act on (owner or admin)
+const loadOrder = async (req, res, orderId) => {
+  const order = await Order.findById(orderId)
+
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: "Order not found",
+    })
+    return null
+  }
+
+  if (order.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+    res.status(403).json({
+      success: false,
+      message: "Access denied",
+    })
+    return null
+  }
+
+  return order
+}
+
+// Respond with the provider error status when there is one
+const handlePaymentError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  })
+}
+
+// Create a payment intent for an order
+export const createPaymentIntent = async (req, res) => {
+  try {
+    const { orderId, simulate } = req.body
+
+    const order = await loadOrder(req, res, orderId)
+    if (!order) return
+
+    if (order.paymentMethod === "cash_on_delivery") {
+      return res.status(400).json({
+        success: false,
+        message: "Cash on delivery orders are not paid online",
+      })
+    }
+
+    // Cancelled or expired orders have given their stock back and cannot be paid
+    if (order.orderStatus !== "pending") {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot pay for an order that is ${order.orderStatus}`,
+      })
+    }
+
+    if (!["pending", "failed", "voided"].includes(order.paymentStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order payment is already ${order.paymentStatus}`,
+      })
+    }
+
+    const provider = getPaymentProvider()
+    const intent = await provider.createIntent({
+      amount: order.totalAmount,
+      currency: order.currency,
+      orderId: order._id.toString(),
+      metadata: { orderNumber: order.orderNumber, simulate },
+    })
+
+    order.paymentProvider = provider.name
+    order.paymentId = intent.id
+    await applyPaymentResult(order, {
+      type: "intent",
+      providerRef: intent.id,
+      amount: intent.amount,
+      status: intent.status,
+      paymentStatus: toPaymentStatus(intent.status),
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Payment intent created successfully",
+      data: {
+        paymentId: intent.id,
+        clientSecret: intent.clientSecret,
+        status: intent.status,
+        order,
+      },
+    })
+  } catch (error) {
+    handlePaymentError(res, error, "Failed to create payment intent")
+  }
+}
+
+// Capture an authorized payment
+export const capturePayment = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res, req.params.orderId)
+    if (!order) return
+
+    if (order.orderStatus !== "pending") {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot capture the payment of an order that is ${order.orderStatus}`,
+      })
+    }
+
+    if (order.paymentStatus !== "authorized") {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot capture a payment that is ${order.paymentStatus}`,
+      })
+    }
+
+    const provider = getPaymentProvider(order.paymentProvider)
+    const result = await provider.capture(order.paymentId, order.totalAmount)
+
+    await applyPaymentResult(order, {
+      type: "capture",
+      providerRef: result.id,
+      amount: result.amount,
+      status: result.status,
+      paymentStatus: toPaymentStatus(result.status),
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Payment captured successfully",
+      data: { order },
+    })
+  } catch (error) {
+    handlePaymentError(res, error, "Failed to capture payment")
+  }
+}
+
+// Void an authorized payment that has not been captured (Admin only)
+export const voidPayment = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res, req.params.orderId)
+    if (!order) return
+
+    if (order.paymentStatus !== "authorized") {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot void a payment that is ${order.paymentStatus}`,
+      })
+    }
+
+    const provider = getPaymentProvider(order.paymentProvider)
+    const result = await provider.void(order.paymentId)
+
+    await applyPaymentResult(order, {
+      type: "void",
+      providerRef: result.id,
+      status: result.status,
+      paymentStatus: toPaymentStatus(result.status),
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Payment voided successfully",
+      data: { order },
+    })
+  } catch (error) {
+    handlePaymentError(res, error, "Failed to void payment")
+  }
+}
+
+// Refund a captured payment by amount, fully or partially (Admin only).
+// Line item refunds go through POST /api/orders/:id/refunds.
+export const refundPayment = async (req, res) => {
+  try {
+    const { amount, reason } = req.body
+
+    const order = await loadOrder(req, res, req.params.orderId)
+    if (!order) return
+
+    const refund = await refundOrder(order, { amount, reason, refundedBy: req.user._id })
+
+    res.status(200).json({
+      success: true,
+      message: "Payment refunded successfully",
+      data: { refund, order },
+    })
+  } catch (error) {
+    handlePaymentError(res, error, "Failed to refund payment")
+  }
+}
+
+// How long an event may stay in processing before a retry of it takes over
+const PROCESSING_TIMEOUT_MINUTES = 5
+
+// Store a webhook event once per provider. Events whose earlier processing failed, or that
+// have been processing for too long, are claimed again so the provider's retry can complete
+// them; anything else is a replay.
+const claimWebhookEvent = async (providerName, event) => {
+  try {
+    return await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      payload: event.payload,
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+
+    return PaymentEvent.findOneAndUpdate(
+      {
+        provider: providerName,
+        eventId: event.id,
+        $or: [
+          { status: "failed" },
+          {
+            status: "processing",
+            updatedAt: { $lte: new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000) },
+          },
+        ],
+      },
+      { $set: { status: "processing" }, $inc: { attempts: 1 } },
+      { new: true },
+    )
+  }
+}
+
+// Give back a payment that arrived after its order was cancelled, whose stock is already
+// released. Returns a note for the event, or null when nothing needed reversing.
+const reverseLatePayment = async (order) => {
+  if (order.paymentStatus === "authorized") {
+    const result = await getPaymentProvider(order.paymentProvider).void(order.paymentId)
+    await applyPaymentResult(order, {
+      type: "void",
+      providerRef: result.id,
+      status: result.status,
+      paymentStatus: toPaymentStatus(result.status),
+    })
+    return "Order was cancelled; the authorization was voided"
+  }
+
+  if (order.paymentStatus === "paid") {
+    await refundOrder(order, { reason: "Payment received after the order was cancelled" })
+    return "Order was cancelled; the payment was refunded"
+  }
+
+  return null
+}
+
+// Receive a signed payment provider webhook
+export const handlePaymentWebhook = async (req, res) => {
+  let provider
+  let event
+  try {
+    provider = getPaymentProvider()
+    event = provider.constructWebhookEvent(
+      req.body,
+      req.headers[provider.signatureHeader],
+      process.env.PAYMENT_WEBHOOK_SECRET,
+    )
+  } catch (error) {
+    return handlePaymentError(res, error, "Failed to verify webhook")
+  }
+
+  let paymentEvent
+  try {
+    paymentEvent = await claimWebhookEvent(provider.name, event)
+    if (!paymentEvent) {
+      return res.status(200).json({
+        success: true,
+        message: "Event already received",
+        data: { duplicate: true },
+      })
+    }
+
+    const order = await Order.findOne({ paymentProvider: provider.name, paymentId: event.intentId })
+    const result = order
+      ? await applyWebhookEvent(order, event)
+      : { status: "ignored", reason: "No order found for this payment" }
+    if (result.status === "processed" && order.orderStatus === "cancelled") {
+      result.reason = await reverseLatePayment(order)
+    }
+
+    paymentEvent.order = order?._id
+    paymentEvent.status = result.status
+    paymentEvent.reason = result.reason
+    paymentEvent.processedAt = new Date()
+    await paymentEvent.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Event received",
+      data: { status: result.status, reason: result.reason },
+    })
+  } catch (error) {
+    // Respond with an error so the provider retries the delivery
+    if (paymentEvent) {
+      paymentEvent.status = "failed"
+      paymentEvent.reason = error.message
+      await paymentEvent.save().catch(() => {})
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+      error: error.message,
+    })
+  }
+}
@@ -1,6 +1,10 @@
 import Product from "../models/Product.js"
 import Category from "../models/Category.js"
 import { uploadToCloudinary, deleteFromCloudinary } from "../utils/cloudinary.js"
+import { handleStockChange } from "../utils/realtimeEvents.js"
+import { convertFromBase, convertToBase, getBaseCurrency, localizeProduct, resolveCurrency } from "../utils/currency.js"
+import { buildCouponLines } from "../utils/coupons.js"
+import { applyPromotions, getAutomaticPromotions, isListingPromotion } from "../utils/promotions.js"
 
 // Get all products with filtering, sorting, and pagination
 export const getProducts = async (req, res) => {
@@ -17,24 +21,74 @@ export const getProducts = async (req, res) => {
       sort = "-createdAt",
       featured,
       inStock,
+      options,
+      currency: currencyCode,
     } = req.query
 
+    // Prices are shown, and price filters given, in the requested currency
+    const currency = await resolveCurrency(currencyCode)
+
     // Build filter object
     const filter = { isActive: true }
 
     if (category) filter.category = category
     if (brand) filter.brand = new RegExp(brand, "i")
     if (minPrice || maxPrice) {
-      filter.price = {}
-      if (minPrice) filter.price.$gte = Number(minPrice)
-      if (maxPrice) filter.price.$lte = Number(maxPrice)
+      const priceRange = (convert) => ({
+        ...(minPrice && { $gte: convert(Number(minPrice)) }),
+        ...(maxPrice && { $lte: convert(Number(maxPrice)) }),
+      })
+      const baseRange = priceRange((amount) => convertToBase(amount, currency))
+
+      if (currency.code === getBaseCurrency()) {
+        filter.price = baseRange
+      } else {
+        // A price set on the product for the currency is shown instead of the converted one
+        filter.$or = [
+          { currencyPrices: { $elemMatch: { currency: currency.code, price: priceRange((amount) => amount) } } },
+          { "currencyPrices.currency": { $ne: currency.code }, price: baseRange },
+        ]
+      }
     }
     if (rating) filter.averageRating = { $gte: Number(rating) }
     if (search) {
       filter.$text = { $search: search }
     }
     if (featured === "true") filter.isFeatured = true
-    if (inStock === "true") filter.stock = { $gt: 0 }
+    if (options && typeof options === "object") {
+      // e.g. ?options[Size]=Large&options[Color]=Red,Blue matches products with an
+      // active variant combining Large with Red or Blue
+      filter.variants = {
+        $elemMatch: {
+          isActive: { $ne: false },
+          $and: Object.entries(options).map(([name, values]) => ({
+            options: { $elemMatch: { name, value: { $in: String(values).split(",") } } },
+          })),
+        },
+      }
+    }
+    if (inStock === "true") {
+      // Units reserved by pending orders are not available to new shoppers. Variants with
+      // their own stock count on their own; the others sell from the product's stock.
+      const availableVariants = {
+        $filter: {
+          input: { $ifNull: ["$variants", []] },
+          as: "variant",
+          cond: {
+            $and: [
+              { $ne: ["$$variant.isActive", false] },
+              { $gt: [{ $subtract: ["$$variant.stock", { $ifNull: ["$$variant.reserved", 0] }] }, 0] },
+            ],
+          },
+        },
+      }
+      filter.$expr = {
+        $or: [
+          { $gt: [{ $subtract: ["$stock", { $ifNull: ["$reserved", 0] }] }, 0] },
+          { $gt: [{ $size: availableVariants }, 0] },
+        ],
+      }
+    }
 
     // Calculate pagination
     const skip = (Number(page) - 1) * Number(limit)
@@ -62,6 +116,7 @@ export const getProducts = async (req, res) => {
         $addFields: {
           category: { $arrayElemAt: ["$categoryDetails", 0] },
           subcategory: { $arrayElemAt: ["$subcategoryDetails", 0] },
+          available: { $max: [0, { $subtract: ["$stock", { $ifNull: ["$reserved", 0] }] }] },
         },
       },
       {
@@ -70,7 +125,7 @@ export const getProducts = async (req, res) => {
           subcategoryDetails: 0,
         },
       },
-      { $sort: this.parseSortString(sort) },
+      { $sort: parseSortString(sort) },
       { $skip: skip },
       { $limit: Number(limit) },
     ]
@@ -81,7 +136,10 @@ export const getProducts = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        products,
+        products: await withSalePrices(
+          products.map((product) => localizeProduct(product, currency)),
+          currency,
+        ),
         pagination: {
           currentPage: Number(page),
           totalPages: Math.ceil(total / Number(limit)),
@@ -92,9 +150,9 @@ export const getProducts = async (req, res) => {
       },
     })
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to fetch products",
+      message: error.statusCode ? error.message : "Failed to fetch products",
       error: error.message,
     })
   }
@@ -116,10 +174,36 @@ const parseSortString = (sortStr) => {
   return sortObj
 }
 
+// Add the sale price from automatic promotions to localized products: salePrice, null without
+// a discount, and the names of the promotionsApplied. Only promotions that discount a product
+// the same whatever else is ordered are shown; checkout applies all of them.
+const withSalePrices = async (products, currency) => {
+  const promotions = (await getAutomaticPromotions()).filter(isListingPromotion)
+  if (promotions.length === 0) {
+    return products.map((product) => ({ ...product, salePrice: null, promotionsApplied: [] }))
+  }
+
+  // Priced as a single unit in the base currency, the way checkout prices order lines
+  const lines = await buildCouponLines(
+    products.map((product) => ({ product: product._id, price: convertToBase(product.price, currency), quantity: 1 })),
+  )
+
+  return products.map((product, index) => {
+    const result = applyPromotions(promotions, [lines[index]])
+    const discount = Math.min(convertFromBase(result.discountAmount, currency), product.price)
+    return {
+      ...product,
+      salePrice: discount > 0 ? product.price - discount : null,
+      promotionsApplied: result.promotions.map((promotion) => promotion.name),
+    }
+  })
+}
+
 // Get single product by ID or slug
 export const getProduct = async (req, res) => {
   try {
     const { id } = req.params
+    const currency = await resolveCurrency(req.query.currency)
     let product
 
     // Check if id is a valid ObjectId or treat as slug
@@ -142,12 +226,12 @@ export const getProduct = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: { product },
+      data: { product: (await withSalePrices([localizeProduct(product, currency)], currency))[0] },
     })
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to fetch product",
+      message: error.statusCode ? error.message : "Failed to fetch product",
       error: error.message,
     })
   }
@@ -242,9 +326,9 @@ export const updateProduct = async (req, res) => {
     // Emit stock update if stock changed
     if (updates.stock !== undefined && global.emitStockUpdate) {
       global.emitStockUpdate(id, {
-        stock: updatedProduct.stock,
+        stock: updatedProduct.available,
         isInStock: updatedProduct.isInStock(),
-        lowStock: updatedProduct.stock <= updatedProduct.lowStockThreshold,
+        lowStock: updatedProduct.available <= updatedProduct.lowStockThreshold,
       })
     }
 
@@ -262,6 +346,90 @@ export const updateProduct = async (req, res) => {
   }
 }
 
+// Set product option axes and regenerate the variant matrix (Admin only)
+export const updateProductOptions = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { options } = req.body
+
+    const product = await Product.findById(id)
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      })
+    }
+
+    // The variant matrix is regenerated by the Product pre-save hook
+    product.options = options
+    await product.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Product options updated successfully",
+      data: { product },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update product options",
+      error: error.message,
+    })
+  }
+}
+
+// Update a single variant's SKU, price, stock, image or active flag (Admin only)
+export const updateProductVariant = async (req, res) => {
+  try {
+    const { id, variantId } = req.params
+    const { sku, price, stock, isActive } = req.body
+
+    const product = await Product.findById(id)
+    const variant = product?.variants.id(variantId)
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: "Product variant not found",
+      })
+    }
+
+    const oldAvailable = product.availableFor(variant)
+
+    if (sku !== undefined) variant.sku = sku.toUpperCase()
+    if (price !== undefined) variant.price = price === null ? undefined : Number(price)
+    if (stock !== undefined) variant.stock = stock === null ? undefined : Number(stock)
+    if (isActive !== undefined) variant.isActive = isActive === true || isActive === "true"
+
+    // Handle image upload
+    if (req.file) {
+      if (variant.image?.public_id) {
+        await deleteFromCloudinary(variant.image.public_id)
+      }
+      const result = await uploadToCloudinary(req.file.buffer, "products")
+      variant.image = { public_id: result.public_id, url: result.secure_url }
+    }
+
+    await product.save()
+
+    const newAvailable = product.availableFor(variant)
+    if (newAvailable !== oldAvailable) {
+      await handleStockChange(product._id, oldAvailable, newAvailable, product, variant._id)
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Product variant updated successfully",
+      data: { product, variant },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update product variant",
+      error: error.message,
+    })
+  }
+}
+
 // Delete product (Admin only)
 export const deleteProduct = async (req, res) => {
   try {
@@ -0,0 +1,76 @@
+import Order from "../models/Order.js"
+import { refundOrder } from "../utils/refunds.js"
+
+// Refund an order in full or by line items (Admin only)
+export const createRefund = async (req, res) => {
+  try {
+    const { items, amount, reason, restock } = req.body
+
+    const order = await Order.findById(req.params.id)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    const refund = await refundOrder(order, {
+      items,
+      amount,
+      reason,
+      restock,
+      refundedBy: req.user._id,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === "succeeded" ? "Order refunded successfully" : `Refund ${refund.status}`,
+      data: { refund, order },
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to refund order",
+      error: error.message,
+    })
+  }
+}
+
+// Get the refunds of an order
+export const getOrderRefunds = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select("user orderNumber totalAmount refundAmount paymentStatus refunds")
+      .populate("refunds.refundedBy", "firstName lastName email")
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    // Check if user owns the order or is admin
+    if (order.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refunds: order.refunds,
+        refundAmount: order.refundAmount,
+        paymentStatus: order.paymentStatus,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch refunds",
+      error: error.message,
+    })
+  }
+}
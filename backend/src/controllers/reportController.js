@@ -4,6 +4,8 @@ const Product = require("../models/Product")
 const Order = require("../models/Order")
 const User = require("../models/User")
 const { getIO } = require("../config/socket")
+const { getBaseCurrency, toBaseAmount } = require("../utils/currency")
+const { formatMoney, fromMinor } = require("../utils/money")
 
 /**
  * @swagger
@@ -33,6 +35,8 @@ const { getIO } = require("../config/socket")
 const generateSalesReport = async (req, res) => {
   try {
     const { startDate, endDate, format = "pdf" } = req.query
+    // Orders in other currencies are converted back at the rate locked on each order
+    const baseCurrency = getBaseCurrency()
 
     const dateFilter = {}
     if (startDate && endDate) {
@@ -51,9 +55,9 @@ const generateSalesReport = async (req, res) => {
             month: { $month: "$createdAt" },
             day: { $dayOfMonth: "$createdAt" },
           },
-          totalSales: { $sum: "$totalAmount" },
+          totalSales: { $sum: toBaseAmount("$totalAmount") },
           orderCount: { $sum: 1 },
-          avgOrderValue: { $avg: "$totalAmount" },
+          avgOrderValue: { $avg: toBaseAmount("$totalAmount") },
         },
       },
       { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 } },
@@ -66,7 +70,7 @@ const generateSalesReport = async (req, res) => {
         $group: {
           _id: "$items.product",
           totalQuantity: { $sum: "$items.quantity" },
-          totalRevenue: { $sum: { $multiply: ["$items.quantity", "$items.price"] } },
+          totalRevenue: { $sum: toBaseAmount({ $multiply: ["$items.quantity", "$items.price"] }) },
         },
       },
       {
@@ -96,6 +100,7 @@ const generateSalesReport = async (req, res) => {
       if (startDate && endDate) {
         doc.text(`Period: ${startDate} to ${endDate}`, 50, 100)
       }
+      doc.text(`Amounts in ${baseCurrency}`, 50, 115)
 
       // Sales Summary
       doc.fontSize(16).text("Sales Summary", 50, 140)
@@ -107,9 +112,9 @@ const generateSalesReport = async (req, res) => {
 
       doc
         .fontSize(12)
-        .text(`Total Sales: $${totalSales.toFixed(2)}`, 50, yPosition)
+        .text(`Total Sales: ${formatMoney(totalSales, baseCurrency)}`, 50, yPosition)
         .text(`Total Orders: ${totalOrders}`, 50, yPosition + 20)
-        .text(`Average Order Value: $${avgOrderValue.toFixed(2)}`, 50, yPosition + 40)
+        .text(`Average Order Value: ${formatMoney(avgOrderValue, baseCurrency)}`, 50, yPosition + 40)
 
       // Top Products
       yPosition += 80
@@ -121,7 +126,7 @@ const generateSalesReport = async (req, res) => {
           .fontSize(10)
           .text(`${index + 1}. ${product.productInfo.name}`, 50, yPosition)
           .text(`Quantity: ${product.totalQuantity}`, 200, yPosition)
-          .text(`Revenue: $${product.totalRevenue.toFixed(2)}`, 300, yPosition)
+          .text(`Revenue: ${formatMoney(product.totalRevenue, baseCurrency)}`, 300, yPosition)
         yPosition += 20
       })
 
@@ -131,15 +136,15 @@ const generateSalesReport = async (req, res) => {
       const worksheet = workbook.addWorksheet("Sales Report")
 
       // Add headers
-      worksheet.addRow(["Date", "Total Sales", "Order Count", "Avg Order Value"])
+      worksheet.addRow(["Date", `Total Sales (${baseCurrency})`, "Order Count", `Avg Order Value (${baseCurrency})`])
 
       // Add data
       salesData.forEach((day) => {
         worksheet.addRow([
           `${day._id.year}-${day._id.month}-${day._id.day}`,
-          day.totalSales,
+          fromMinor(day.totalSales, baseCurrency),
           day.orderCount,
-          day.avgOrderValue,
+          fromMinor(day.avgOrderValue, baseCurrency),
         ])
       })
 
@@ -157,6 +162,7 @@ const generateSalesReport = async (req, res) => {
           summary: {
             totalSales: salesData.reduce((sum, day) => sum + day.totalSales, 0),
             totalOrders: salesData.reduce((sum, day) => sum + day.orderCount, 0),
+            currency: baseCurrency,
           },
         },
       })
@@ -225,7 +231,7 @@ const generateInventoryReport = async (req, res) => {
         .fontSize(12)
         .text(`Total Products: ${inventoryData.length}`, 50, 150)
         .text(`Low Stock Items: ${lowStockItems.length}`, 50, 170)
-        .text(`Total Inventory Value: $${totalInventoryValue.toFixed(2)}`, 50, 190)
+        .text(`Total Inventory Value: ${formatMoney(totalInventoryValue, getBaseCurrency())}`, 50, 190)
 
       // Low Stock Items
       if (lowStockItems.length > 0) {
@@ -253,6 +259,7 @@ const generateInventoryReport = async (req, res) => {
             totalProducts: inventoryData.length,
             lowStockCount: lowStockItems.length,
             totalInventoryValue,
+            currency: getBaseCurrency(),
           },
         },
       })
@@ -301,7 +308,7 @@ const generateUserReport = async (req, res) => {
       {
         $group: {
           _id: "$user",
-          totalSpent: { $sum: "$totalAmount" },
+          totalSpent: { $sum: toBaseAmount("$totalAmount") },
           orderCount: { $sum: 1 },
         },
       },
@@ -0,0 +1,370 @@
+import Order from "../models/Order.js"
+import ReturnRequest from "../models/ReturnRequest.js"
+import { returnLineStock } from "../utils/inventory.js"
+import { refundOrder } from "../utils/refunds.js"
+import { getReturnableQuantities, getReturnedQuantities, isFullyReturned } from "../utils/returns.js"
+import { handleOrderStatusChange, handleReturnStatusChange, handleStockChanges } from "../utils/realtimeEvents.js"
+
+// How many days after delivery a return may be requested
+const getReturnWindowDays = () => Number(process.env.RETURN_WINDOW_DAYS) || 30
+
+// How long a return request may hold the order before it counts as abandoned
+const RETURN_LOCK_SECONDS = 60
+
+// Move a return request from one of `from` to `status`. The status check is part of the
+// update so concurrent admins cannot apply the same transition twice.
+const transitionReturn = (returnRequest, from, status, { note, userId, set = {} }) => {
+  return ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: { $in: from } },
+    {
+      $set: { ...set, status, ...(note && { adminNote: note }) },
+      $push: { statusHistory: { status, note, updatedBy: userId } },
+    },
+    { new: true },
+  )
+}
+
+// Request a return of delivered items
+export const createReturn = async (req, res) => {
+  try {
+    const { items, reason } = req.body
+
+    const order = await Order.findById(req.params.id)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    if (order.orderStatus !== "delivered" || !order.deliveredAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Only delivered orders can be returned",
+      })
+    }
+
+    const windowDays = getReturnWindowDays()
+    const windowEnds = new Date(order.deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000)
+    if (new Date() > windowEnds) {
+      return res.status(400).json({
+        success: false,
+        message: `Returns must be requested within ${windowDays} days of delivery`,
+      })
+    }
+
+    // One return request per order at a time, so concurrent requests cannot claim the same units
+    const now = new Date()
+    const locked = await Order.updateOne(
+      { _id: order._id, $or: [{ returnLockedUntil: null }, { returnLockedUntil: { $lte: now } }] },
+      { $set: { returnLockedUntil: new Date(now.getTime() + RETURN_LOCK_SECONDS * 1000) } },
+    )
+    if (locked.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Another return of this order is being requested",
+      })
+    }
+
+    let returnRequest
+    try {
+      const returnedQuantities = await getReturnedQuantities(order._id)
+      const returnableQuantities = await getReturnableQuantities(order)
+      const returnItems = []
+      for (const { itemId, quantity, reason: itemReason } of items) {
+        const item = order.items.id(itemId)
+        if (!item) {
+          return res.status(400).json({
+            success: false,
+            message: `Order item not found: ${itemId}`,
+          })
+        }
+
+        const alreadyReturned = returnedQuantities.get(item._id.toString()) || 0
+        const returnable = returnableQuantities.get(item._id.toString()) - alreadyReturned
+        const requested = quantity !== undefined ? Number(quantity) : returnable
+        if (requested < 1 || requested > returnable) {
+          return res.status(400).json({
+            success: false,
+            message: `Only ${returnable} of ${item.name} can be returned`,
+          })
+        }
+
+        returnedQuantities.set(item._id.toString(), alreadyReturned + requested)
+        returnItems.push({
+          item: item._id,
+          product: item.product,
+          name: item.name,
+          quantity: requested,
+          reason: itemReason,
+        })
+      }
+
+      returnRequest = await ReturnRequest.create({
+        order: order._id,
+        user: order.user,
+        items: returnItems,
+        reason,
+        statusHistory: [{ status: "requested", note: reason, updatedBy: req.user._id }],
+      })
+    } finally {
+      await Order.updateOne({ _id: order._id }, { $unset: { returnLockedUntil: "" } })
+    }
+
+    await handleReturnStatusChange(returnRequest, order, null, "requested")
+
+    res.status(201).json({
+      success: true,
+      message: "Return requested successfully",
+      data: { returnRequest },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to request return",
+      error: error.message,
+    })
+  }
+}
+
+// Get the return requests of an order
+export const getOrderReturns = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select("user")
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    // Check if user owns the order or is admin
+    if (order.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      data: { returns },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch returns",
+      error: error.message,
+    })
+  }
+}
+
+// Get all return requests (Admin only)
+export const getAllReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query
+
+    const filter = {}
+    if (status) filter.status = status
+
+    const skip = (Number(page) - 1) * Number(limit)
+
+    const returns = await ReturnRequest.find(filter)
+      .populate("user", "firstName lastName email")
+      .populate("order", "orderNumber totalAmount paymentStatus")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+
+    const total = await ReturnRequest.countDocuments(filter)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(total / Number(limit)),
+          totalReturns: total,
+          hasNextPage: skip + Number(limit) < total,
+          hasPrevPage: Number(page) > 1,
+        },
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch returns",
+      error: error.message,
+    })
+  }
+}
+
+// Get single return request
+export const getReturn = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id).populate(
+      "order",
+      "orderNumber totalAmount paymentStatus",
+    )
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      })
+    }
+
+    // Check if user owns the return or is admin
+    if (returnRequest.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { returnRequest },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch return request",
+      error: error.message,
+    })
+  }
+}
+
+// Approve or reject a return request (Admin only)
+const reviewReturn = (status, from) => async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      })
+    }
+
+    const oldStatus = returnRequest.status
+    const updatedReturn = await transitionReturn(returnRequest, from, status, {
+      note: req.body.note,
+      userId: req.user._id,
+      set: { [`${status}At`]: new Date() },
+    })
+
+    if (!updatedReturn) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot mark a ${oldStatus} return as ${status}`,
+      })
+    }
+
+    const order = await Order.findById(updatedReturn.order)
+    await handleReturnStatusChange(updatedReturn, order, oldStatus, status)
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${status} successfully`,
+      data: { returnRequest: updatedReturn },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update return request",
+      error: error.message,
+    })
+  }
+}
+
+export const approveReturn = reviewReturn("approved", ["requested"])
+
+export const rejectReturn = reviewReturn("rejected", ["requested", "approved"])
+
+// Receive the returned items, restocking them and optionally refunding them (Admin only)
+export const receiveReturn = async (req, res) => {
+  try {
+    const { note, restock = true, refund = false } = req.body
+
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      })
+    }
+
+    const updatedReturn = await transitionReturn(returnRequest, ["approved"], "received", {
+      note,
+      userId: req.user._id,
+      set: { receivedAt: new Date(), restocked: restock },
+    })
+
+    if (!updatedReturn) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot receive a ${returnRequest.status} return`,
+      })
+    }
+
+    const order = await Order.findById(updatedReturn.order)
+
+    if (restock) {
+      const stockChanges = []
+      for (const line of updatedReturn.items) {
+        const stockChange = await returnLineStock(order.items.id(line.item), line.quantity)
+        if (stockChange) stockChanges.push(stockChange)
+      }
+      await handleStockChanges(stockChanges)
+    }
+
+    // The items are back either way; a failed refund is reported so it can be retried
+    // through the order refunds endpoint
+    let refundError
+    if (refund) {
+      try {
+        const orderRefund = await refundOrder(order, {
+          items: updatedReturn.items.map((line) => ({ itemId: line.item, quantity: line.quantity })),
+          reason: `Return ${updatedReturn.rmaNumber}`,
+          refundedBy: req.user._id,
+        })
+        updatedReturn.refund = orderRefund._id
+        await updatedReturn.save()
+      } catch (error) {
+        refundError = error.message
+      }
+    }
+
+    await handleReturnStatusChange(updatedReturn, order, "approved", "received")
+
+    // The order is returned once every unit that can be returned has come back
+    if (order.canTransitionTo("returned") && (await isFullyReturned(order))) {
+      const oldStatus = order.orderStatus
+      order.transitionTo("returned", { note: `Return ${updatedReturn.rmaNumber} received`, updatedBy: req.user._id })
+      await order.save()
+      await handleOrderStatusChange(order, oldStatus, "returned")
+    }
+
+    res.status(200).json({
+      success: true,
+      message: refundError ? `Return received, but the refund failed: ${refundError}` : "Return received successfully",
+      data: { returnRequest: updatedReturn, refundError },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to receive return",
+      error: error.message,
+    })
+  }
+}
@@ -0,0 +1,143 @@
+import Order from "../models/Order.js"
+import { createHttpError } from "../utils/httpError.js"
+import { addTrackingEvent, createShipment, findShipmentByTrackingNumber } from "../utils/shipments.js"
+import { verifyWebhookSignature } from "../utils/webhookSignature.js"
+
+// Tracking statuses carriers may report
+const TRACKING_STATUSES = ["in_transit", "out_for_delivery", "delivered", "exception"]
+
+// Ship some or all of an order's items (Admin only)
+export const createOrderShipment = async (req, res) => {
+  try {
+    const { items, carrier, trackingNumber } = req.body
+
+    const order = await Order.findById(req.params.id)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    const result = await createShipment(order, { items, carrier, trackingNumber, createdBy: req.user._id })
+
+    res.status(201).json({
+      success: true,
+      message: "Shipment created successfully",
+      data: result,
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to create shipment",
+      error: error.message,
+    })
+  }
+}
+
+// Get the shipments of an order
+export const getOrderShipments = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select("user orderStatus shipments")
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    // Check if user owns the order or is admin
+    if (order.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { orderStatus: order.orderStatus, shipments: order.shipments },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch shipments",
+      error: error.message,
+    })
+  }
+}
+
+// Record a tracking event on a shipment (Admin only)
+export const addShipmentEvent = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+    const shipment = order?.shipments.id(req.params.shipmentId)
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipment not found",
+      })
+    }
+
+    const result = await addTrackingEvent(order, shipment, req.body, req.user._id)
+
+    res.status(200).json({
+      success: true,
+      message: result.duplicate ? "Tracking event already recorded" : "Tracking event recorded",
+      data: { order: result.order, shipment: result.shipment },
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to record tracking event",
+      error: error.message,
+    })
+  }
+}
+
+// Receive a signed tracking update from a carrier
+export const handleTrackingWebhook = async (req, res) => {
+  try {
+    verifyWebhookSignature(req.body, req.headers["x-carrier-signature"], process.env.CARRIER_WEBHOOK_SECRET)
+
+    let update
+    try {
+      update = JSON.parse(req.body.toString("utf8"))
+    } catch (error) {
+      throw createHttpError(400, "Webhook body is not valid JSON")
+    }
+
+    if (!update.trackingNumber || !TRACKING_STATUSES.includes(update.status)) {
+      throw createHttpError(400, "Tracking update needs a trackingNumber and a valid status")
+    }
+
+    const match = await findShipmentByTrackingNumber(update.trackingNumber, update.carrier)
+    if (!match) {
+      // Acknowledge so the carrier does not keep retrying numbers we do not know
+      return res.status(200).json({
+        success: true,
+        message: "Unknown tracking number",
+        data: { status: "ignored" },
+      })
+    }
+
+    const result = await addTrackingEvent(match.order, match.shipment, {
+      status: update.status,
+      description: update.description,
+      location: update.location,
+      occurredAt: update.occurredAt,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Tracking update received",
+      data: { status: result.duplicate ? "duplicate" : "processed" },
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to process tracking update",
+      error: error.message,
+    })
+  }
+}
@@ -0,0 +1,54 @@
+import Cart from "../models/Cart.js"
+import Product from "../models/Product.js"
+import { getShippingQuotes } from "../utils/shipping.js"
+
+// Quote the available shipping methods for the submitted items, or the current cart, and an address
+export const getShippingQuote = async (req, res) => {
+  try {
+    const { address, items } = req.body
+
+    let lines = items
+    let discountAmount = 0
+    if (!items) {
+      const cart = await Cart.findOne(req.cartOwner)
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Cart is empty",
+        })
+      }
+      await cart.reprice()
+      lines = cart.items
+      discountAmount = cart.discountAmount
+    }
+
+    const products = await Product.find({ _id: { $in: lines.map((line) => line.product) } })
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+
+    const shippingLines = []
+    for (const line of lines) {
+      const product = productsById.get(line.product.toString())
+      if (!product) continue
+
+      const variant = line.variant ? product.variants.id(line.variant) : null
+      shippingLines.push({
+        product,
+        quantity: Number(line.quantity),
+        price: line.price ?? variant?.price ?? product.price,
+      })
+    }
+
+    const quote = await getShippingQuotes({ lines: shippingLines, address, discountAmount })
+
+    res.status(200).json({
+      success: true,
+      data: { ...quote, guestToken: req.guestToken },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to quote shipping",
+      error: error.message,
+    })
+  }
+}
@@ -1,6 +1,8 @@
 import Product from "../models/Product.js"
 import Order from "../models/Order.js"
 import User from "../models/User.js"
+import Cart from "../models/Cart.js"
+import { toBaseAmount } from "../utils/currency.js"
 
 // WebSocket event handlers
 export const handleWebSocketEvents = (io) => {
@@ -25,15 +27,15 @@ export const handleWebSocketEvents = (io) => {
         // Send current stock status for subscribed products
         const products = await Product.find(
           { _id: { $in: productIds } },
-          "name stock lowStockThreshold trackQuantity allowBackorder",
+          "name stock reserved lowStockThreshold trackQuantity allowBackorder",
         )
 
         const stockData = products.map((product) => ({
           productId: product._id,
           name: product.name,
-          stock: product.stock,
+          stock: product.available,
           isInStock: product.isInStock(),
-          lowStock: product.stock <= product.lowStockThreshold,
+          lowStock: product.available <= product.lowStockThreshold,
           trackQuantity: product.trackQuantity,
           allowBackorder: product.allowBackorder,
         }))
@@ -106,10 +108,17 @@ export const handleWebSocketEvents = (io) => {
       console.log(`Admin ${socket.userId} subscribed to all order updates`)
     })
 
-    // Handle cart synchronization (for multiple device support)
-    socket.on("sync_cart", (cartData) => {
-      socket.join(`user_cart_${socket.userId}`)
-      socket.to(`user_cart_${socket.userId}`).emit("cart_updated", cartData)
+    // Handle cart synchronization (for multiple device support).
+    // Client payloads are ignored; devices always receive the persisted cart.
+    socket.on("sync_cart", async () => {
+      try {
+        socket.join(`user_cart_${socket.userId}`)
+
+        const cart = await Cart.findOne({ user: socket.userId })
+        socket.emit("cart_synced", { cart, timestamp: new Date() })
+      } catch (error) {
+        socket.emit("error", { message: "Failed to sync cart" })
+      }
     })
 
     // Handle typing indicators for customer support chat
@@ -153,7 +162,7 @@ const getInitialAnalyticsData = async () => {
         Order.countDocuments({ createdAt: { $gte: startOfDay } }),
         Order.aggregate([
           { $match: { createdAt: { $gte: startOfDay }, paymentStatus: "paid" } },
-          { $group: { _id: null, total: { $sum: "$totalAmount" } } },
+          { $group: { _id: null, total: { $sum: toBaseAmount("$totalAmount") } } },
         ]),
         User.countDocuments({ role: "customer" }),
         Product.countDocuments({ isActive: true }),
@@ -162,7 +171,7 @@ const getInitialAnalyticsData = async () => {
           .sort({ createdAt: -1 })
           .limit(5)
           .populate("user", "firstName lastName email")
-          .select("orderNumber totalAmount orderStatus createdAt"),
+          .select("orderNumber totalAmount currency orderStatus createdAt"),
         Product.find({ isActive: true }).sort({ totalSales: -1 }).limit(5).select("name totalSales price images"),
       ])
 
@@ -0,0 +1,24 @@
+import crypto from "crypto"
+import { generateGuestToken, verifyGuestToken, getGuestToken } from "../utils/guestToken.js"
+
+// Identify who owns the cart: the logged-in user (set by optionalAuth) or a guest.
+// Guests without a valid token are issued a new one, returned in the X-Guest-Token header.
+export const identifyCartOwner = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = { user: req.user._id }
+    return next()
+  }
+
+  let guestToken = getGuestToken(req)
+  let guestId = guestToken ? verifyGuestToken(guestToken) : null
+
+  if (!guestId) {
+    guestId = crypto.randomUUID()
+    guestToken = generateGuestToken(guestId)
+  }
+
+  req.cartOwner = { guestId }
+  req.guestToken = guestToken
+  res.set("X-Guest-Token", guestToken)
+  next()
+}
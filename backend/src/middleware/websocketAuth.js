@@ -12,6 +12,9 @@ export const authenticateSocket = async (socket, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    if (!decoded.id || decoded.type === "guest") {
+      return next(new Error("Authentication error: Guest tokens cannot open a socket"))
+    }
 
     // Get user from database
     const user = await User.findById(decoded.id).select("-password")
@@ -0,0 +1,327 @@
+import mongoose from "mongoose"
+import { buildCouponLines, evaluateCoupon } from "../utils/coupons.js"
+import { minorUnits } from "../utils/money.js"
+import { applyAutomaticPromotions } from "../utils/promotions.js"
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId, // Product.variants subdocument ID
+  },
+  name: String,
+  image: String,
+  sku: String,
+  price: {
+    type: Number, // Minor units of the base currency
+    required: true,
+    min: 0,
+    validate: minorUnits,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+})
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      unique: true,
+      sparse: true,
+    },
+    guestId: {
+      type: String, // Anonymous cart identifier carried in the signed guest token
+      unique: true,
+      sparse: true,
+    },
+    items: [cartItemSchema],
+    coupon: {
+      code: String,
+      discountType: {
+        type: String,
+        enum: ["percentage", "fixed", "promotion"],
+      },
+      discountValue: Number,
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+      },
+    },
+    // Automatic promotions applied to the cart; their discounts are part of discountAmount
+    promotions: [
+      {
+        _id: false,
+        promotion: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
+        name: String,
+        discountAmount: {
+          type: Number,
+          validate: minorUnits,
+        },
+      },
+    ],
+    // Totals are in minor units of the base currency
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: minorUnits,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: minorUnits,
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: minorUnits,
+    },
+    expiresAt: Date, // Only set for guest carts
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// A cart belongs to either a user or a guest
+cartSchema.pre("validate", function (next) {
+  if (!this.user && !this.guestId) {
+    return next(new Error("Cart must belong to a user or a guest"))
+  }
+  next()
+})
+
+// Guest carts expire after a period of inactivity
+cartSchema.pre("save", function (next) {
+  if (this.guestId && !this.user) {
+    const days = Number(process.env.GUEST_CART_EXPIRE_DAYS) || 30
+    this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  } else {
+    this.expiresAt = undefined
+  }
+  next()
+})
+
+// Find a line by product and variant
+cartSchema.methods.findItem = function (productId, variantId) {
+  return this.items.find(
+    (item) =>
+      item.product.toString() === productId.toString() &&
+      (item.variant ? item.variant.toString() : null) === (variantId ? variantId.toString() : null),
+  )
+}
+
+// Re-price every line against the catalogue and recalculate totals.
+// Returns the list of adjustments made so the client can tell the shopper.
+cartSchema.methods.reprice = async function () {
+  const Product = mongoose.model("Product")
+  const Coupon = mongoose.model("Coupon")
+  const adjustments = []
+
+  const products = await Product.find({ _id: { $in: this.items.map((item) => item.product) } })
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+
+  const items = []
+  for (const item of this.items) {
+    const product = productsById.get(item.product.toString())
+
+    if (!product || !product.isActive) {
+      adjustments.push({ type: "removed", product: item.product, name: item.name, reason: "unavailable" })
+      continue
+    }
+
+    const variant = item.variant ? product.variants.id(item.variant) : null
+    if ((item.variant && !variant?.isActive) || (!item.variant && product.requiresVariant())) {
+      adjustments.push({ type: "removed", product: item.product, name: item.name, reason: "variant_unavailable" })
+      continue
+    }
+
+    if (!product.isInStock(item.quantity, variant)) {
+      const available = product.availableFor(variant)
+      if (available <= 0) {
+        adjustments.push({ type: "removed", product: item.product, name: product.name, reason: "out_of_stock" })
+        continue
+      }
+      adjustments.push({
+        type: "quantity_reduced",
+        product: item.product,
+        name: product.name,
+        from: item.quantity,
+        to: available,
+      })
+      item.quantity = available
+    }
+
+    const price = variant?.price ?? product.price
+    if (item.price !== undefined && item.price !== price) {
+      adjustments.push({ type: "price_changed", product: item.product, name: product.name, from: item.price, to: price })
+    }
+
+    item.name = product.name
+    item.image = variant?.image?.url || product.images[0]?.url || ""
+    item.sku = variant?.sku || product.sku
+    item.price = price
+    items.push(item)
+  }
+
+  this.items = items
+  this.subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0)
+  const lines = await buildCouponLines(this.items)
+  const automaticPromotions = await applyAutomaticPromotions(lines)
+  this.promotions = automaticPromotions.promotions
+  this.discountAmount = automaticPromotions.discountAmount
+
+  if (this.coupon?.code) {
+    const coupon = await Coupon.findOne({ code: this.coupon.code })
+
+    const evaluation =
+      coupon && this.user
+        ? await evaluateCoupon(coupon, { userId: this.user, lines, automaticPromotions })
+        : { eligible: false, reason: "invalid" }
+
+    // A cart that does not qualify yet, or only clashes with the promotions on it now, keeps
+    // its coupon until it qualifies
+    const qualifiesLater = ["below_minimum", "no_eligible_items", "conditions_not_met", "not_combinable"].includes(
+      evaluation.reason,
+    )
+    if (!evaluation.eligible && !qualifiesLater) {
+      adjustments.push({ type: "coupon_removed", code: this.coupon.code, reason: evaluation.reason })
+      this.coupon = undefined
+    } else {
+      this.discountAmount += evaluation.discountAmount || 0
+      this.coupon = {
+        code: coupon.code,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        promotion: coupon.promotion,
+      }
+    }
+  }
+
+  this.totalAmount = Math.max(0, this.subtotal - this.discountAmount)
+
+  return adjustments
+}
+
+// Merge a guest cart into the user's cart, summing quantities of matching lines.
+// The merged cart is re-priced so inactive or out-of-stock lines are dropped or reduced.
+cartSchema.statics.mergeGuestCart = async function (guestId, userId) {
+  const guestCart = await this.findOne({ guestId, user: { $exists: false } })
+  if (!guestCart) return null
+
+  const cart = (await this.findOne({ user: userId })) || new this({ user: userId, items: [] })
+
+  for (const guestItem of guestCart.items) {
+    const existingItem = cart.findItem(guestItem.product, guestItem.variant)
+
+    if (existingItem) {
+      existingItem.quantity += guestItem.quantity
+    } else {
+      cart.items.push({
+        product: guestItem.product,
+        variant: guestItem.variant,
+        name: guestItem.name,
+        price: guestItem.price,
+        quantity: guestItem.quantity,
+      })
+    }
+  }
+
+  const adjustments = await cart.reprice()
+  await cart.save()
+  await guestCart.deleteOne()
+
+  return {
+    cart,
+    summary: {
+      mergedItems: guestCart.items.length,
+      adjustments,
+    },
+  }
+}
+
+// Virtual for total items
+cartSchema.virtual("totalItems").get(function () {
+  return this.items.reduce((total, item) => total + item.quantity, 0)
+})
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: User ID
+ *         guestId:
+ *           type: string
+ *           description: Guest cart ID (anonymous carts only)
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               quantity:
+ *                 type: number
+ *         coupon:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *             discountType:
+ *               type: string
+ *               enum: [percentage, fixed, promotion]
+ *             discountValue:
+ *               type: number
+ *         promotions:
+ *           type: array
+ *           description: Automatic promotions applied, included in discountAmount
+ *           items:
+ *             type: object
+ *             properties:
+ *               promotion:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               discountAmount:
+ *                 type: integer
+ *         subtotal:
+ *           type: number
+ *         discountAmount:
+ *           type: number
+ *         totalAmount:
+ *           type: number
+ */
+
+export default mongoose.model("Cart", cartSchema)
@@ -0,0 +1,26 @@
+import mongoose from "mongoose"
+
+// Named sequences, e.g. "invoice:2026". Incremented inside the transaction that uses the
+// number, so a failed write rolls the increment back and the sequence has no gaps.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+})
+
+// Take the next number of a sequence, starting at 1
+counterSchema.statics.next = async function (name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  )
+  return counter.seq
+}
+
+export default mongoose.model("Counter", counterSchema)
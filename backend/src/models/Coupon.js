@@ -1,4 +1,6 @@
 import mongoose from "mongoose"
+import { allocateMinor, minorUnits, percentageOf } from "../utils/money.js"
+import { isLineInScope } from "../utils/promotions.js"
 
 const couponSchema = new mongoose.Schema(
   {
@@ -21,24 +23,44 @@ const couponSchema = new mongoose.Schema(
       type: String,
       maxlength: [500, "Description cannot exceed 500 characters"],
     },
+    // promotion: the discount comes from the rule of the linked promotion
     discountType: {
       type: String,
       required: [true, "Discount type is required"],
-      enum: ["percentage", "fixed"],
+      enum: ["percentage", "fixed", "promotion"],
     },
+    // A percentage, or minor units of the base currency for fixed discounts
     discountValue: {
       type: Number,
-      required: [true, "Discount value is required"],
+      required: [
+        function () {
+          return this.discountType !== "promotion"
+        },
+        "Discount value is required",
+      ],
       min: [0, "Discount value cannot be negative"],
     },
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: [
+        function () {
+          return this.discountType === "promotion"
+        },
+        "Promotion is required for promotion coupons",
+      ],
+    },
+    // Minor units of the base currency
     minimumOrderAmount: {
       type: Number,
       default: 0,
       min: [0, "Minimum order amount cannot be negative"],
+      validate: minorUnits,
     },
     maximumDiscountAmount: {
       type: Number,
       min: [0, "Maximum discount amount cannot be negative"],
+      validate: minorUnits,
     },
     usageLimit: {
       type: Number,
@@ -95,32 +117,16 @@ const couponSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Only for users without an earlier order that was not cancelled
     firstTimeCustomersOnly: {
       type: Boolean,
       default: false,
     },
-    usageHistory: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        order: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "Order",
-          required: true,
-        },
-        discountAmount: {
-          type: Number,
-          required: true,
-        },
-        usedAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
+    // Campaign the code was generated for; uses are recorded as CouponRedemption documents
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CouponCampaign",
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -137,6 +143,7 @@ couponSchema.index({ code: 1 })
 couponSchema.index({ isActive: 1 })
 couponSchema.index({ startDate: 1, endDate: 1 })
 couponSchema.index({ createdBy: 1 })
+couponSchema.index({ campaign: 1, code: 1 })
 
 // Validation: End date must be after start date
 couponSchema.pre("save", function (next) {
@@ -157,49 +164,58 @@ couponSchema.methods.isValid = function () {
   )
 }
 
-// Check if user can use this coupon
-couponSchema.methods.canUserUse = function (userId) {
-  // Check if coupon is valid
-  if (!this.isValid()) return false
+// Why the user cannot use this coupon, regardless of the order: one of inactive, not_started,
+// expired, usage_limit_reached, user_not_eligible or user_usage_limit_reached. Null when they can.
+// userRedemptions is how many times the user has used the coupon (see CouponRedemption).
+// First-order and order amount checks need more than the coupon, see utils/coupons.js.
+couponSchema.methods.getUsageRestriction = function (userId, userRedemptions = 0) {
+  const now = new Date()
+  if (!this.isActive) return "inactive"
+  if (this.startDate > now) return "not_started"
+  if (this.endDate < now) return "expired"
+  if (this.usageLimit && this.usedCount >= this.usageLimit) return "usage_limit_reached"
 
   // Check if user-specific coupon
-  if (this.applicableUsers.length > 0 && !this.applicableUsers.includes(userId)) {
-    return false
+  if (this.applicableUsers.length > 0 && !this.applicableUsers.some((id) => id.equals(userId))) {
+    return "user_not_eligible"
   }
 
   // Check usage limit per user
-  if (this.usageLimitPerUser) {
-    const userUsageCount = this.usageHistory.filter((usage) => usage.user.toString() === userId.toString()).length
-    if (userUsageCount >= this.usageLimitPerUser) {
-      return false
-    }
+  if (this.usageLimitPerUser && userRedemptions >= this.usageLimitPerUser) {
+    return "user_usage_limit_reached"
   }
 
-  return true
+  return null
 }
 
-// Calculate discount amount
-couponSchema.methods.calculateDiscount = function (orderAmount, items = []) {
-  if (!this.isValid()) return 0
+// Check if user can use this coupon
+couponSchema.methods.canUserUse = function (userId, userRedemptions = 0) {
+  return this.getUsageRestriction(userId, userRedemptions) === null
+}
 
-  let applicableAmount = orderAmount
+// Whether a line is in the coupon's scope of applicable and excluded products and categories
+couponSchema.methods.appliesToLine = function (line) {
+  return isLineInScope(this, line)
+}
 
-  // If specific products/categories are set, calculate applicable amount
-  if (this.applicableProducts.length > 0 || this.applicableCategories.length > 0) {
-    applicableAmount = 0
-    // This would need to be calculated based on the items in the order
-    // For now, we'll use the full order amount
-  }
+// Discount of each line of a percentage or fixed coupon, in minor units of the base currency.
+// Lines are { product, categories, amount } with amount the line total in minor units of the
+// base currency. The minimum order amount and the discount apply to the lines in scope, and the
+// discount is shared between them in proportion to their amounts.
+couponSchema.methods.calculateLineDiscounts = function (lines) {
+  const eligibleAmounts = lines.map((line) => (this.appliesToLine(line) ? line.amount : 0))
+  const applicableAmount = eligibleAmounts.reduce((total, amount) => total + amount, 0)
 
-  // Check minimum order amount
-  if (applicableAmount < this.minimumOrderAmount) return 0
+  if (!this.isValid() || applicableAmount === 0 || applicableAmount < this.minimumOrderAmount) {
+    return lines.map(() => 0)
+  }
 
   let discountAmount = 0
 
   if (this.discountType === "percentage") {
-    discountAmount = (applicableAmount * this.discountValue) / 100
+    discountAmount = percentageOf(applicableAmount, this.discountValue)
   } else {
-    discountAmount = this.discountValue
+    discountAmount = Math.round(this.discountValue)
   }
 
   // Apply maximum discount limit
@@ -207,8 +223,15 @@ couponSchema.methods.calculateDiscount = function (orderAmount, items = []) {
     discountAmount = this.maximumDiscountAmount
   }
 
-  // Ensure discount doesn't exceed order amount
-  return Math.min(discountAmount, applicableAmount)
+  // Ensure discount doesn't exceed the amount it applies to
+  return allocateMinor(Math.min(discountAmount, applicableAmount), eligibleAmounts)
+}
+
+// Calculate the discount, in minor units of the base currency, for an order amount in them.
+// Without lines the whole amount counts as a single line outside any product or category.
+couponSchema.methods.calculateDiscount = function (orderAmount, lines = []) {
+  const discountLines = lines.length > 0 ? lines : [{ amount: orderAmount, quantity: 1 }]
+  return this.calculateLineDiscounts(discountLines).reduce((total, discount) => total + discount, 0)
 }
 
 /**
@@ -221,7 +244,6 @@ couponSchema.methods.calculateDiscount = function (orderAmount, items = []) {
  *         - code
  *         - name
  *         - discountType
- *         - discountValue
  *         - startDate
  *         - endDate
  *         - createdBy
@@ -240,15 +262,20 @@ couponSchema.methods.calculateDiscount = function (orderAmount, items = []) {
  *           maxLength: 500
  *         discountType:
  *           type: string
- *           enum: [percentage, fixed]
+ *           enum: [percentage, fixed, promotion]
  *         discountValue:
  *           type: number
  *           minimum: 0
+ *           description: A percentage, or minor units of the base currency for fixed discounts
+ *         promotion:
+ *           type: string
+ *           description: Promotion whose rule sets the discount of promotion coupons
  *         minimumOrderAmount:
- *           type: number
+ *           type: integer
  *           minimum: 0
+ *           description: Minor units of the base currency
  *         maximumDiscountAmount:
- *           type: number
+ *           type: integer
  *           minimum: 0
  *         usageLimit:
  *           type: number
@@ -265,6 +292,28 @@ couponSchema.methods.calculateDiscount = function (orderAmount, items = []) {
  *         endDate:
  *           type: string
  *           format: date-time
+ *         applicableProducts:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Limits the discount to these products, together with applicableCategories
+ *         applicableCategories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Limits the discount to products in these categories or their subcategories
+ *         excludedProducts:
+ *           type: array
+ *           items:
+ *             type: string
+ *         excludedCategories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Products in these categories or their subcategories are never discounted
+ *         campaign:
+ *           type: string
+ *           description: Campaign the code was generated for
  */
 
 export default mongoose.model("Coupon", couponSchema)
@@ -0,0 +1,75 @@
+import mongoose from "mongoose"
+
+// A batch of generated coupon codes sharing the same discount, see utils/couponCodes.js
+const couponCampaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Campaign name is required"],
+      trim: true,
+      maxlength: [100, "Campaign name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    // Code pattern where each # is replaced by a random character, e.g. SUMMER-######
+    codeTemplate: {
+      type: String,
+      required: [true, "Code template is required"],
+      uppercase: true,
+      trim: true,
+    },
+    // Coupon fields every generated code is created with (discount, dates, limits and scope).
+    // Validated as coupons when codes are generated.
+    couponSettings: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    codeCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CouponCampaign:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *         codeTemplate:
+ *           type: string
+ *           example: SUMMER-######
+ *           description: Each # is replaced by a random letter or digit
+ *         couponSettings:
+ *           type: object
+ *           description: >
+ *             Coupon fields the codes are created with: discountType, discountValue, promotion,
+ *             minimumOrderAmount, maximumDiscountAmount, usageLimit (1 by default),
+ *             usageLimitPerUser, startDate, endDate, firstTimeCustomersOnly and the product and
+ *             category scope
+ *         codeCount:
+ *           type: integer
+ *           description: Codes generated so far
+ */
+
+export default mongoose.model("CouponCampaign", couponCampaignSchema)
@@ -0,0 +1,77 @@
+import mongoose from "mongoose"
+
+// One use of a coupon on an order. Removed again when the order is cancelled.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CouponCampaign",
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    discountAmount: {
+      type: Number, // Minor units of the order currency
+      required: true,
+    },
+    currency: String,
+    redeemedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 })
+couponRedemptionSchema.index({ order: 1 }, { unique: true })
+couponRedemptionSchema.index({ campaign: 1, redeemedAt: -1 })
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CouponRedemption:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         coupon:
+ *           type: string
+ *         campaign:
+ *           type: string
+ *         code:
+ *           type: string
+ *         user:
+ *           type: string
+ *         order:
+ *           type: string
+ *         discountAmount:
+ *           type: integer
+ *           description: Minor units of the order currency
+ *         currency:
+ *           type: string
+ *         redeemedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+export default mongoose.model("CouponRedemption", couponRedemptionSchema)
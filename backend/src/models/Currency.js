@@ -0,0 +1,81 @@
+import mongoose from "mongoose"
+
+const currencySchema = new mongoose.Schema(
+  {
+    // ISO 4217 code
+    code: {
+      type: String,
+      required: [true, "Currency code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency code must be a 3-letter ISO code"],
+    },
+    name: {
+      type: String,
+      required: [true, "Currency name is required"],
+      trim: true,
+      maxlength: [100, "Currency name cannot exceed 100 characters"],
+    },
+    // Units of this currency per one unit of the base currency (BASE_CURRENCY)
+    exchangeRate: {
+      type: Number,
+      required: [true, "Exchange rate is required"],
+      min: [0.000001, "Exchange rate must be positive"],
+    },
+    // Whether the rate was last entered by an admin or loaded from the rates file
+    rateSource: {
+      type: String,
+      enum: ["manual", "file"],
+      default: "manual",
+    },
+    rateUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Currency:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - exchangeRate
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: ISO 4217 code
+ *           example: EUR
+ *         name:
+ *           type: string
+ *           example: Euro
+ *         exchangeRate:
+ *           type: number
+ *           description: Units of this currency per one unit of the base currency
+ *           example: 0.92
+ *         rateSource:
+ *           type: string
+ *           enum: [manual, file]
+ *         rateUpdatedAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ */
+
+export default mongoose.model("Currency", currencySchema)
@@ -0,0 +1,143 @@
+import mongoose from "mongoose"
+
+// One delivery attempt of a message
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attempt: Number,
+    status: {
+      type: String,
+      enum: ["sent", "failed", "requeued"],
+      required: true,
+    },
+    messageId: String, // Transport message ID of a sent attempt
+    error: String,
+    requeuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// Outbound email, rendered when it is queued and sent by the email queue worker. Messages carrying an
+// auth link store it redacted in `html`; `data` renders the real message at delivery until `expiresAt`.
+const emailMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    from: {
+      type: String,
+      required: true,
+    },
+    template: String,
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false,
+    },
+    expiresAt: Date, // When the auth link in the message stops working; it is not delivered or resent after that
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: Date, // Set while a worker is sending; a stale lock means the worker died
+    sentAt: Date,
+    lastError: String,
+    deliveryLog: [deliveryAttemptSchema],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 })
+emailMessageSchema.index({ to: 1, createdAt: -1 })
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailMessage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         to:
+ *           type: string
+ *           format: email
+ *         from:
+ *           type: string
+ *         template:
+ *           type: string
+ *           example: orderConfirmation
+ *         subject:
+ *           type: string
+ *         html:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [queued, sending, sent, failed]
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         deliveryLog:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [sent, failed, requeued]
+ *               messageId:
+ *                 type: string
+ *               error:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ */
+
+export default mongoose.model("EmailMessage", emailMessageSchema)
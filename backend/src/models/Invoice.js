@@ -0,0 +1,193 @@
+import mongoose from "mongoose"
+import { minorUnits } from "../utils/money.js"
+
+const addressSchema = new mongoose.Schema(
+  {
+    firstName: String,
+    lastName: String,
+    company: String,
+    address1: String,
+    address2: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    phone: String,
+  },
+  { _id: false },
+)
+
+// Invoices and credit notes are snapshots taken when they are issued, so reprinting one always
+// shows what was issued even if the order changes later. Amounts are minor units of `currency`.
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+    // e.g. INV-2026-000042 or CN-2026-000007, numbered without gaps per type and year
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Credit notes only: the refund they document and the invoice they correct
+    refund: mongoose.Schema.Types.ObjectId, // Order.refunds subdocument ID
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+    invoiceNumber: String,
+    reason: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    seller: {
+      name: String,
+      address: String,
+      email: String,
+      taxId: String,
+    },
+    customer: {
+      name: String,
+      email: String,
+    },
+    billingAddress: addressSchema,
+    shippingAddress: addressSchema,
+    currency: {
+      type: String,
+      required: true,
+    },
+    items: [
+      {
+        _id: false,
+        name: String,
+        sku: String,
+        variant: String, // e.g. "Size / Color: Large / Red"
+        quantity: Number,
+        unitPrice: {
+          type: Number,
+          validate: minorUnits,
+        },
+        discountAmount: {
+          type: Number,
+          validate: minorUnits,
+        },
+        taxRate: Number,
+        taxAmount: {
+          type: Number,
+          validate: minorUnits,
+        },
+        total: {
+          type: Number,
+          validate: minorUnits,
+        },
+      },
+    ],
+    taxBreakdown: [
+      {
+        _id: false,
+        name: String,
+        rate: Number,
+        shipping: Boolean,
+        taxableAmount: Number,
+        taxAmount: Number,
+      },
+    ],
+    pricesIncludeTax: Boolean,
+    subtotal: {
+      type: Number,
+      validate: minorUnits,
+    },
+    discountAmount: {
+      type: Number,
+      validate: minorUnits,
+    },
+    shippingAmount: {
+      type: Number,
+      validate: minorUnits,
+    },
+    taxAmount: {
+      type: Number,
+      validate: minorUnits,
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+      validate: minorUnits,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+invoiceSchema.index({ type: 1, year: 1, sequence: 1 }, { unique: true })
+// One invoice per order and one credit note per refund
+invoiceSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: "invoice" }, name: "order_invoice_unique" },
+)
+invoiceSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { type: "credit_note" } })
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *         number:
+ *           type: string
+ *           example: INV-2026-000042
+ *         order:
+ *           type: string
+ *         refund:
+ *           type: string
+ *           description: Refund documented by a credit note
+ *         invoiceNumber:
+ *           type: string
+ *           description: Invoice corrected by a credit note
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         currency:
+ *           type: string
+ *         subtotal:
+ *           type: integer
+ *         discountAmount:
+ *           type: integer
+ *         shippingAmount:
+ *           type: integer
+ *         taxAmount:
+ *           type: integer
+ *         totalAmount:
+ *           type: integer
+ */
+
+export default mongoose.model("Invoice", invoiceSchema)
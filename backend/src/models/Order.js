@@ -1,4 +1,19 @@
 import mongoose from "mongoose"
+import { createHttpError } from "../utils/httpError.js"
+import { minorUnits } from "../utils/money.js"
+
+// Statuses an order may move to from each status. Orders can be cancelled until they ship
+// and returned once they have.
+const STATUS_TRANSITIONS = {
+  pending: ["confirmed", "processing", "cancelled"],
+  confirmed: ["processing", "partially_shipped", "shipped", "cancelled"],
+  processing: ["partially_shipped", "shipped", "cancelled"],
+  partially_shipped: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+}
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -11,10 +26,12 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
   },
   image: String,
+  // Amounts are in minor units of the order currency
   price: {
     type: Number,
     required: true,
     min: 0,
+    validate: minorUnits,
   },
   quantity: {
     type: Number,
@@ -22,12 +39,151 @@ const orderItemSchema = new mongoose.Schema({
     min: 1,
   },
   variant: {
+    variantId: mongoose.Schema.Types.ObjectId, // Product.variants subdocument ID
     name: String,
     value: String,
+    options: [
+      {
+        _id: false,
+        name: String,
+        value: String,
+      },
+    ],
+    sku: String,
   },
   sku: String,
+  stockSource: {
+    type: String, // Which stock the line was taken from; unset when quantity is not tracked
+    enum: ["product", "variant"],
+  },
+  reserved: {
+    type: Boolean, // Whether this line holds a stock reservation
+    default: false,
+  },
+  requiresShipping: {
+    type: Boolean, // False for digital products and services, which are never shipped
+    default: true,
+  },
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  taxClass: String, // Unset for non-taxable products
+  taxRate: {
+    type: Number, // Percentage applied to the line
+    default: 0,
+  },
+  discountAmount: {
+    type: Number, // The line's share of the order discount
+    default: 0,
+    min: 0,
+    validate: minorUnits,
+  },
+  taxAmount: {
+    type: Number, // Tax on the whole line, after its share of the discount
+    default: 0,
+    min: 0,
+    validate: minorUnits,
+  },
 })
 
+const shipmentSchema = new mongoose.Schema(
+  {
+    items: [
+      {
+        _id: false,
+        item: {
+          type: mongoose.Schema.Types.ObjectId, // Order item subdocument ID
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
+    carrier: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    trackingNumber: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["in_transit", "out_for_delivery", "delivered", "exception"],
+      default: "in_transit",
+    },
+    events: [
+      {
+        _id: false,
+        status: String,
+        description: String,
+        location: String,
+        occurredAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    shippedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deliveredAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: minorUnits,
+    },
+    items: [
+      {
+        _id: false,
+        item: mongoose.Schema.Types.ObjectId, // Order item subdocument ID
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        name: String,
+        quantity: Number,
+        amount: Number,
+      },
+    ],
+    reason: String,
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    provider: String, // Unset for offline payments refunded outside the system
+    providerRef: String, // Provider's refund ID
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      required: true,
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
 const shippingAddressSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -90,54 +246,157 @@ const orderSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded", "partially_refunded"],
+      enum: ["pending", "authorized", "paid", "failed", "voided", "refunded", "partially_refunded"],
       default: "pending",
     },
+    paymentProvider: String, // Name of the provider that owns paymentId
     paymentId: String, // Payment gateway transaction ID
+    paymentTransactions: [
+      {
+        type: {
+          type: String,
+          enum: ["intent", "capture", "refund", "void"],
+          required: true,
+        },
+        providerRef: String, // Provider's intent or refund ID
+        amount: Number,
+        status: String, // Provider status as reported
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     orderStatus: {
       type: String,
-      enum: ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled", "returned"],
+      enum: ["pending", "confirmed", "processing", "partially_shipped", "shipped", "delivered", "cancelled", "returned"],
       default: "pending",
     },
+    // Amounts below are in minor units of the order currency, e.g. 1999 for $19.99
     subtotal: {
       type: Number,
       required: true,
       min: 0,
+      validate: minorUnits,
     },
     taxAmount: {
       type: Number,
       default: 0,
       min: 0,
+      validate: minorUnits,
+    },
+    // Whether item prices and shippingAmount include taxAmount rather than having it added
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
     },
+    taxBreakdown: [
+      {
+        _id: false,
+        taxRate: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "TaxRate",
+        },
+        name: String,
+        taxClass: String,
+        rate: Number,
+        shipping: Boolean, // Tax on the shipping charge rather than on items
+        taxableAmount: Number,
+        taxAmount: Number,
+      },
+    ],
     shippingAmount: {
       type: Number,
       default: 0,
       min: 0,
+      validate: minorUnits,
+    },
+    // Shipping method chosen at checkout; unset when nothing needed shipping
+    shippingMethod: {
+      zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ShippingZone",
+      },
+      methodId: mongoose.Schema.Types.ObjectId, // ShippingZone.methods subdocument ID
+      name: String,
+      type: {
+        type: String,
+      },
+      estimatedDays: {
+        min: Number,
+        max: Number,
+      },
     },
     discountAmount: {
       type: Number,
       default: 0,
       min: 0,
+      validate: minorUnits,
     },
     totalAmount: {
       type: Number,
       required: true,
       min: 0,
+      validate: minorUnits,
     },
     coupon: {
       code: String,
       discountType: {
         type: String,
-        enum: ["percentage", "fixed"],
+        enum: ["percentage", "fixed", "promotion"],
       },
       discountValue: Number,
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+      },
     },
+    // Automatic promotions applied at checkout; their discounts are part of discountAmount
+    promotions: [
+      {
+        _id: false,
+        promotion: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
+        name: String,
+        discountAmount: {
+          type: Number,
+          validate: minorUnits,
+        },
+      },
+    ],
+    // Currency the order is priced and charged in; every amount on the order is in it
     currency: {
       type: String,
       default: "USD",
     },
+    // Base currency and its rate to `currency` at checkout, locked so reports can
+    // convert the order back to the base currency
+    baseCurrency: {
+      type: String,
+      default: "USD",
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    // Decimal places of the currency's minor unit, e.g. 2 for USD and 0 for JPY
+    currencyDecimals: {
+      type: Number,
+      default: 2,
+    },
+    reservation: {
+      status: {
+        type: String,
+        enum: ["held", "committed", "released"],
+      },
+      expiresAt: Date,
+    },
     notes: String,
-    trackingNumber: String,
+    shipments: [shipmentSchema],
+    trackingNumber: String, // Tracking number of the latest shipment
     shippingCarrier: String,
     estimatedDelivery: Date,
     deliveredAt: Date,
@@ -146,8 +405,12 @@ const orderSchema = new mongoose.Schema(
     refundAmount: {
       type: Number,
       default: 0,
+      validate: minorUnits,
     },
     refundReason: String,
+    refunds: [refundSchema],
+    refundLockedUntil: Date, // Set while a refund is sent to the provider, see utils/refunds.js
+    returnLockedUntil: Date, // Set while a return request is checked and created
     statusHistory: [
       {
         status: String,
@@ -175,6 +438,8 @@ orderSchema.index({ orderStatus: 1 })
 orderSchema.index({ paymentStatus: 1 })
 orderSchema.index({ createdAt: -1 })
 orderSchema.index({ "items.product": 1 })
+orderSchema.index({ "reservation.status": 1, "reservation.expiresAt": 1 })
+orderSchema.index({ "shipments.trackingNumber": 1 })
 
 // Generate order number before saving
 orderSchema.pre("save", async function (next) {
@@ -185,18 +450,79 @@ orderSchema.pre("save", async function (next) {
   next()
 })
 
-// Add status to history when status changes
+// Remember the stored status so saves can check the transition
+orderSchema.post("init", function () {
+  this.$locals.storedOrderStatus = this.orderStatus
+})
+
+// Reject illegal status changes and add status to history when status changes
 orderSchema.pre("save", function (next) {
   if (this.isModified("orderStatus") && !this.isNew) {
-    this.statusHistory.push({
-      status: this.orderStatus,
-      timestamp: new Date(),
-      note: `Order status changed to ${this.orderStatus}`,
-    })
+    const from = this.$locals.storedOrderStatus
+    if (from && from !== this.orderStatus && !this.constructor.canTransition(from, this.orderStatus)) {
+      return next(createHttpError(409, `Cannot change order status from ${from} to ${this.orderStatus}`))
+    }
+
+    if (!this.$locals.statusHistoryRecorded) {
+      this.statusHistory.push({
+        status: this.orderStatus,
+        timestamp: new Date(),
+        note: `Order status changed to ${this.orderStatus}`,
+      })
+    }
   }
   next()
 })
 
+orderSchema.post("save", function () {
+  this.$locals.storedOrderStatus = this.orderStatus
+  this.$locals.statusHistoryRecorded = false
+})
+
+// Whether an order may move from one status to another
+orderSchema.statics.canTransition = function (from, to) {
+  return Boolean(STATUS_TRANSITIONS[from]?.includes(to))
+}
+
+// Statuses from which an order may move to `status`
+orderSchema.statics.statusesTransitioningTo = function (status) {
+  return Object.keys(STATUS_TRANSITIONS).filter((from) => STATUS_TRANSITIONS[from].includes(status))
+}
+
+// Units of each line covered by shipments, keyed by order item ID
+orderSchema.methods.getShippedQuantities = function () {
+  const quantities = new Map()
+  for (const shipment of this.shipments) {
+    for (const line of shipment.items) {
+      const key = line.item.toString()
+      quantities.set(key, (quantities.get(key) || 0) + line.quantity)
+    }
+  }
+  return quantities
+}
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return this.constructor.canTransition(this.orderStatus, status)
+}
+
+// Move the order to a new status, recording who did it and why. Throws a 409 for
+// transitions the table does not allow. The change is persisted on save.
+orderSchema.methods.transitionTo = function (status, { note, updatedBy } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw createHttpError(409, `Cannot change order status from ${this.orderStatus} to ${status}`)
+  }
+
+  this.orderStatus = status
+  this.statusHistory.push({
+    status,
+    timestamp: new Date(),
+    note: note || `Order status changed to ${status}`,
+    updatedBy,
+  })
+  this.$locals.statusHistoryRecorded = true
+  return this
+}
+
 // Virtual for total items
 orderSchema.virtual("totalItems").get(function () {
   return this.items.reduce((total, item) => total + item.quantity, 0)
@@ -234,22 +560,229 @@ orderSchema.virtual("totalItems").get(function () {
  *               name:
  *                 type: string
  *               price:
- *                 type: number
+ *                 type: integer
+ *                 description: Minor units of the order currency, as are all order amounts
  *               quantity:
  *                 type: number
+ *               variant:
+ *                 type: object
+ *                 properties:
+ *                   variantId:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   value:
+ *                     type: string
+ *                   sku:
+ *                     type: string
+ *               requiresShipping:
+ *                 type: boolean
+ *               refundedQuantity:
+ *                 type: number
+ *               taxClass:
+ *                 type: string
+ *               taxRate:
+ *                 type: number
+ *               discountAmount:
+ *                 type: integer
+ *                 description: The line's share of the order discount
+ *               taxAmount:
+ *                 type: integer
  *         paymentMethod:
  *           type: string
  *           enum: [credit_card, debit_card, paypal, stripe, cash_on_delivery]
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed, refunded, partially_refunded]
+ *           enum: [pending, authorized, paid, failed, voided, refunded, partially_refunded]
+ *         paymentProvider:
+ *           type: string
+ *         paymentId:
+ *           type: string
  *         orderStatus:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, cancelled, returned]
+ *           enum: [pending, confirmed, processing, partially_shipped, shipped, delivered, cancelled, returned]
+ *           description: >
+ *             pending -> confirmed | processing | cancelled;
+ *             confirmed -> processing | partially_shipped | shipped | cancelled;
+ *             processing -> partially_shipped | shipped | cancelled; partially_shipped -> shipped;
+ *             shipped -> delivered | returned; delivered -> returned
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *               updatedBy:
+ *                 type: string
  *         subtotal:
- *           type: number
+ *           type: integer
+ *         taxAmount:
+ *           type: integer
+ *         pricesIncludeTax:
+ *           type: boolean
+ *         taxBreakdown:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               taxRate:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               taxClass:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               shipping:
+ *                 type: boolean
+ *               taxableAmount:
+ *                 type: integer
+ *               taxAmount:
+ *                 type: integer
+ *         shippingAmount:
+ *           type: integer
+ *         shippingMethod:
+ *           type: object
+ *           properties:
+ *             zone:
+ *               type: string
+ *             methodId:
+ *               type: string
+ *             name:
+ *               type: string
+ *             type:
+ *               type: string
+ *             estimatedDays:
+ *               type: object
+ *               properties:
+ *                 min:
+ *                   type: number
+ *                 max:
+ *                   type: number
+ *         discountAmount:
+ *           type: integer
+ *         promotions:
+ *           type: array
+ *           description: Automatic promotions applied, included in discountAmount
+ *           items:
+ *             type: object
+ *             properties:
+ *               promotion:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               discountAmount:
+ *                 type: integer
  *         totalAmount:
+ *           type: integer
+ *         currency:
+ *           type: string
+ *           description: Currency every amount on the order is in
+ *         baseCurrency:
+ *           type: string
+ *         exchangeRate:
  *           type: number
+ *           description: Units of currency per unit of baseCurrency, locked at checkout
+ *         currencyDecimals:
+ *           type: integer
+ *           description: Decimal places of the currency's minor unit
+ *         refundAmount:
+ *           type: integer
+ *         refunds:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Refund'
+ *         shipments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Shipment'
+ *     Shipment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: Order item ID
+ *               quantity:
+ *                 type: number
+ *         carrier:
+ *           type: string
+ *         trackingNumber:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [in_transit, out_for_delivery, delivered, exception]
+ *         events:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         amount:
+ *           type: integer
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: Order item ID
+ *               product:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               amount:
+ *                 type: integer
+ *         reason:
+ *           type: string
+ *         restocked:
+ *           type: boolean
+ *         provider:
+ *           type: string
+ *         providerRef:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         refundedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  */
 
 export default mongoose.model("Order", orderSchema)
@@ -0,0 +1,78 @@
+import mongoose from "mongoose"
+
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, "Payment provider is required"],
+    },
+    eventId: {
+      type: String,
+      required: [true, "Provider event ID is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Event type is required"],
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    // Why the event was ignored or failed, or how a late payment was reversed
+    reason: String,
+    payload: mongoose.Schema.Types.Mixed,
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Providers retry deliveries, so each event is stored once per provider
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true })
+paymentEventSchema.index({ order: 1 })
+paymentEventSchema.index({ status: 1 })
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         provider:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *           description: Event ID assigned by the payment provider
+ *         type:
+ *           type: string
+ *           example: payment.succeeded
+ *         order:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [processing, processed, ignored, failed]
+ *         reason:
+ *           type: string
+ *         payload:
+ *           type: object
+ *         attempts:
+ *           type: number
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+export default mongoose.model("PaymentEvent", paymentEventSchema)
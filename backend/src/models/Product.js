@@ -1,4 +1,5 @@
 import mongoose from "mongoose"
+import { minorUnits } from "../utils/money.js"
 
 const reviewSchema = new mongoose.Schema(
   {
@@ -70,18 +71,52 @@ const productSchema = new mongoose.Schema(
       unique: true,
       uppercase: true,
     },
+    // Prices are in minor units of the base currency, e.g. 1999 for $19.99
     price: {
       type: Number,
       required: [true, "Product price is required"],
       min: [0, "Price cannot be negative"],
+      validate: minorUnits,
     },
     comparePrice: {
       type: Number,
       min: [0, "Compare price cannot be negative"],
+      validate: minorUnits,
+    },
+    // Prices set for specific currencies instead of converting `price` at the exchange rate
+    currencyPrices: {
+      type: [
+        {
+          _id: false,
+          currency: {
+            type: String,
+            required: [true, "Currency is required"],
+            uppercase: true,
+            trim: true,
+          },
+          // Minor units of the currency
+          price: {
+            type: Number,
+            required: [true, "Price is required"],
+            min: [0, "Price cannot be negative"],
+            validate: minorUnits,
+          },
+          comparePrice: {
+            type: Number,
+            min: [0, "Compare price cannot be negative"],
+            validate: minorUnits,
+          },
+        },
+      ],
+      validate: {
+        validator: (prices) => new Set(prices.map((entry) => entry.currency)).size === prices.length,
+        message: "Only one price can be set per currency",
+      },
     },
     costPrice: {
       type: Number,
       min: [0, "Cost price cannot be negative"],
+      validate: minorUnits,
     },
     stock: {
       type: Number,
@@ -89,6 +124,11 @@ const productSchema = new mongoose.Schema(
       min: [0, "Stock cannot be negative"],
       default: 0,
     },
+    reserved: {
+      type: Number, // Units held by pending orders, not yet deducted from stock
+      default: 0,
+      min: [0, "Reserved quantity cannot be negative"],
+    },
     lowStockThreshold: {
       type: Number,
       default: 10,
@@ -108,17 +148,50 @@ const productSchema = new mongoose.Schema(
         alt: String,
       },
     ],
+    options: [
+      {
+        name: {
+          type: String, // e.g., "Size", "Color"
+          required: [true, "Option name is required"],
+          trim: true,
+        },
+        values: [
+          {
+            type: String, // e.g., "Large", "Red"
+            trim: true,
+          },
+        ],
+      },
+    ],
     variants: [
       {
-        name: String, // e.g., "Size", "Color"
-        value: String, // e.g., "Large", "Red"
-        price: Number,
-        stock: Number,
+        name: String, // e.g., "Size / Color"
+        value: String, // e.g., "Large / Red"
+        options: [
+          {
+            _id: false,
+            name: String,
+            value: String,
+          },
+        ],
+        price: {
+          type: Number,
+          validate: minorUnits,
+        },
+        stock: Number, // When set, the variant tracks its own inventory
+        reserved: {
+          type: Number,
+          default: 0,
+        },
         sku: String,
         image: {
           public_id: String,
           url: String,
         },
+        isActive: {
+          type: Boolean,
+          default: true,
+        },
       },
     ],
     attributes: [
@@ -199,6 +272,8 @@ const productSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   },
 )
 
@@ -210,6 +285,7 @@ productSchema.index({ brand: 1 })
 productSchema.index({ sku: 1 })
 productSchema.index({ price: 1 })
 productSchema.index({ stock: 1 })
+productSchema.index({ "variants.options.name": 1, "variants.options.value": 1 })
 productSchema.index({ isActive: 1 })
 productSchema.index({ isFeatured: 1 })
 productSchema.index({ averageRating: -1 })
@@ -228,6 +304,76 @@ productSchema.pre("save", function (next) {
   next()
 })
 
+// Regenerate the variant matrix when the option axes change
+productSchema.pre("save", function (next) {
+  if (this.isModified("options")) {
+    this.syncVariants()
+  }
+  next()
+})
+
+// Key identifying a combination of option values, independent of axis order.
+// Single-axis variants created before option axes existed are keyed by name/value.
+const optionKey = (variant) => {
+  const options = variant.options?.length > 0 ? variant.options : variant.name ? [variant] : []
+  return options
+    .map((option) => `${option.name}=${option.value}`)
+    .sort()
+    .join("|")
+}
+
+// Build the variant matrix from the option axes, one variant per combination of values.
+// Existing combinations keep their SKU, price, stock, image and active flag; combinations
+// no longer offered are deactivated rather than removed so past orders can still resolve them.
+// Without option axes the product is sold on its own and every generated variant is deactivated.
+productSchema.methods.syncVariants = function () {
+  if (this.options.length === 0) {
+    for (const variant of this.variants) {
+      if (variant.options?.length > 0) variant.isActive = false
+    }
+    return
+  }
+
+  const combinations = this.options.reduce(
+    (combos, option) => combos.flatMap((combo) => option.values.map((value) => [...combo, { name: option.name, value }])),
+    [[]],
+  )
+
+  const existingByKey = new Map(this.variants.map((variant) => [optionKey(variant), variant]))
+  const offeredKeys = new Set()
+
+  for (const combo of combinations) {
+    const key = optionKey({ options: combo })
+    offeredKeys.add(key)
+
+    const label = {
+      name: combo.map((option) => option.name).join(" / "),
+      value: combo.map((option) => option.value).join(" / "),
+    }
+    const existing = existingByKey.get(key)
+
+    if (existing) {
+      Object.assign(existing, label, { options: combo })
+    } else {
+      this.variants.push({
+        ...label,
+        options: combo,
+        sku: `${this.sku}-${combo.map((option) => option.value).join("-")}`
+          .toUpperCase()
+          .replace(/[^A-Z0-9-]/g, "-"),
+        stock: 0,
+        isActive: true,
+      })
+    }
+  }
+
+  for (const variant of this.variants) {
+    if (!offeredKeys.has(optionKey(variant))) {
+      variant.isActive = false
+    }
+  }
+}
+
 // Update average rating when reviews change
 productSchema.methods.updateRating = function () {
   if (this.reviews.length === 0) {
@@ -240,13 +386,41 @@ productSchema.methods.updateRating = function () {
   }
 }
 
-// Check if product is in stock
-productSchema.methods.isInStock = function (quantity = 1) {
+// Whether shoppers must pick a variant to buy this product
+productSchema.methods.requiresVariant = function () {
+  return this.options.length > 0
+}
+
+// Find a variant by its ID or SKU
+productSchema.methods.findVariant = function (idOrSku) {
+  if (!idOrSku) return null
+  const key = idOrSku.toString().toUpperCase()
+  return (
+    this.variants.find((variant) => variant._id.toString().toUpperCase() === key || variant.sku?.toUpperCase() === key) ||
+    null
+  )
+}
+
+// Units that can still be sold, for a variant tracking its own stock or the product
+productSchema.methods.availableFor = function (variant) {
+  if (variant && variant.stock != null) {
+    return Math.max(0, variant.stock - (variant.reserved || 0))
+  }
+  return this.available
+}
+
+// Check if product (or variant) is in stock, ignoring units reserved by pending orders
+productSchema.methods.isInStock = function (quantity = 1, variant) {
   if (!this.trackQuantity) return true
   if (this.allowBackorder) return true
-  return this.stock >= quantity
+  return this.availableFor(variant) >= quantity
 }
 
+// Virtual for units that can still be sold
+productSchema.virtual("available").get(function () {
+  return Math.max(0, this.stock - (this.reserved || 0))
+})
+
 // Virtual for discount percentage
 productSchema.virtual("discountPercentage").get(function () {
   if (this.comparePrice && this.comparePrice > this.price) {
@@ -294,14 +468,52 @@ productSchema.virtual("discountPercentage").get(function () {
  *         sku:
  *           type: string
  *         price:
- *           type: number
+ *           type: integer
  *           minimum: 0
+ *           description: Minor units of the base currency, e.g. 1999 for $19.99
  *         comparePrice:
- *           type: number
+ *           type: integer
  *           minimum: 0
+ *         salePrice:
+ *           type: integer
+ *           nullable: true
+ *           readOnly: true
+ *           description: Price after automatic promotions, in the currency shown; null without a discount
+ *         promotionsApplied:
+ *           type: array
+ *           readOnly: true
+ *           description: Names of the automatic promotions in salePrice
+ *           items:
+ *             type: string
+ *         currencyPrices:
+ *           type: array
+ *           description: Per-currency prices used instead of converting price at the exchange rate
+ *           items:
+ *             type: object
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 example: EUR
+ *               price:
+ *                 type: integer
+ *                 description: Minor units of the currency
+ *               comparePrice:
+ *                 type: integer
+ *         currency:
+ *           type: string
+ *           description: Currency of the returned prices (read-only)
+ *         basePrice:
+ *           type: integer
+ *           description: Price in the base currency when another currency was requested (read-only)
  *         stock:
  *           type: number
  *           minimum: 0
+ *         reserved:
+ *           type: number
+ *           description: Units held by pending orders
+ *         available:
+ *           type: number
+ *           description: stock - reserved (read-only)
  *         images:
  *           type: array
  *           items:
@@ -313,6 +525,42 @@ productSchema.virtual("discountPercentage").get(function () {
  *                 type: string
  *               alt:
  *                 type: string
+ *         options:
+ *           type: array
+ *           description: Option axes; the variant matrix is generated from them
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               values:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         variants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *               sku:
+ *                 type: string
+ *               price:
+ *                 type: integer
+ *               stock:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
  *         isActive:
  *           type: boolean
  *           default: true
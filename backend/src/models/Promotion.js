@@ -0,0 +1,314 @@
+import mongoose from "mongoose"
+import { minorUnits } from "../utils/money.js"
+
+const tierSchema = new mongoose.Schema(
+  {
+    // Lower bound (inclusive) of the amount in scope, in minor units of the base currency
+    minimumAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: minorUnits,
+    },
+    discountPercentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false },
+)
+
+const bundleItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  },
+  { _id: false },
+)
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Promotion name is required"],
+      trim: true,
+      maxlength: [100, "Promotion name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    // percentage: discountPercentage off every line in scope
+    // buy_x_get_y: every buyQuantity units in scope earn getQuantity more, the cheapest, at
+    //   discountPercentage off (100, the default, makes them free)
+    // tiered: the highest tier the amount in scope reaches sets the percentage off it
+    // free_shipping: the order ships free
+    // bundle: each complete set of bundleItems costs bundlePrice
+    type: {
+      type: String,
+      required: [true, "Promotion type is required"],
+      enum: ["percentage", "buy_x_get_y", "tiered", "free_shipping", "bundle"],
+    },
+    // Automatic promotions apply to every qualifying order without a code; the others are
+    // given through coupons with discount type promotion
+    automatic: {
+      type: Boolean,
+      default: false,
+    },
+    // Automatic promotions apply in descending priority, each to what the previous ones left
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // Once an exclusive automatic promotion applies, no lower priority one does
+    exclusive: {
+      type: Boolean,
+      default: false,
+    },
+    // Whether a coupon code may be used on an order this automatic promotion applies to
+    combinesWithCoupons: {
+      type: Boolean,
+      default: true,
+    },
+    // Which order lines the promotion looks at and how much of them the order needs.
+    // Amounts are in minor units of the base currency.
+    conditions: {
+      minimumOrderAmount: {
+        type: Number,
+        default: 0,
+        min: 0,
+        validate: minorUnits,
+      },
+      applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+      applicableCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      excludedProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+      excludedCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    },
+    // What the promotion gives; the fields used depend on the type
+    action: {
+      buyQuantity: {
+        type: Number,
+        min: 1,
+        required: [
+          function () {
+            return this.type === "buy_x_get_y"
+          },
+          "Buy quantity is required",
+        ],
+      },
+      getQuantity: {
+        type: Number,
+        min: 1,
+        required: [
+          function () {
+            return this.type === "buy_x_get_y"
+          },
+          "Get quantity is required",
+        ],
+      },
+      discountPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: [
+          function () {
+            return this.type === "percentage"
+          },
+          "Discount percentage is required",
+        ],
+      },
+      tiers: {
+        type: [tierSchema],
+        validate: {
+          validator: function (tiers) {
+            return this.type !== "tiered" || tiers.length > 0
+          },
+          message: "Tiered promotions need at least one tier",
+        },
+      },
+      bundleItems: {
+        type: [bundleItemSchema],
+        validate: {
+          validator: function (items) {
+            return this.type !== "bundle" || items.length > 0
+          },
+          message: "Bundles need at least one item",
+        },
+      },
+      bundlePrice: {
+        type: Number,
+        min: 0,
+        validate: minorUnits,
+        required: [
+          function () {
+            return this.type === "bundle"
+          },
+          "Bundle price is required",
+        ],
+      },
+      maximumDiscountAmount: {
+        type: Number,
+        min: 0,
+        validate: minorUnits,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 })
+promotionSchema.index({ automatic: 1, priority: -1 })
+
+// Validation: End date must be after start date
+promotionSchema.pre("save", function (next) {
+  if (this.endDate <= this.startDate) {
+    return next(new Error("End date must be after start date"))
+  }
+  next()
+})
+
+// Check if the promotion is running
+promotionSchema.methods.isValid = function () {
+  const now = new Date()
+  return this.isActive && this.startDate <= now && this.endDate >= now
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, buy_x_get_y, tiered, free_shipping, bundle]
+ *         automatic:
+ *           type: boolean
+ *           default: false
+ *           description: Applies to qualifying orders without a coupon code
+ *         priority:
+ *           type: number
+ *           default: 0
+ *           description: Automatic promotions apply in descending priority
+ *         exclusive:
+ *           type: boolean
+ *           default: false
+ *           description: Stops automatic promotions of lower priority from applying
+ *         combinesWithCoupons:
+ *           type: boolean
+ *           default: true
+ *         conditions:
+ *           type: object
+ *           properties:
+ *             minimumOrderAmount:
+ *               type: integer
+ *               description: Minor units of the base currency, counted over the lines in scope
+ *             applicableProducts:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             applicableCategories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             excludedProducts:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             excludedCategories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         action:
+ *           type: object
+ *           properties:
+ *             buyQuantity:
+ *               type: integer
+ *               example: 2
+ *             getQuantity:
+ *               type: integer
+ *               example: 1
+ *             discountPercentage:
+ *               type: number
+ *               description: >
+ *                 Percentage off the lines of percentage promotions, or off the "get" units of
+ *                 buy_x_get_y promotions (default 100)
+ *             tiers:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   minimumAmount:
+ *                     type: integer
+ *                     example: 10000
+ *                   discountPercentage:
+ *                     type: number
+ *                     example: 10
+ *             bundleItems:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   quantity:
+ *                     type: integer
+ *             bundlePrice:
+ *               type: integer
+ *               description: Minor units of the base currency per complete bundle
+ *             maximumDiscountAmount:
+ *               type: integer
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ */
+
+export default mongoose.model("Promotion", promotionSchema)
@@ -0,0 +1,155 @@
+import mongoose from "mongoose"
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId, // Order item subdocument ID
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    reason: String,
+  },
+  { _id: false },
+)
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: [(items) => items.length > 0, "At least one item is required"],
+    },
+    reason: {
+      type: String,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["requested", "approved", "rejected", "received"],
+      default: "requested",
+    },
+    adminNote: String,
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refund: mongoose.Schema.Types.ObjectId, // Order.refunds subdocument issued on receipt
+    approvedAt: Date,
+    rejectedAt: Date,
+    receivedAt: Date,
+    statusHistory: [
+      {
+        status: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        note: String,
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+returnRequestSchema.index({ order: 1 })
+returnRequestSchema.index({ user: 1 })
+returnRequestSchema.index({ status: 1, createdAt: -1 })
+
+// Generate RMA number before saving
+returnRequestSchema.pre("validate", async function (next) {
+  if (this.isNew && !this.rmaNumber) {
+    const count = await mongoose.model("ReturnRequest").countDocuments()
+    this.rmaNumber = `RMA-${Date.now()}-${(count + 1).toString().padStart(4, "0")}`
+  }
+  next()
+})
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         rmaNumber:
+ *           type: string
+ *         order:
+ *           type: string
+ *         user:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: Order item ID
+ *               product:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, received]
+ *         adminNote:
+ *           type: string
+ *         restocked:
+ *           type: boolean
+ *         refund:
+ *           type: string
+ *           description: ID of the order refund issued on receipt
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ */
+
+export default mongoose.model("ReturnRequest", returnRequestSchema)
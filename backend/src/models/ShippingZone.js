@@ -0,0 +1,206 @@
+import mongoose from "mongoose"
+import { minorUnits } from "../utils/money.js"
+
+const tierSchema = new mongoose.Schema(
+  {
+    // Lower bound (inclusive) in the method's weight unit, or in minor units for price tiers
+    min: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Upper bound (exclusive); open-ended when unset
+    max: Number,
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: minorUnits,
+    },
+  },
+  { _id: false },
+)
+
+const shippingMethodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Shipping method name is required"],
+    trim: true,
+  },
+  // flat: `rate` per shipment; weight/price: the tier matching the parcel's weight or value;
+  // free_over: `rate` unless the order value reaches `freeThreshold`. Rates and thresholds are
+  // in minor units of the base currency.
+  type: {
+    type: String,
+    required: true,
+    enum: ["flat", "weight", "price", "free_over"],
+  },
+  rate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: minorUnits,
+  },
+  tiers: [tierSchema],
+  weightUnit: {
+    type: String,
+    enum: ["kg", "g", "lb", "oz"],
+    default: "kg",
+  },
+  // Bill the greater of actual and volumetric weight (cm³ per kg, e.g. 5000) when set
+  volumetricDivisor: {
+    type: Number,
+    min: 1,
+  },
+  freeThreshold: {
+    type: Number,
+    min: 0,
+    validate: minorUnits,
+  },
+  estimatedDays: {
+    min: Number,
+    max: Number,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+})
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Shipping zone name is required"],
+      trim: true,
+      maxlength: [100, "Shipping zone name cannot exceed 100 characters"],
+    },
+    // ISO country codes; an empty list makes the zone a catch-all
+    countries: [
+      {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+    ],
+    states: [
+      {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+    ],
+    zipPrefixes: [
+      {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+    ],
+    methods: [shippingMethodSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+shippingZoneSchema.index({ countries: 1, isActive: 1 })
+
+// How specific the zone is; the most specific zone covering an address is used
+shippingZoneSchema.virtual("specificity").get(function () {
+  return (this.countries.length ? 1 : 0) + (this.states.length ? 2 : 0) + (this.zipPrefixes.length ? 4 : 0)
+})
+
+// Whether the zone covers an address
+shippingZoneSchema.methods.matchesAddress = function ({ country, state, zipCode }) {
+  const zip = String(zipCode || "").toUpperCase()
+  if (this.countries.length && !this.countries.includes(String(country || "").toUpperCase())) return false
+  if (this.states.length && !this.states.includes(String(state || "").toUpperCase())) return false
+  if (this.zipPrefixes.length && !this.zipPrefixes.some((prefix) => zip.startsWith(prefix))) return false
+  return true
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingMethod:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [flat, weight, price, free_over]
+ *         rate:
+ *           type: integer
+ *           description: >
+ *             Flat rate, or the rate below freeThreshold for free_over, in minor units of the base currency
+ *         tiers:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *               max:
+ *                 type: number
+ *               rate:
+ *                 type: integer
+ *         weightUnit:
+ *           type: string
+ *           enum: [kg, g, lb, oz]
+ *         volumetricDivisor:
+ *           type: number
+ *           description: cm³ per kg used to bill volumetric weight
+ *         freeThreshold:
+ *           type: integer
+ *         estimatedDays:
+ *           type: object
+ *           properties:
+ *             min:
+ *               type: number
+ *             max:
+ *               type: number
+ *         isActive:
+ *           type: boolean
+ *     ShippingZone:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         countries:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: ISO country codes; empty for a catch-all zone
+ *         states:
+ *           type: array
+ *           items:
+ *             type: string
+ *         zipPrefixes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         methods:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ *         isActive:
+ *           type: boolean
+ */
+
+export default mongoose.model("ShippingZone", shippingZoneSchema)
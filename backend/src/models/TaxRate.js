@@ -0,0 +1,109 @@
+import mongoose from "mongoose"
+
+const taxRateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Tax rate name is required"],
+      trim: true,
+      maxlength: [100, "Tax rate name cannot exceed 100 characters"],
+    },
+    country: {
+      type: String,
+      required: [true, "Country is required"],
+      uppercase: true,
+      trim: true,
+    },
+    // Empty state or zipPrefix matches every address in the country
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "",
+    },
+    zipPrefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "",
+    },
+    // Matches Product.taxClass; rates in the "shipping" class tax shipping charges
+    taxClass: {
+      type: String,
+      trim: true,
+      default: "standard",
+    },
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      min: [0, "Rate cannot be negative"],
+      max: [100, "Rate cannot exceed 100%"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+taxRateSchema.index({ country: 1, taxClass: 1, isActive: 1 })
+taxRateSchema.index({ country: 1, state: 1, zipPrefix: 1, taxClass: 1 }, { unique: true })
+
+// How specific the rate's region is; the most specific matching rate applies
+taxRateSchema.virtual("specificity").get(function () {
+  return (this.state ? 1 : 0) + this.zipPrefix.length * 2
+})
+
+// Whether the rate covers an address
+taxRateSchema.methods.matchesAddress = function ({ country, state, zipCode }) {
+  if (this.country !== String(country || "").toUpperCase()) return false
+  if (this.state && this.state !== String(state || "").toUpperCase()) return false
+  if (this.zipPrefix && !String(zipCode || "").toUpperCase().startsWith(this.zipPrefix)) return false
+  return true
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRate:
+ *       type: object
+ *       required:
+ *         - name
+ *         - country
+ *         - rate
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         country:
+ *           type: string
+ *           description: ISO country code
+ *           example: US
+ *         state:
+ *           type: string
+ *           description: Empty to match the whole country
+ *           example: CA
+ *         zipPrefix:
+ *           type: string
+ *           description: Empty to match every zip code
+ *           example: "900"
+ *         taxClass:
+ *           type: string
+ *           default: standard
+ *           description: Product tax class, or "shipping" for shipping charges
+ *         rate:
+ *           type: number
+ *           description: Percentage
+ *           example: 7.25
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ */
+
+export default mongoose.model("TaxRate", taxRateSchema)
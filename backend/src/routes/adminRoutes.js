@@ -1,5 +1,5 @@
 import express from "express"
-import { body } from "express-validator"
+import { body, param } from "express-validator"
 import {
   getDashboardStats,
   getSalesAnalytics,
@@ -13,6 +13,30 @@ import {
   createCoupon,
   updateCoupon,
   deleteCoupon,
+  getCouponCampaigns,
+  createCouponCampaign,
+  generateCouponCampaignCodes,
+  exportCouponCampaignCodes,
+  getAllPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  getAllTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  getAllShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  getAllCurrencies,
+  createCurrency,
+  updateCurrency,
+  deleteCurrency,
+  importCurrencyRates,
+  getEmailMessages,
+  getEmailMessage,
+  resendEmailMessage,
   getSystemHealth,
 } from "../controllers/adminController.js"
 import { protect, authorize } from "../middleware/authMiddleware.js"
@@ -248,6 +272,12 @@ router.delete("/categories/:id", deleteCategory)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaign
+ *         schema:
+ *           type: string
+ *         description: Only the codes of this campaign
  *     responses:
  *       200:
  *         description: Coupons retrieved successfully
@@ -272,7 +302,6 @@ router.get("/coupons", getAllCoupons)
  *               - code
  *               - name
  *               - discountType
- *               - discountValue
  *               - startDate
  *               - endDate
  *             properties:
@@ -282,9 +311,12 @@ router.get("/coupons", getAllCoupons)
  *                 type: string
  *               discountType:
  *                 type: string
- *                 enum: [percentage, fixed]
+ *                 enum: [percentage, fixed, promotion]
  *               discountValue:
  *                 type: number
+ *               promotion:
+ *                 type: string
+ *                 description: Promotion whose rule sets the discount, for promotion coupons
  *               startDate:
  *                 type: string
  *                 format: date-time
@@ -300,8 +332,23 @@ router.post(
   [
     body("code").trim().isLength({ min: 3, max: 20 }).withMessage("Coupon code must be 3-20 characters"),
     body("name").trim().isLength({ min: 1, max: 100 }).withMessage("Coupon name is required"),
-    body("discountType").isIn(["percentage", "fixed"]).withMessage("Invalid discount type"),
-    body("discountValue").isFloat({ min: 0 }).withMessage("Discount value must be positive"),
+    body("discountType").isIn(["percentage", "fixed", "promotion"]).withMessage("Invalid discount type"),
+    body("discountValue")
+      .if(body("discountType").not().equals("promotion"))
+      .isFloat({ min: 0 })
+      .withMessage("Discount value must be positive"),
+    body("promotion")
+      .if(body("discountType").equals("promotion"))
+      .isMongoId()
+      .withMessage("Promotion coupons need a valid promotion ID"),
+    body("discountValue")
+      .if(body("discountType").equals("fixed"))
+      .isInt()
+      .withMessage("Fixed discounts must be a whole number of minor units"),
+    body("minimumOrderAmount")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Minimum order amount must be a whole number of minor units"),
     body("startDate").isISO8601().withMessage("Valid start date is required"),
     body("endDate").isISO8601().withMessage("Valid end date is required"),
   ],
@@ -349,6 +396,793 @@ router.put("/coupons/:id", updateCoupon)
  */
 router.delete("/coupons/:id", deleteCoupon)
 
+const campaignQuantityValidation = body("quantity")
+  .isInt({ min: 1, max: 10000 })
+  .withMessage("Quantity must be between 1 and 10000")
+
+/**
+ * @swagger
+ * /api/admin/coupon-campaigns:
+ *   get:
+ *     summary: Get all coupon campaigns
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon campaigns retrieved successfully
+ */
+router.get("/coupon-campaigns", getCouponCampaigns)
+
+/**
+ * @swagger
+ * /api/admin/coupon-campaigns:
+ *   post:
+ *     summary: Create a coupon campaign and generate its codes
+ *     description: >
+ *       Generates `quantity` unique codes from the template, each a coupon with the given
+ *       discount, dates, limits and scope. Codes are single use unless usageLimit is given, and
+ *       are not listed among the available coupons.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - codeTemplate
+ *               - quantity
+ *               - discountType
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               codeTemplate:
+ *                 type: string
+ *                 example: SUMMER-######
+ *                 description: Each # is replaced by a random letter or digit
+ *               quantity:
+ *                 type: integer
+ *                 maximum: 10000
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, fixed, promotion]
+ *               discountValue:
+ *                 type: number
+ *               promotion:
+ *                 type: string
+ *               usageLimit:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Uses of each code
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Coupon campaign created
+ *       400:
+ *         description: Invalid coupon settings, or a template too short for the quantity
+ *       409:
+ *         description: Not enough unique codes could be generated from the template
+ */
+router.post(
+  "/coupon-campaigns",
+  [
+    body("name").trim().isLength({ min: 1, max: 100 }).withMessage("Campaign name is required"),
+    body("codeTemplate").trim().isLength({ min: 3, max: 20 }).withMessage("Code template must be 3-20 characters"),
+    campaignQuantityValidation,
+    body("discountType").isIn(["percentage", "fixed", "promotion"]).withMessage("Invalid discount type"),
+    body("discountValue")
+      .if(body("discountType").not().equals("promotion"))
+      .isFloat({ min: 0 })
+      .withMessage("Discount value must be positive"),
+    body("promotion")
+      .if(body("discountType").equals("promotion"))
+      .isMongoId()
+      .withMessage("Promotion coupons need a valid promotion ID"),
+    body("discountValue")
+      .if(body("discountType").equals("fixed"))
+      .isInt()
+      .withMessage("Fixed discounts must be a whole number of minor units"),
+    body("minimumOrderAmount")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Minimum order amount must be a whole number of minor units"),
+    body(["usageLimit", "usageLimitPerUser"])
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Usage limits must be at least 1"),
+    body("startDate").isISO8601().withMessage("Valid start date is required"),
+    body("endDate").isISO8601().withMessage("Valid end date is required"),
+  ],
+  validateRequest,
+  createCouponCampaign,
+)
+
+/**
+ * @swagger
+ * /api/admin/coupon-campaigns/{id}/codes:
+ *   post:
+ *     summary: Generate more codes for a coupon campaign
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 maximum: 10000
+ *     responses:
+ *       201:
+ *         description: Codes generated
+ *       404:
+ *         description: Coupon campaign not found
+ */
+router.post(
+  "/coupon-campaigns/:id/codes",
+  [campaignQuantityValidation],
+  validateRequest,
+  generateCouponCampaignCodes,
+)
+
+/**
+ * @swagger
+ * /api/admin/coupon-campaigns/{id}/codes/export:
+ *   get:
+ *     summary: Export a coupon campaign's codes as CSV
+ *     description: >
+ *       One row per code with its status (unused, partially_redeemed or redeemed), uses, usage
+ *       limit, whether it is active, and when, by whom and on which order it was last redeemed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV of the campaign's codes
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Coupon campaign not found
+ */
+router.get("/coupon-campaigns/:id/codes/export", exportCouponCampaignCodes)
+
+const taxRateValidation = [
+  body("name").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Tax rate name is required"),
+  body("country")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 2 })
+    .withMessage("Country must be a 2-letter ISO code"),
+  body("state").optional().trim().isString(),
+  body("zipPrefix").optional().trim().isString(),
+  body("taxClass").optional().trim().isLength({ min: 1 }).withMessage("Tax class cannot be empty"),
+  body("rate").optional().isFloat({ min: 0, max: 100 }).withMessage("Rate must be a percentage between 0 and 100"),
+  body("isActive").optional().isBoolean().withMessage("isActive must be a boolean"),
+]
+
+const promotionValidation = [
+  body("name").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Promotion name is required"),
+  body("type")
+    .optional()
+    .isIn(["percentage", "buy_x_get_y", "tiered", "free_shipping", "bundle"])
+    .withMessage("Invalid promotion type"),
+  body(["automatic", "exclusive", "combinesWithCoupons"]).optional().isBoolean().withMessage("Flags must be booleans"),
+  body("priority").optional().isInt().withMessage("Priority must be a whole number"),
+  body("conditions.minimumOrderAmount")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Minimum order amount must be a whole number of minor units"),
+  body([
+    "conditions.applicableProducts.*",
+    "conditions.applicableCategories.*",
+    "conditions.excludedProducts.*",
+    "conditions.excludedCategories.*",
+  ])
+    .isMongoId()
+    .withMessage("Products and categories must be valid IDs"),
+  body(["action.buyQuantity", "action.getQuantity"])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Quantities must be at least 1"),
+  body("action.discountPercentage")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Discount percentage must be between 0 and 100"),
+  body("action.tiers").optional().isArray().withMessage("Tiers must be an array"),
+  body("action.tiers.*.minimumAmount")
+    .isInt({ min: 0 })
+    .withMessage("Tier minimum must be a whole number of minor units"),
+  body("action.tiers.*.discountPercentage")
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Tier discount percentage must be between 0 and 100"),
+  body("action.bundleItems").optional().isArray().withMessage("Bundle items must be an array"),
+  body("action.bundleItems.*.product").isMongoId().withMessage("Bundle item product must be a valid ID"),
+  body("action.bundleItems.*.quantity").optional().isInt({ min: 1 }).withMessage("Bundle quantity must be at least 1"),
+  body(["action.bundlePrice", "action.maximumDiscountAmount"])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Amounts must be whole numbers of minor units"),
+  body("startDate").optional().isISO8601().withMessage("Valid start date is required"),
+  body("endDate").optional().isISO8601().withMessage("Valid end date is required"),
+]
+
+/**
+ * @swagger
+ * /api/admin/promotions:
+ *   get:
+ *     summary: Get all promotions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: automatic
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ */
+router.get("/promotions", getAllPromotions)
+
+/**
+ * @swagger
+ * /api/admin/promotions:
+ *   post:
+ *     summary: Create new promotion
+ *     description: >
+ *       Promotions are rules applied to the order lines in scope of their conditions: percentage off,
+ *       buy X get Y, spend tiers, free shipping and fixed price bundles. Customers get them through
+ *       coupons with discount type promotion, or on every qualifying order when automatic. Automatic
+ *       promotions apply in descending priority before any coupon; an exclusive one stops those
+ *       after it, and one that does not combine with coupons rejects coupon codes. Automatic
+ *       percentage promotions without a minimum show as sale prices on product listings.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *       400:
+ *         description: Invalid promotion, e.g. rule fields missing for its type
+ */
+router.post(
+  "/promotions",
+  [
+    body("name").exists().withMessage("Promotion name is required"),
+    body("type").exists().withMessage("Promotion type is required"),
+    body("startDate").exists().withMessage("Valid start date is required"),
+    body("endDate").exists().withMessage("Valid end date is required"),
+    ...promotionValidation,
+  ],
+  validateRequest,
+  createPromotion,
+)
+
+/**
+ * @swagger
+ * /api/admin/promotions/{id}:
+ *   put:
+ *     summary: Update promotion
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *       400:
+ *         description: Invalid promotion, e.g. rule fields missing for its type
+ *       404:
+ *         description: Promotion not found
+ */
+router.put("/promotions/:id", promotionValidation, validateRequest, updatePromotion)
+
+/**
+ * @swagger
+ * /api/admin/promotions/{id}:
+ *   delete:
+ *     summary: Delete promotion
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *       409:
+ *         description: Coupons still use the promotion
+ */
+router.delete("/promotions/:id", deletePromotion)
+
+/**
+ * @swagger
+ * /api/admin/tax-rates:
+ *   get:
+ *     summary: Get all tax rates
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: taxClass
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rates retrieved successfully
+ */
+router.get("/tax-rates", getAllTaxRates)
+
+/**
+ * @swagger
+ * /api/admin/tax-rates:
+ *   post:
+ *     summary: Create new tax rate
+ *     description: >
+ *       The most specific active rate for the shipping address and the product's tax class applies.
+ *       Rates in the "shipping" tax class make shipping taxable in their region.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRate'
+ *     responses:
+ *       201:
+ *         description: Tax rate created successfully
+ *       400:
+ *         description: A rate already exists for this region and tax class
+ */
+router.post(
+  "/tax-rates",
+  [
+    body("name").exists().withMessage("Tax rate name is required"),
+    body("country").exists().withMessage("Country is required"),
+    body("rate").exists().withMessage("Rate is required"),
+    ...taxRateValidation,
+  ],
+  validateRequest,
+  createTaxRate,
+)
+
+/**
+ * @swagger
+ * /api/admin/tax-rates/{id}:
+ *   put:
+ *     summary: Update tax rate
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRate'
+ *     responses:
+ *       200:
+ *         description: Tax rate updated successfully
+ */
+router.put("/tax-rates/:id", taxRateValidation, validateRequest, updateTaxRate)
+
+/**
+ * @swagger
+ * /api/admin/tax-rates/{id}:
+ *   delete:
+ *     summary: Delete tax rate
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rate deleted successfully
+ */
+router.delete("/tax-rates/:id", deleteTaxRate)
+
+const shippingZoneValidation = [
+  body("name").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Shipping zone name is required"),
+  body("countries").optional().isArray().withMessage("Countries must be an array"),
+  body("countries.*").trim().isLength({ min: 2, max: 2 }).withMessage("Countries must be 2-letter ISO codes"),
+  body("states").optional().isArray().withMessage("States must be an array"),
+  body("zipPrefixes").optional().isArray().withMessage("Zip prefixes must be an array"),
+  body("methods").optional().isArray().withMessage("Methods must be an array"),
+  body("methods.*.name").trim().isLength({ min: 1 }).withMessage("Shipping method name is required"),
+  body("methods.*.type").isIn(["flat", "weight", "price", "free_over"]).withMessage("Invalid shipping method type"),
+  body("methods.*.rate").optional().isInt({ min: 0 }).withMessage("Rate must be a whole number of minor units"),
+  body("methods.*.tiers").optional().isArray().withMessage("Tiers must be an array"),
+  body("methods.*.tiers.*.min").isFloat({ min: 0 }).withMessage("Tier minimum must be positive"),
+  body("methods.*.tiers.*.max")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Tier maximum must be positive"),
+  body("methods.*.tiers.*.rate").isInt({ min: 0 }).withMessage("Tier rate must be a whole number of minor units"),
+  body("methods.*.weightUnit").optional().isIn(["kg", "g", "lb", "oz"]).withMessage("Invalid weight unit"),
+  body("methods.*.freeThreshold")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Free threshold must be a whole number of minor units"),
+]
+
+/**
+ * @swagger
+ * /api/admin/shipping-zones:
+ *   get:
+ *     summary: Get all shipping zones
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping zones retrieved successfully
+ */
+router.get("/shipping-zones", getAllShippingZones)
+
+/**
+ * @swagger
+ * /api/admin/shipping-zones:
+ *   post:
+ *     summary: Create new shipping zone
+ *     description: The most specific active zone covering the shipping address offers its methods.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       201:
+ *         description: Shipping zone created successfully
+ */
+router.post(
+  "/shipping-zones",
+  [body("name").exists().withMessage("Shipping zone name is required"), ...shippingZoneValidation],
+  validateRequest,
+  createShippingZone,
+)
+
+/**
+ * @swagger
+ * /api/admin/shipping-zones/{id}:
+ *   put:
+ *     summary: Update shipping zone
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated successfully
+ */
+router.put("/shipping-zones/:id", shippingZoneValidation, validateRequest, updateShippingZone)
+
+/**
+ * @swagger
+ * /api/admin/shipping-zones/{id}:
+ *   delete:
+ *     summary: Delete shipping zone
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted successfully
+ */
+router.delete("/shipping-zones/:id", deleteShippingZone)
+
+const currencyValidation = [
+  body("name").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Currency name is required"),
+  body("exchangeRate").optional().isFloat({ gt: 0 }).withMessage("Exchange rate must be positive"),
+  body("isActive").optional().isBoolean().withMessage("isActive must be a boolean"),
+]
+
+/**
+ * @swagger
+ * /api/admin/currencies:
+ *   get:
+ *     summary: Get all currencies and the base currency
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Currencies retrieved successfully
+ */
+router.get("/currencies", getAllCurrencies)
+
+/**
+ * @swagger
+ * /api/admin/currencies:
+ *   post:
+ *     summary: Create new currency
+ *     description: >
+ *       Catalogue prices are in the base currency (BASE_CURRENCY, default USD) and are converted
+ *       at the exchange rate unless a product sets its own price for the currency.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Currency'
+ *     responses:
+ *       201:
+ *         description: Currency created successfully
+ *       400:
+ *         description: Currency already exists or is the base currency
+ */
+router.post(
+  "/currencies",
+  [
+    body("code")
+      .trim()
+      .isLength({ min: 3, max: 3 })
+      .isAlpha()
+      .withMessage("Currency code must be a 3-letter ISO code"),
+    body("name").exists().withMessage("Currency name is required"),
+    body("exchangeRate").exists().withMessage("Exchange rate is required"),
+    ...currencyValidation,
+  ],
+  validateRequest,
+  createCurrency,
+)
+
+/**
+ * @swagger
+ * /api/admin/currencies/rates/import:
+ *   post:
+ *     summary: Load exchange rates from the rates file
+ *     description: >
+ *       Reads EXCHANGE_RATES_FILE, a JSON file shaped { "base": "USD", "rates": { "EUR": 0.92 } },
+ *       and updates the rate of every existing currency it lists.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exchange rates updated
+ *       400:
+ *         description: No rates file is configured or it could not be read
+ */
+router.post("/currencies/rates/import", importCurrencyRates)
+
+/**
+ * @swagger
+ * /api/admin/currencies/{id}:
+ *   put:
+ *     summary: Update currency
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Currency'
+ *     responses:
+ *       200:
+ *         description: Currency updated successfully
+ */
+router.put("/currencies/:id", currencyValidation, validateRequest, updateCurrency)
+
+/**
+ * @swagger
+ * /api/admin/currencies/{id}:
+ *   delete:
+ *     summary: Delete currency
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Currency deleted successfully
+ *       400:
+ *         description: Products have prices in the currency; deactivate it instead
+ *       404:
+ *         description: Currency not found
+ */
+router.delete("/currencies/:id", deleteCurrency)
+
+/**
+ * @swagger
+ * /api/admin/emails:
+ *   get:
+ *     summary: Get outbound emails
+ *     description: Lists the email outbox, newest first. Message bodies are only returned by the detail endpoint.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sending, sent, failed]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email messages retrieved successfully
+ */
+router.get("/emails", getEmailMessages)
+
+const emailIdValidation = [param("id").isMongoId().withMessage("Valid email message ID is required")]
+
+/**
+ * @swagger
+ * /api/admin/emails/{id}:
+ *   get:
+ *     summary: Get an outbound email with its delivery log
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email message retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailMessage'
+ *       400:
+ *         description: Invalid email message ID
+ *       404:
+ *         description: Email message not found
+ */
+router.get("/emails/:id", emailIdValidation, validateRequest, getEmailMessage)
+
+/**
+ * @swagger
+ * /api/admin/emails/{id}/resend:
+ *   post:
+ *     summary: Queue a failed email again
+ *     description: The message gets a fresh set of delivery attempts and is sent by the next queue run.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email queued for delivery
+ *       400:
+ *         description: Invalid email message ID
+ *       404:
+ *         description: Email message not found
+ *       409:
+ *         description: The message has not failed, or its auth link has expired
+ */
+router.post("/emails/:id/resend", emailIdValidation, validateRequest, resendEmailMessage)
+
 /**
  * @swagger
  * /api/admin/system/health:
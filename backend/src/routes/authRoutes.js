@@ -47,6 +47,9 @@ const router = express.Router()
  *                 minLength: 6
  *               phone:
  *                 type: string
+ *               guestToken:
+ *                 type: string
+ *                 description: Guest cart token to merge into the new account (also accepted as X-Guest-Token header)
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -87,6 +90,9 @@ router.post(
  *                 format: email
  *               password:
  *                 type: string
+ *               guestToken:
+ *                 type: string
+ *                 description: Guest cart token to merge into the account (also accepted as X-Guest-Token header)
  *     responses:
  *       200:
  *         description: Login successful
@@ -0,0 +1,211 @@
+import express from "express"
+import { body, param } from "express-validator"
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  applyCartCoupon,
+  removeCartCoupon,
+  clearCart,
+} from "../controllers/cartController.js"
+import { optionalAuth } from "../middleware/authMiddleware.js"
+import { identifyCartOwner } from "../middleware/cartMiddleware.js"
+import { validateRequest } from "../middleware/validationMiddleware.js"
+
+const router = express.Router()
+
+// Carts work for logged-in users and for guests identified by the X-Guest-Token header
+router.use(optionalAuth, identifyCartOwner)
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get current cart re-priced against the catalogue
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ */
+router.get("/", getCart)
+
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     summary: Clear cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     responses:
+ *       200:
+ *         description: Cart cleared successfully
+ */
+router.delete("/", clearCart)
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add item to cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: Item added to cart
+ *       400:
+ *         description: Insufficient stock
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  "/items",
+  [
+    body("product").isMongoId().withMessage("Valid product ID is required"),
+    body("variant").optional().isMongoId().withMessage("Valid variant ID is required"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("Valid quantity is required"),
+  ],
+  validateRequest,
+  addCartItem,
+)
+
+/**
+ * @swagger
+ * /api/cart/items/{itemId}:
+ *   put:
+ *     summary: Update cart item quantity
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Cart item updated
+ *       404:
+ *         description: Cart item not found
+ */
+router.put(
+  "/items/:itemId",
+  [
+    param("itemId").isMongoId().withMessage("Valid cart item ID is required"),
+    body("quantity").isInt({ min: 1 }).withMessage("Valid quantity is required"),
+  ],
+  validateRequest,
+  updateCartItem,
+)
+
+/**
+ * @swagger
+ * /api/cart/items/{itemId}:
+ *   delete:
+ *     summary: Remove item from cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item removed from cart
+ */
+router.delete(
+  "/items/:itemId",
+  [param("itemId").isMongoId().withMessage("Valid cart item ID is required")],
+  validateRequest,
+  removeCartItem,
+)
+
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   post:
+ *     summary: Apply coupon to cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon applied to cart
+ *       400:
+ *         description: Invalid coupon
+ */
+router.post(
+  "/coupon",
+  [body("code").trim().isLength({ min: 1 }).withMessage("Coupon code is required")],
+  validateRequest,
+  applyCartCoupon,
+)
+
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   delete:
+ *     summary: Remove coupon from cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     responses:
+ *       200:
+ *         description: Coupon removed from cart
+ */
+router.delete("/coupon", removeCartCoupon)
+
+export default router
@@ -26,14 +26,34 @@ const router = express.Router()
  *               code:
  *                 type: string
  *               orderAmount:
- *                 type: number
+ *                 type: integer
+ *                 description: Minor units of the base currency
  *               items:
  *                 type: array
+ *                 description: >
+ *                   Order lines, so that coupons limited to products or categories are checked
+ *                   against them. orderAmount defaults to their total.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     price:
+ *                       type: integer
+ *                       description: Unit price in minor units of the base currency
+ *                     quantity:
+ *                       type: integer
  *     responses:
  *       200:
- *         description: Coupon validated successfully
+ *         description: >
+ *           Coupon validated successfully. The coupon applies after the automatic promotions,
+ *           which are listed with their discount in promotionDiscountAmount; finalAmount takes
+ *           off both.
  *       400:
- *         description: Invalid coupon
+ *         description: >
+ *           The coupon cannot be used. `reason` is one of inactive, not_started, expired,
+ *           usage_limit_reached, user_usage_limit_reached, user_not_eligible, not_first_order,
+ *           not_combinable, no_eligible_items, below_minimum or conditions_not_met.
  *       404:
  *         description: Coupon not found
  */
@@ -42,7 +62,18 @@ router.post(
   protect,
   [
     body("code").trim().isLength({ min: 1 }).withMessage("Coupon code is required"),
-    body("orderAmount").optional().isFloat({ min: 0 }).withMessage("Order amount must be positive"),
+    body("orderAmount")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Order amount must be a positive number of minor units")
+      .toInt(),
+    body("items").optional().isArray().withMessage("Items must be an array"),
+    body("items.*.product").isMongoId().withMessage("Item product must be a valid ID"),
+    body("items.*.price")
+      .isInt({ min: 0 })
+      .withMessage("Item price must be a positive number of minor units")
+      .toInt(),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Item quantity must be at least 1").toInt(),
   ],
   validateRequest,
   validateCoupon,
@@ -1,13 +1,18 @@
 import express from "express"
-import { body } from "express-validator"
+import { body, param } from "express-validator"
 import {
   createOrder,
   updateOrderStatus,
+  cancelUserOrder,
   updatePaymentStatus,
   getUserOrders,
   getOrder,
   getAllOrders,
 } from "../controllers/orderController.js"
+import { createRefund, getOrderRefunds } from "../controllers/refundController.js"
+import { getOrderInvoice, getRefundCreditNote } from "../controllers/invoiceController.js"
+import { createReturn, getOrderReturns } from "../controllers/returnController.js"
+import { createOrderShipment, getOrderShipments, addShipmentEvent } from "../controllers/shipmentController.js"
 import { protect, authorize } from "../middleware/authMiddleware.js"
 import { validateRequest } from "../middleware/validationMiddleware.js"
 
@@ -28,11 +33,13 @@ const router = express.Router()
  *           schema:
  *             type: object
  *             required:
- *               - items
  *               - shippingAddress
  *               - billingAddress
  *               - paymentMethod
  *             properties:
+ *               fromCart:
+ *                 type: boolean
+ *                 description: Check out the user's cart instead of the submitted items
  *               items:
  *                 type: array
  *                 items:
@@ -42,30 +49,73 @@ const router = express.Router()
  *                       type: string
  *                     quantity:
  *                       type: number
+ *                     variant:
+ *                       type: string
+ *                       description: Variant ID
+ *                     variantSku:
+ *                       type: string
+ *                       description: Variant SKU (alternative to variant)
  *               shippingAddress:
  *                 type: object
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                     description: 2-letter ISO country code
+ *                     example: US
  *               billingAddress:
  *                 type: object
  *               paymentMethod:
  *                 type: string
+ *               shippingMethod:
+ *                 type: string
+ *                 description: >
+ *                   Method ID from /api/shipping/quote; the cheapest method for the address when
+ *                   omitted. Without active shipping zones orders ship at DEFAULT_SHIPPING_RATE.
  *               couponCode:
  *                 type: string
+ *               currency:
+ *                 type: string
+ *                 description: Currency to charge in; defaults to the base currency. The exchange rate is locked on the order.
+ *                 example: EUR
  *     responses:
  *       201:
  *         description: Order created successfully
+ *       400:
+ *         description: >
+ *           Invalid order, or no shipping method covers the address. An unusable coupon comes with
+ *           a `reason` as from /api/coupons/validate; an unavailable shipping method with the
+ *           `quotes` that are available.
+ *       409:
+ *         description: Stock or coupon usage ran out during checkout
  */
 router.post(
   "/",
   protect,
   [
-    body("items").isArray({ min: 1 }).withMessage("At least one item is required"),
+    body("fromCart").optional().isBoolean().withMessage("fromCart must be a boolean").toBoolean(),
+    body("items")
+      .if((value, { req }) => !req.body.fromCart)
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
     body("items.*.product").isMongoId().withMessage("Valid product ID is required"),
     body("items.*.quantity").isInt({ min: 1 }).withMessage("Valid quantity is required"),
+    body("items.*.variant").optional().isMongoId().withMessage("Valid variant ID is required"),
+    body("items.*.variantSku").optional().trim().isLength({ min: 1 }).withMessage("Valid variant SKU is required"),
     body("shippingAddress").isObject().withMessage("Shipping address is required"),
+    body("shippingAddress.country")
+      .trim()
+      .isLength({ min: 2, max: 2 })
+      .withMessage("Country must be a 2-letter ISO code"),
     body("billingAddress").isObject().withMessage("Billing address is required"),
     body("paymentMethod")
       .isIn(["credit_card", "debit_card", "paypal", "stripe", "cash_on_delivery"])
       .withMessage("Valid payment method is required"),
+    body("shippingMethod").optional().isMongoId().withMessage("Valid shipping method is required"),
+    body("currency")
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 3 })
+      .withMessage("Currency must be a 3-letter ISO code"),
   ],
   validateRequest,
   createOrder,
@@ -137,6 +187,7 @@ router.get("/:id", protect, getOrder)
  * /api/orders/{id}/status:
  *   put:
  *     summary: Update order status (Admin only)
+ *     description: Only transitions allowed by the order status table are accepted (see Order.orderStatus).
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -157,16 +208,20 @@ router.get("/:id", protect, getOrder)
  *             properties:
  *               orderStatus:
  *                 type: string
- *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled, returned]
+ *                 enum: [pending, confirmed, processing, partially_shipped, shipped, delivered, cancelled]
+ *                 description: Orders become returned when their return requests are received
  *               trackingNumber:
  *                 type: string
  *               shippingCarrier:
  *                 type: string
  *               notes:
  *                 type: string
+ *                 description: Recorded in statusHistory; also the cancellation reason when cancelling
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       409:
+ *         description: Transition from the current status is not allowed
  */
 router.put(
   "/:id/status",
@@ -174,18 +229,67 @@ router.put(
   authorize("admin"),
   [
     body("orderStatus")
-      .isIn(["pending", "confirmed", "processing", "shipped", "delivered", "cancelled", "returned"])
+      .isIn([
+        "pending",
+        "confirmed",
+        "processing",
+        "partially_shipped",
+        "shipped",
+        "delivered",
+        "cancelled",
+      ])
       .withMessage("Valid order status is required"),
   ],
   validateRequest,
   updateOrderStatus,
 )
 
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   put:
+ *     summary: Cancel own order before it ships
+ *     description: >
+ *       Restocks the items, reverts coupon usage and voids or refunds the payment.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *       409:
+ *         description: Order has shipped and can no longer be cancelled
+ */
+router.put(
+  "/:id/cancel",
+  protect,
+  [
+    param("id").isMongoId().withMessage("Valid order ID is required"),
+    body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validateRequest,
+  cancelUserOrder,
+)
+
 /**
  * @swagger
  * /api/orders/{id}/payment:
  *   put:
- *     summary: Update payment status (Admin only)
+ *     summary: Update payment status of cash on delivery orders (Admin only)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -206,12 +310,15 @@ router.put(
  *             properties:
  *               paymentStatus:
  *                 type: string
- *                 enum: [pending, paid, failed, refunded, partially_refunded]
+ *                 enum: [pending, paid, failed]
+ *                 description: Refunds are recorded through /api/orders/{id}/refunds
  *               paymentId:
  *                 type: string
  *     responses:
  *       200:
  *         description: Payment status updated successfully
+ *       409:
+ *         description: Order is paid online through a payment provider
  */
 router.put(
   "/:id/payment",
@@ -219,11 +326,456 @@ router.put(
   authorize("admin"),
   [
     body("paymentStatus")
-      .isIn(["pending", "paid", "failed", "refunded", "partially_refunded"])
+      .isIn(["pending", "paid", "failed"])
       .withMessage("Valid payment status is required"),
   ],
   validateRequest,
   updatePaymentStatus,
 )
 
+/**
+ * @swagger
+ * /api/orders/{id}/invoice:
+ *   get:
+ *     summary: Download the invoice of an order as a PDF
+ *     description: >
+ *       The invoice is issued on first download with the next number of the year (INV-YYYY-NNNNNN)
+ *       and reprinted unchanged afterwards.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       409:
+ *         description: Order is not confirmed yet or was cancelled unpaid
+ */
+router.get(
+  "/:id/invoice",
+  protect,
+  [param("id").isMongoId().withMessage("Valid order ID is required")],
+  validateRequest,
+  getOrderInvoice,
+)
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds/{refundId}/credit-note:
+ *   get:
+ *     summary: Download the credit note of a refund as a PDF
+ *     description: >
+ *       The credit note is issued on first download with the next number of the year (CN-YYYY-NNNNNN)
+ *       and references the order's invoice, which is issued too if needed.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit note PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Refund not found
+ *       409:
+ *         description: Refund has not succeeded
+ */
+router.get(
+  "/:id/refunds/:refundId/credit-note",
+  protect,
+  [
+    param("id").isMongoId().withMessage("Valid order ID is required"),
+    param("refundId").isMongoId().withMessage("Valid refund ID is required"),
+  ],
+  validateRequest,
+  getRefundCreditNote,
+)
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   get:
+ *     summary: Get the refunds of an order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     refunds:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Refund'
+ *   post:
+ *     summary: Refund an order in full or by line items (Admin only)
+ *     description: >
+ *       Without items or amount the whole remaining balance is refunded. With items, each line is refunded
+ *       at its price after discount; quantity defaults to the unrefunded quantity of the line.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *               amount:
+ *                 type: integer
+ *                 description: Overrides the computed refund amount, in minor units of the order currency
+ *               reason:
+ *                 type: string
+ *               restock:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Refund recorded
+ *       400:
+ *         description: Invalid items, quantities or amount
+ *       409:
+ *         description: Order is not paid or already fully refunded
+ */
+router.get(
+  "/:id/refunds",
+  protect,
+  [param("id").isMongoId().withMessage("Valid order ID is required")],
+  validateRequest,
+  getOrderRefunds,
+)
+
+router.post(
+  "/:id/refunds",
+  protect,
+  authorize("admin"),
+  [
+    param("id").isMongoId().withMessage("Valid order ID is required"),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.itemId").isMongoId().withMessage("Valid order item ID is required"),
+    body("items.*.quantity").optional().isInt({ min: 1 }).withMessage("Valid quantity is required"),
+    body("amount")
+      .optional()
+      .isInt({ gt: 0 })
+      .withMessage("Refund amount must be a positive number of minor units")
+      .toInt(),
+    body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+    body("restock").optional().isBoolean().withMessage("Restock must be a boolean").toBoolean(),
+  ],
+  validateRequest,
+  createRefund,
+)
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns:
+ *   get:
+ *     summary: Get the return requests of an order
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return requests retrieved successfully
+ *   post:
+ *     summary: Request a return of delivered items
+ *     description: Returns can be requested within RETURN_WINDOW_DAYS (default 30) days of delivery.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                       description: Defaults to every unit not already being returned
+ *                     reason:
+ *                       type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return requested successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     returnRequest:
+ *                       $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Order not delivered, return window closed or invalid items
+ */
+router.get(
+  "/:id/returns",
+  protect,
+  [param("id").isMongoId().withMessage("Valid order ID is required")],
+  validateRequest,
+  getOrderReturns,
+)
+
+router.post(
+  "/:id/returns",
+  protect,
+  [
+    param("id").isMongoId().withMessage("Valid order ID is required"),
+    body("items").isArray({ min: 1 }).withMessage("At least one item is required"),
+    body("items.*.itemId").isMongoId().withMessage("Valid order item ID is required"),
+    body("items.*.quantity").optional().isInt({ min: 1 }).withMessage("Valid quantity is required"),
+    body("items.*.reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+    body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validateRequest,
+  createReturn,
+)
+
+/**
+ * @swagger
+ * /api/orders/{id}/shipments:
+ *   get:
+ *     summary: Get the shipments of an order
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipments retrieved successfully
+ *   post:
+ *     summary: Ship some or all of an order's items (Admin only)
+ *     description: >
+ *       The order becomes partially_shipped, shipped or delivered according to its shipments.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carrier
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 description: Defaults to every unshipped item
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Shipment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shipment:
+ *                       $ref: '#/components/schemas/Shipment'
+ *       409:
+ *         description: Order cannot be shipped in its current status
+ */
+router.get(
+  "/:id/shipments",
+  protect,
+  [param("id").isMongoId().withMessage("Valid order ID is required")],
+  validateRequest,
+  getOrderShipments,
+)
+
+router.post(
+  "/:id/shipments",
+  protect,
+  authorize("admin"),
+  [
+    param("id").isMongoId().withMessage("Valid order ID is required"),
+    body("carrier").trim().isLength({ min: 1 }).withMessage("Carrier is required"),
+    body("trackingNumber").optional().trim().isString(),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.itemId").isMongoId().withMessage("Valid order item ID is required"),
+    body("items.*.quantity").optional().isInt({ min: 1 }).withMessage("Valid quantity is required"),
+  ],
+  validateRequest,
+  createOrderShipment,
+)
+
+/**
+ * @swagger
+ * /api/orders/{id}/shipments/{shipmentId}/events:
+ *   post:
+ *     summary: Record a tracking event on a shipment (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in_transit, out_for_delivery, delivered, exception]
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Tracking event recorded
+ *       404:
+ *         description: Shipment not found
+ */
+router.post(
+  "/:id/shipments/:shipmentId/events",
+  protect,
+  authorize("admin"),
+  [
+    param("id").isMongoId().withMessage("Valid order ID is required"),
+    param("shipmentId").isMongoId().withMessage("Valid shipment ID is required"),
+    body("status")
+      .isIn(["in_transit", "out_for_delivery", "delivered", "exception"])
+      .withMessage("Valid tracking status is required"),
+    body("description").optional().trim().isString(),
+    body("location").optional().trim().isString(),
+    body("occurredAt").optional().isISO8601().withMessage("Valid event time is required"),
+  ],
+  validateRequest,
+  addShipmentEvent,
+)
+
 export default router
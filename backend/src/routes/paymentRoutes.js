@@ -0,0 +1,146 @@
+import express from "express"
+import { body, param } from "express-validator"
+import { createPaymentIntent, capturePayment, voidPayment, refundPayment } from "../controllers/paymentController.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { validateRequest } from "../middleware/validationMiddleware.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/payments/intents:
+ *   post:
+ *     summary: Create a payment intent for an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               simulate:
+ *                 type: string
+ *                 enum: [decline]
+ *                 description: Mock provider only - force a declined payment
+ *     responses:
+ *       201:
+ *         description: Payment intent created successfully
+ *       409:
+ *         description: Order is no longer pending, or is already paid or being paid
+ */
+router.post(
+  "/intents",
+  protect,
+  [body("orderId").isMongoId().withMessage("Valid order ID is required")],
+  validateRequest,
+  createPaymentIntent,
+)
+
+/**
+ * @swagger
+ * /api/payments/{orderId}/capture:
+ *   post:
+ *     summary: Capture the authorized payment of an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment captured successfully
+ *       409:
+ *         description: Order is no longer pending, or its payment is not authorized
+ */
+router.post(
+  "/:orderId/capture",
+  protect,
+  [param("orderId").isMongoId().withMessage("Valid order ID is required")],
+  validateRequest,
+  capturePayment,
+)
+
+/**
+ * @swagger
+ * /api/payments/{orderId}/void:
+ *   post:
+ *     summary: Void the uncaptured payment of an order (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment voided successfully
+ */
+router.post(
+  "/:orderId/void",
+  protect,
+  authorize("admin"),
+  [param("orderId").isMongoId().withMessage("Valid order ID is required")],
+  validateRequest,
+  voidPayment,
+)
+
+/**
+ * @swagger
+ * /api/payments/{orderId}/refund:
+ *   post:
+ *     summary: Refund the payment of an order (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Minor units of the order currency; defaults to the remaining refundable amount
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment refunded successfully
+ */
+router.post(
+  "/:orderId/refund",
+  protect,
+  authorize("admin"),
+  [
+    param("orderId").isMongoId().withMessage("Valid order ID is required"),
+    body("amount")
+      .optional()
+      .isInt({ gt: 0 })
+      .withMessage("Refund amount must be a positive number of minor units")
+      .toInt(),
+  ],
+  validateRequest,
+  refundPayment,
+)
+
+export default router
@@ -0,0 +1,48 @@
+import express from "express"
+import { handlePaymentWebhook } from "../controllers/paymentController.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Receive payment provider events
+ *     description: >
+ *       Called by the payment provider. The raw body must be signed with PAYMENT_WEBHOOK_SECRET
+ *       (X-Mock-Signature for the mock provider). Each event is processed once; replays are acknowledged
+ *       without effect.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.succeeded, payment.failed, payment.canceled, refund.succeeded]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   intentId:
+ *                     type: string
+ *                   objectId:
+ *                     type: string
+ *                   amount:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Missing or invalid signature
+ *       500:
+ *         description: Event could not be processed and should be retried
+ */
+// The signature is computed over the exact bytes sent, so the body is kept raw
+router.post("/", express.raw({ type: "*/*", limit: "1mb" }), handlePaymentWebhook)
+
+export default router
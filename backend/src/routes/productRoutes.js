@@ -6,6 +6,8 @@ import {
   createProduct,
   updateProduct,
   deleteProduct,
+  updateProductOptions,
+  updateProductVariant,
   addReview,
   getFeaturedProducts,
   getRelatedProducts,
@@ -41,9 +43,26 @@ const router = express.Router()
  *         name: search
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: options
+ *         style: deepObject
+ *         explode: true
+ *         description: Match option values, e.g. options[Size]=Large&options[Color]=Red,Blue
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *       - in: query
+ *         name: currency
+ *         description: Show prices, and read minPrice/maxPrice, in this currency instead of the base currency
+ *         schema:
+ *           type: string
+ *           example: EUR
  *     responses:
  *       200:
  *         description: Products retrieved successfully
+ *       400:
+ *         description: Currency is not supported
  */
 router.get("/", getProducts)
 
@@ -71,9 +90,17 @@ router.get("/featured", getFeaturedProducts)
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: currency
+ *         description: Show prices in this currency instead of the base currency
+ *         schema:
+ *           type: string
+ *           example: EUR
  *     responses:
  *       200:
  *         description: Product retrieved successfully
+ *       400:
+ *         description: Currency is not supported
  *       404:
  *         description: Product not found
  */
@@ -128,7 +155,8 @@ router.get("/:id/related", getRelatedProducts)
  *               sku:
  *                 type: string
  *               price:
- *                 type: number
+ *                 type: integer
+ *                 description: Minor units of the base currency, e.g. 1999 for $19.99
  *               stock:
  *                 type: number
  *               images:
@@ -150,7 +178,7 @@ router.post(
     body("description").trim().isLength({ min: 1, max: 2000 }).withMessage("Description is required"),
     body("category").isMongoId().withMessage("Valid category ID is required"),
     body("sku").trim().isLength({ min: 1 }).withMessage("SKU is required"),
-    body("price").isFloat({ min: 0 }).withMessage("Valid price is required"),
+    body("price").isInt({ min: 0 }).withMessage("Price must be a whole number of minor units"),
     body("stock").isInt({ min: 0 }).withMessage("Valid stock quantity is required"),
   ],
   validateRequest,
@@ -177,6 +205,114 @@ router.post(
  */
 router.put("/:id", protect, authorize("admin"), upload.array("images", 5), updateProduct)
 
+/**
+ * @swagger
+ * /api/products/{id}/options:
+ *   put:
+ *     summary: Set option axes and regenerate the variant matrix (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - options
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       200:
+ *         description: Product options updated successfully
+ */
+router.put(
+  "/:id/options",
+  protect,
+  authorize("admin"),
+  [
+    body("options").isArray().withMessage("Options must be an array"),
+    body("options.*.name").trim().isLength({ min: 1 }).withMessage("Option name is required"),
+    body("options.*.values").isArray({ min: 1 }).withMessage("Each option needs at least one value"),
+  ],
+  validateRequest,
+  updateProductOptions,
+)
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a product variant (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               price:
+ *                 type: integer
+ *                 description: Minor units of the base currency; null to use the product price
+ *               stock:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Product variant updated successfully
+ */
+router.put(
+  "/:id/variants/:variantId",
+  protect,
+  authorize("admin"),
+  upload.single("image"),
+  [
+    body("price")
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage("Price must be a whole number of minor units"),
+    body("stock").optional({ nullable: true }).isInt({ min: 0 }).withMessage("Valid stock quantity is required"),
+  ],
+  validateRequest,
+  updateProductVariant,
+)
+
 /**
  * @swagger
  * /api/products/{id}:
@@ -0,0 +1,189 @@
+import express from "express"
+import { body, param, query } from "express-validator"
+import {
+  getAllReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} from "../controllers/returnController.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { validateRequest } from "../middleware/validationMiddleware.js"
+
+const router = express.Router()
+
+const returnIdValidation = [param("id").isMongoId().withMessage("Valid return ID is required")]
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: Get all return requests (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Return requests retrieved successfully
+ */
+router.get(
+  "/",
+  protect,
+  authorize("admin"),
+  [
+    query("status")
+      .optional()
+      .isIn(["requested", "approved", "rejected", "received"])
+      .withMessage("Invalid return status"),
+  ],
+  validateRequest,
+  getAllReturns,
+)
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get return request by ID
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return request retrieved successfully
+ *       404:
+ *         description: Return request not found
+ */
+router.get("/:id", protect, returnIdValidation, validateRequest, getReturn)
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   put:
+ *     summary: Approve a return request (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return approved successfully
+ *       409:
+ *         description: Return is not awaiting review
+ */
+router.put("/:id/approve", protect, authorize("admin"), returnIdValidation, validateRequest, approveReturn)
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   put:
+ *     summary: Reject a return request (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected successfully
+ *       409:
+ *         description: Return has already been received or rejected
+ */
+router.put("/:id/reject", protect, authorize("admin"), returnIdValidation, validateRequest, rejectReturn)
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   put:
+ *     summary: Receive the items of an approved return (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *               refund:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Refund the returned items to the customer
+ *     responses:
+ *       200:
+ *         description: Return received successfully
+ *       409:
+ *         description: Return is not approved
+ */
+router.put(
+  "/:id/receive",
+  protect,
+  authorize("admin"),
+  [
+    ...returnIdValidation,
+    body("restock").optional().isBoolean().withMessage("Restock must be a boolean").toBoolean(),
+    body("refund").optional().isBoolean().withMessage("Refund must be a boolean").toBoolean(),
+  ],
+  validateRequest,
+  receiveReturn,
+)
+
+export default router
@@ -0,0 +1,97 @@
+import express from "express"
+import { body } from "express-validator"
+import { getShippingQuote } from "../controllers/shippingController.js"
+import { optionalAuth } from "../middleware/authMiddleware.js"
+import { identifyCartOwner } from "../middleware/cartMiddleware.js"
+import { validateRequest } from "../middleware/validationMiddleware.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/shipping/quote:
+ *   post:
+ *     summary: Quote available shipping methods for the cart or the given items
+ *     description: >
+ *       Weights are converted across kg, g, lb and oz and dimensions across cm, m, in and ft.
+ *       Without items the current cart (user or X-Guest-Token) is quoted.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - address
+ *             properties:
+ *               address:
+ *                 type: object
+ *                 required:
+ *                   - country
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   zipCode:
+ *                     type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Shipping quotes, cheapest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     requiresShipping:
+ *                       type: boolean
+ *                     quotes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           methodId:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                           amount:
+ *                             type: number
+ */
+router.post(
+  "/quote",
+  optionalAuth,
+  identifyCartOwner,
+  [
+    body("address.country").trim().isLength({ min: 2, max: 2 }).withMessage("Country must be a 2-letter ISO code"),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.product").isMongoId().withMessage("Valid product ID is required"),
+    body("items.*.variant").optional().isMongoId().withMessage("Valid variant ID is required"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Valid quantity is required"),
+  ],
+  validateRequest,
+  getShippingQuote,
+)
+
+export default router
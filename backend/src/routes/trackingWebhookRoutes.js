@@ -0,0 +1,48 @@
+import express from "express"
+import { handleTrackingWebhook } from "../controllers/shipmentController.js"
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/shipping/webhook:
+ *   post:
+ *     summary: Receive carrier tracking updates
+ *     description: >
+ *       Called by carriers. The raw body must be signed with the hex HMAC-SHA256 of CARRIER_WEBHOOK_SECRET
+ *       in the X-Carrier-Signature header. Repeated updates are acknowledged without effect.
+ *     tags: [Shipping]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - trackingNumber
+ *               - status
+ *             properties:
+ *               trackingNumber:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [in_transit, out_for_delivery, delivered, exception]
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Update received
+ *       400:
+ *         description: Missing or invalid signature, or malformed update
+ */
+// The signature is computed over the exact bytes sent, so the body is kept raw
+router.post("/", express.raw({ type: "*/*", limit: "1mb" }), handleTrackingWebhook)
+
+export default router
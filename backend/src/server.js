@@ -22,6 +22,12 @@ import userRoutes from "./routes/userRoutes.js"
 import productRoutes from "./routes/productRoutes.js"
 import categoryRoutes from "./routes/categoryRoutes.js"
 import orderRoutes from "./routes/orderRoutes.js"
+import cartRoutes from "./routes/cartRoutes.js"
+import paymentRoutes from "./routes/paymentRoutes.js"
+import paymentWebhookRoutes from "./routes/paymentWebhookRoutes.js"
+import returnRoutes from "./routes/returnRoutes.js"
+import shippingRoutes from "./routes/shippingRoutes.js"
+import trackingWebhookRoutes from "./routes/trackingWebhookRoutes.js"
 import couponRoutes from "./routes/couponRoutes.js"
 import reportRoutes from "./routes/reportRoutes.js"
 import analyticsRoutes from "./routes/analyticsRoutes.js"
@@ -51,6 +57,11 @@ app.use(
   }),
 )
 
+// Payment and carrier webhooks need the raw body for signature checks and come from
+// third parties, so they are mounted ahead of rate limiting and body parsing
+app.use("/api/payments/webhook", paymentWebhookRoutes)
+app.use("/api/shipping/webhook", trackingWebhookRoutes)
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -102,6 +113,10 @@ app.use("/api/users", userRoutes)
 app.use("/api/products", productRoutes)
 app.use("/api/categories", categoryRoutes)
 app.use("/api/orders", orderRoutes)
+app.use("/api/cart", cartRoutes)
+app.use("/api/payments", paymentRoutes)
+app.use("/api/returns", returnRoutes)
+app.use("/api/shipping", shippingRoutes)
 app.use("/api/coupons", couponRoutes)
 app.use("/api/reports", reportRoutes)
 app.use("/api/analytics", analyticsRoutes)
@@ -0,0 +1,191 @@
+import { randomInt } from "crypto"
+import Coupon from "../models/Coupon.js"
+import CouponCampaign from "../models/CouponCampaign.js"
+import CouponRedemption from "../models/CouponRedemption.js"
+import { createHttpError } from "./httpError.js"
+
+// Letters and digits that cannot be mistaken for each other (no 0/O or 1/I)
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"
+const PLACEHOLDER = "#"
+const BATCH_SIZE = 1000
+// Rounds in a row without a new code before giving up on a crowded template
+const MAX_IDLE_ROUNDS = 5
+
+// Coupon fields a campaign may set on its codes
+const SETTING_FIELDS = [
+  "discountType",
+  "discountValue",
+  "promotion",
+  "minimumOrderAmount",
+  "maximumDiscountAmount",
+  "usageLimit",
+  "usageLimitPerUser",
+  "startDate",
+  "endDate",
+  "applicableProducts",
+  "applicableCategories",
+  "excludedProducts",
+  "excludedCategories",
+  "firstTimeCustomersOnly",
+]
+
+const fillTemplate = (template) => template.replace(/#/g, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)])
+
+// Reject templates that cannot make valid coupon codes, or that leave so few possible codes
+// that random ones would keep colliding
+const checkTemplate = (template, quantity) => {
+  const placeholders = template.split(PLACEHOLDER).length - 1
+  if (template.length < 3 || template.length > 20) {
+    throw createHttpError(400, "Code template must be 3-20 characters, as coupon codes are")
+  }
+  if (placeholders === 0) {
+    throw createHttpError(400, `Code template needs at least one ${PLACEHOLDER} placeholder`)
+  }
+  if (CODE_ALPHABET.length ** placeholders < quantity * 100) {
+    throw createHttpError(
+      400,
+      `Code template is too short for ${quantity} codes; add more ${PLACEHOLDER} placeholders`,
+    )
+  }
+}
+
+// Pick the coupon settings of a campaign from a request body. Codes are single use unless a
+// usage limit is given.
+export const pickCouponSettings = (body) => {
+  const settings = Object.fromEntries(
+    SETTING_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]),
+  )
+  return { usageLimit: 1, ...settings }
+}
+
+// Create `quantity` new codes for a campaign from its template and settings, saving a new
+// campaign first. Candidates that exist already, or are taken concurrently, are replaced until
+// enough codes are created. Returns the number of codes created.
+export const generateCampaignCodes = async (campaign, quantity, createdBy) => {
+  checkTemplate(campaign.codeTemplate, quantity + campaign.codeCount)
+
+  const settings = campaign.couponSettings
+  if (new Date(settings.endDate) <= new Date(settings.startDate)) {
+    throw createHttpError(400, "End date must be after start date")
+  }
+
+  const buildCoupon = (code) =>
+    new Coupon({ ...settings, code, name: campaign.name, campaign: campaign._id, createdBy })
+
+  // Check the settings once; every code shares them
+  try {
+    await buildCoupon(fillTemplate(campaign.codeTemplate)).validate()
+  } catch (error) {
+    throw createHttpError(400, error.message)
+  }
+
+  if (campaign.isNew) await campaign.save()
+
+  let created = 0
+  let idleRounds = 0
+  try {
+    while (created < quantity) {
+      const candidates = new Set()
+      const wanted = Math.min(quantity - created, BATCH_SIZE)
+      while (candidates.size < wanted) candidates.add(fillTemplate(campaign.codeTemplate))
+
+      const taken = new Set(await Coupon.find({ code: { $in: [...candidates] } }).distinct("code"))
+      const codes = [...candidates].filter((code) => !taken.has(code))
+
+      let inserted = codes.length
+      try {
+        await Coupon.insertMany(codes.map(buildCoupon), { ordered: false })
+      } catch (error) {
+        // Duplicate codes lose the race to another insert; the rest are in
+        if (!error.writeErrors?.every((writeError) => writeError.code === 11000)) throw error
+        inserted -= error.writeErrors.length
+      }
+
+      created += inserted
+      idleRounds = inserted > 0 ? 0 : idleRounds + 1
+      if (idleRounds >= MAX_IDLE_ROUNDS) {
+        throw createHttpError(409, `Only ${created} unique codes could be generated from ${campaign.codeTemplate}`)
+      }
+    }
+  } finally {
+    // Codes created before a failure are kept, so they are counted either way
+    if (created > 0) {
+      await CouponCampaign.updateOne({ _id: campaign._id }, { $inc: { codeCount: created } })
+      campaign.codeCount += created
+    }
+  }
+
+  return created
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+const csvField = (value) => {
+  const text = value == null ? "" : value instanceof Date ? value.toISOString() : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvRow = (fields) => `${fields.map(csvField).join(",")}\r\n`
+
+// Whether a code can still be used, going by its uses alone
+const redemptionStatus = (coupon) => {
+  if (coupon.usedCount === 0) return "unused"
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) return "redeemed"
+  return "partially_redeemed"
+}
+
+// Write a campaign's codes as CSV, one row per code with its redemption status and its latest
+// redemption. Codes are read in batches so large campaigns are not held in memory.
+export const writeCampaignCodesCsv = async (campaign, write) => {
+  write(
+    csvRow([
+      "code",
+      "status",
+      "used_count",
+      "usage_limit",
+      "active",
+      "last_redeemed_at",
+      "last_redeemed_by",
+      "last_order",
+    ]),
+  )
+
+  const cursor = Coupon.find({ campaign: campaign._id })
+    .select("code usedCount usageLimit isActive")
+    .sort({ code: 1 })
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE })
+
+  let batch = []
+  const flush = async () => {
+    const redemptions = await CouponRedemption.find({ coupon: { $in: batch.map((coupon) => coupon._id) } })
+      .sort({ redeemedAt: 1 })
+      .populate("user", "email")
+      .populate("order", "orderNumber")
+      .lean()
+    // Later redemptions overwrite earlier ones, leaving the latest per code
+    const latest = new Map(redemptions.map((redemption) => [String(redemption.coupon), redemption]))
+
+    for (const coupon of batch) {
+      const redemption = latest.get(String(coupon._id))
+      write(
+        csvRow([
+          coupon.code,
+          redemptionStatus(coupon),
+          coupon.usedCount,
+          coupon.usageLimit,
+          coupon.isActive,
+          redemption?.redeemedAt,
+          redemption?.user?.email,
+          redemption?.order?.orderNumber,
+        ]),
+      )
+    }
+    batch = []
+  }
+
+  for await (const coupon of cursor) {
+    batch.push(coupon)
+    if (batch.length >= BATCH_SIZE) await flush()
+  }
+  if (batch.length > 0) await flush()
+}
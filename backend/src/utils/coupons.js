@@ -0,0 +1,148 @@
+import Category from "../models/Category.js"
+import CouponRedemption from "../models/CouponRedemption.js"
+import Order from "../models/Order.js"
+import Product from "../models/Product.js"
+import Promotion from "../models/Promotion.js"
+import { getBaseCurrency } from "./currency.js"
+import { formatMoney } from "./money.js"
+import { applyPromotion } from "./promotions.js"
+
+// Messages shown for each reason a coupon cannot be used
+const reasonMessages = {
+  inactive: () => "This coupon is no longer active",
+  not_started: () => "This coupon is not valid yet",
+  expired: () => "This coupon has expired",
+  usage_limit_reached: () => "This coupon has reached its usage limit",
+  user_usage_limit_reached: () => "You have already used this coupon the maximum number of times",
+  user_not_eligible: () => "This coupon is not available for your account",
+  not_first_order: () => "This coupon is only valid on your first order",
+  no_eligible_items: () => "None of the items in your order are eligible for this coupon",
+  conditions_not_met: () => "Your order does not meet the conditions of this promotion",
+  not_combinable: () => "This coupon cannot be combined with the promotions on your order",
+  below_minimum: (minimumAmount) =>
+    `Minimum order amount of ${formatMoney(minimumAmount, getBaseCurrency())} required`,
+}
+
+// Map of category ID -> parent ID for the given categories and all of their ancestors,
+// loaded one level of Category.parent at a time
+const loadCategoryParents = async (categoryIds, session) => {
+  const parents = new Map()
+  let pending = [...new Set(categoryIds.map(String))]
+
+  while (pending.length > 0) {
+    const categories = await Category.find({ _id: { $in: pending } })
+      .select("parent")
+      .session(session || null)
+    pending = []
+    for (const category of categories) {
+      const parentId = category.parent ? String(category.parent) : null
+      parents.set(String(category._id), parentId)
+      if (parentId && !parents.has(parentId)) pending.push(parentId)
+    }
+  }
+
+  return parents
+}
+
+// The categories and every category above them
+const withAncestors = (categoryIds, parents) => {
+  const found = new Set()
+  for (let id of categoryIds.map(String)) {
+    while (id && !found.has(id)) {
+      found.add(id)
+      id = parents.get(id)
+    }
+  }
+  return [...found]
+}
+
+// Coupon lines for order or cart items ({ product, price, quantity } with price in minor units
+// of the base currency), in item order. Lines are { product, categories, amount, quantity } and carry the product's category and subcategory
+// with all of their parent categories, so a coupon scoped to a category covers its subcategories.
+export const buildCouponLines = async (items, { session } = {}) => {
+  const productIds = [...new Set(items.map((item) => String(item.product?._id ?? item.product)))]
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select("category subcategory")
+    .session(session || null)
+
+  const productCategories = new Map(
+    products.map((product) => [String(product._id), [product.category, product.subcategory].filter(Boolean)]),
+  )
+  const parents = await loadCategoryParents([...productCategories.values()].flat(), session)
+
+  return items.map((item) => {
+    const productId = String(item.product?._id ?? item.product)
+    return {
+      product: productId,
+      categories: withAncestors(productCategories.get(productId) || [], parents),
+      amount: item.price * item.quantity,
+      quantity: item.quantity,
+    }
+  })
+}
+
+// Decide whether a user may use a coupon on an order and what it takes off. Lines are coupon
+// lines (see buildCouponLines) with amounts in minor units of the base currency; without lines
+// orderAmount counts as a single line outside any product or category.
+// Promotion coupons take their discount, and possibly free shipping, from the promotion's rule.
+// With automaticPromotions, the result of applyAutomaticPromotions for the same lines, the coupon
+// applies to what those promotions left of each line.
+// Returns { eligible: true, discountAmount, lineDiscounts, freeShipping } or
+// { eligible: false, reason, message } where reason is one of the keys of reasonMessages.
+export const evaluateCoupon = async (
+  coupon,
+  { userId, orderAmount = 0, lines = [], automaticPromotions, session } = {},
+) => {
+  const discountLines = (lines.length > 0 ? lines : [{ amount: orderAmount, quantity: 1 }]).map((line, index) => ({
+    ...line,
+    amount: line.amount - (automaticPromotions?.lineDiscounts[index] || 0),
+  }))
+  const eligibleAmount = discountLines
+    .filter((line) => coupon.appliesToLine(line))
+    .reduce((total, line) => total + line.amount, 0)
+
+  const userRedemptions = coupon.usageLimitPerUser
+    ? await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId }).session(session || null)
+    : 0
+
+  let reason = coupon.getUsageRestriction(userId, userRedemptions)
+  if (!reason && automaticPromotions && !automaticPromotions.combinesWithCoupons) reason = "not_combinable"
+  if (!reason && coupon.firstTimeCustomersOnly) {
+    const previousOrder = await Order.exists({ user: userId, orderStatus: { $ne: "cancelled" } }).session(
+      session || null,
+    )
+    if (previousOrder) reason = "not_first_order"
+  }
+  if (!reason && lines.length > 0 && eligibleAmount === 0) reason = "no_eligible_items"
+  if (!reason && (eligibleAmount === 0 || eligibleAmount < coupon.minimumOrderAmount)) reason = "below_minimum"
+
+  let minimumAmount = coupon.minimumOrderAmount
+  let result
+  if (!reason && coupon.discountType === "promotion") {
+    const promotion = await Promotion.findById(coupon.promotion).session(session || null)
+    result = promotion?.isValid() ? applyPromotion(promotion, discountLines) : { applied: false, reason: "inactive" }
+    if (!result.applied) reason = result.reason
+    minimumAmount = promotion?.conditions.minimumOrderAmount
+  }
+
+  if (reason) {
+    return { eligible: false, reason, message: reasonMessages[reason](minimumAmount) }
+  }
+
+  if (result) {
+    return {
+      eligible: true,
+      discountAmount: result.discountAmount,
+      lineDiscounts: result.lineDiscounts,
+      freeShipping: result.freeShipping,
+    }
+  }
+
+  const lineDiscounts = coupon.calculateLineDiscounts(discountLines)
+  return {
+    eligible: true,
+    discountAmount: lineDiscounts.reduce((total, discount) => total + discount, 0),
+    lineDiscounts,
+    freeShipping: false,
+  }
+}
@@ -0,0 +1,138 @@
+import { readFile } from "fs/promises"
+import Currency from "../models/Currency.js"
+import { createHttpError } from "./httpError.js"
+import { convertMinor, getCurrencyDecimals } from "./money.js"
+
+// Currency catalogue prices, shipping rates and coupon amounts are entered in, as minor units
+export const getBaseCurrency = () => (process.env.BASE_CURRENCY || "USD").toUpperCase()
+
+// Resolve a currency code to { code, exchangeRate } using the admin-managed rates.
+// The base currency always resolves at a rate of 1; other codes must be active.
+export const resolveCurrency = async (code) => {
+  const base = getBaseCurrency()
+  const requested = String(code || base).toUpperCase()
+  if (requested === base) {
+    return { code: base, exchangeRate: 1 }
+  }
+
+  const currency = await Currency.findOne({ code: requested, isActive: true })
+  if (!currency) {
+    throw createHttpError(400, `Currency is not supported: ${requested}`)
+  }
+  return { code: currency.code, exchangeRate: currency.exchangeRate }
+}
+
+// Convert minor units of the base currency into a resolved currency
+export const convertFromBase = (amount, currency) => {
+  if (amount == null) return amount
+  return convertMinor(amount, getBaseCurrency(), currency.code, currency.exchangeRate)
+}
+
+// Convert minor units of a resolved currency back into the base currency
+export const convertToBase = (amount, currency) => {
+  if (amount == null) return amount
+  return convertMinor(amount, currency.code, getBaseCurrency(), 1 / currency.exchangeRate)
+}
+
+// Aggregation expression converting an order amount field to minor units of the base
+// currency, using the rate and minor unit locked on the order. Orders placed before rates
+// existed count at a rate of 1.
+export const toBaseAmount = (field) => ({
+  $round: [
+    {
+      $divide: [
+        { $multiply: [field, 10 ** getCurrencyDecimals(getBaseCurrency())] },
+        {
+          $multiply: [
+            { $ifNull: ["$exchangeRate", 1] },
+            { $pow: [10, { $ifNull: ["$currencyDecimals", getCurrencyDecimals(getBaseCurrency())] }] },
+          ],
+        },
+      ],
+    },
+    0,
+  ],
+})
+
+// Price of a product, or one of its variants, in a resolved currency. A price override
+// entered for the currency on the product wins over converting the base price; variants
+// with their own price are always converted.
+export const localizePrice = (product, currency, variant) => {
+  if (variant?.price != null) {
+    return convertFromBase(variant.price, currency)
+  }
+
+  const override = product.currencyPrices?.find((entry) => entry.currency === currency.code)
+  if (override) return override.price
+  return convertFromBase(product.price, currency)
+}
+
+// Plain copy of a product with its prices shown in a resolved currency.
+// The stored base currency price is kept as basePrice.
+export const localizeProduct = (product, currency) => {
+  const localized = typeof product.toJSON === "function" ? product.toJSON() : { ...product }
+  if (currency.code === getBaseCurrency()) {
+    return { ...localized, currency: currency.code }
+  }
+
+  const override = product.currencyPrices?.find((entry) => entry.currency === currency.code)
+  const price = localizePrice(product, currency)
+  const comparePrice = override?.comparePrice ?? convertFromBase(product.comparePrice, currency)
+
+  return {
+    ...localized,
+    currency: currency.code,
+    basePrice: product.price,
+    price,
+    comparePrice,
+    discountPercentage:
+      comparePrice && comparePrice > price ? Math.round(((comparePrice - price) / comparePrice) * 100) : 0,
+    variants: localized.variants?.map((variant) => ({
+      ...variant,
+      price: convertFromBase(variant.price, currency),
+    })),
+  }
+}
+
+// Load exchange rates from a JSON file shaped { "base": "USD", "rates": { "EUR": 0.92 } }
+// (EXCHANGE_RATES_FILE by default). Rates quoted against another base are converted.
+// Only currencies that already exist are updated. Returns { updated, skipped }.
+export const importExchangeRates = async (filePath = process.env.EXCHANGE_RATES_FILE) => {
+  if (!filePath) {
+    throw createHttpError(400, "No exchange rates file is configured")
+  }
+
+  let data
+  try {
+    data = JSON.parse(await readFile(filePath, "utf8"))
+  } catch (error) {
+    throw createHttpError(400, `Could not read exchange rates file: ${error.message}`)
+  }
+
+  const base = getBaseCurrency()
+  const rates = { ...data.rates, [String(data.base || base).toUpperCase()]: 1 }
+  const baseRate = Number(rates[base])
+  if (!(baseRate > 0)) {
+    throw createHttpError(400, `Exchange rates file has no rate for the base currency ${base}`)
+  }
+
+  const currencies = await Currency.find()
+  const updated = []
+  const skipped = []
+
+  for (const currency of currencies) {
+    const rate = Number(rates[currency.code])
+    if (!(rate > 0)) {
+      skipped.push(currency.code)
+      continue
+    }
+
+    currency.exchangeRate = rate / baseRate
+    currency.rateSource = "file"
+    currency.rateUpdatedAt = new Date()
+    await currency.save()
+    updated.push(currency.code)
+  }
+
+  return { updated, skipped }
+}
@@ -0,0 +1,142 @@
+import EmailMessage from "../models/EmailMessage.js"
+import { createHttpError } from "./httpError.js"
+import { deliverEmail } from "./emailService.js"
+
+const BATCH_SIZE = 50
+// How long a worker may hold a message before another worker takes it over
+const LOCK_MINUTES = 5
+const LINK_EXPIRED = "The link in the message expired before it was delivered"
+
+// Delay before retrying after the given number of failed attempts: 1, 2, 4, 8... times
+// EMAIL_RETRY_BASE_SECONDS, capped at one day
+const retryDelay = (attempts) => {
+  const baseSeconds = Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 60
+  return Math.min(baseSeconds * 2 ** (attempts - 1), 24 * 60 * 60) * 1000
+}
+
+// Messages left in sending by a worker that died, once their lock has expired
+const abandoned = (now) => ({ status: "sending", lockedUntil: { $lte: now } })
+
+// Fail abandoned messages that have used up their attempts instead of sending them again
+const failExhaustedMessages = (now) =>
+  EmailMessage.updateMany(
+    { ...abandoned(now), $expr: { $gte: ["$attempts", "$maxAttempts"] } },
+    {
+      $set: { status: "failed", lastError: "Delivery was interrupted on the last attempt" },
+      $unset: { lockedUntil: "" },
+      $push: { deliveryLog: { status: "failed", error: "Delivery was interrupted on the last attempt" } },
+    },
+  )
+
+// Messages whose auth link has not expired, including messages without one
+const unexpired = (now) => ({ expiresAt: { $not: { $lte: now } } })
+
+// Fail undelivered messages whose auth link has expired, and drop the link from every expired message
+const expireMessages = async (now) => {
+  await EmailMessage.updateMany(
+    { $or: [{ status: "queued" }, abandoned(now)], expiresAt: { $lte: now } },
+    {
+      $set: { status: "failed", lastError: LINK_EXPIRED },
+      $unset: { lockedUntil: "" },
+      $push: { deliveryLog: { status: "failed", error: LINK_EXPIRED } },
+    },
+  )
+  await EmailMessage.updateMany({ expiresAt: { $lte: now }, data: { $exists: true } }, { $unset: { data: "" } })
+}
+
+// Claim the next due message. Abandoned messages with attempts left are retried.
+const claimNextMessage = (now) =>
+  EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { ...abandoned(now), $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+      ],
+      ...unexpired(now),
+    },
+    {
+      $set: { status: "sending", lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  ).select("+data")
+
+// Send one claimed message and record the outcome
+const sendMessage = async (message) => {
+  try {
+    const result = await deliverEmail(message)
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: { status: "sent", sentAt: new Date() },
+        $unset: { lockedUntil: "", lastError: "", data: "" },
+        $push: { deliveryLog: { attempt: message.attempts, status: "sent", messageId: result?.messageId } },
+      },
+    )
+    return true
+  } catch (error) {
+    const exhausted = message.attempts >= message.maxAttempts
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: exhausted ? "failed" : "queued",
+          nextAttemptAt: new Date(Date.now() + retryDelay(message.attempts)),
+          lastError: error.message,
+        },
+        $unset: { lockedUntil: "" },
+        $push: { deliveryLog: { attempt: message.attempts, status: "failed", error: error.message } },
+      },
+    )
+    console.error(`Email ${message._id} to ${message.to} failed (attempt ${message.attempts}):`, error.message)
+    return false
+  }
+}
+
+let processing = false
+
+// Send due messages from the outbox, at most BATCH_SIZE per run.
+// Returns { sent, failed }; runs that overlap a run in progress do nothing.
+export const processEmailQueue = async () => {
+  const outcome = { sent: 0, failed: 0 }
+  if (processing) return outcome
+
+  processing = true
+  try {
+    await failExhaustedMessages(new Date())
+    await expireMessages(new Date())
+    for (let count = 0; count < BATCH_SIZE; count++) {
+      const message = await claimNextMessage(new Date())
+      if (!message) break
+
+      const sent = await sendMessage(message)
+      outcome[sent ? "sent" : "failed"] += 1
+    }
+  } finally {
+    processing = false
+  }
+
+  return outcome
+}
+
+// Queue a failed message again with a fresh set of attempts. Messages whose auth link has expired are not resent.
+export const resendEmail = async (messageId, requeuedBy) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: messageId, status: "failed", ...unexpired(new Date()) },
+    {
+      $set: { status: "queued", attempts: 0, nextAttemptAt: new Date() },
+      $push: { deliveryLog: { status: "requeued", requeuedBy } },
+    },
+    { new: true },
+  )
+  if (message) return message
+
+  const existing = await EmailMessage.findById(messageId).select("status expiresAt")
+  if (!existing) {
+    throw createHttpError(404, "Email message not found")
+  }
+  if (existing.status !== "failed") {
+    throw createHttpError(409, "Only failed messages can be resent")
+  }
+  throw createHttpError(409, "The link in this message has expired, so it can no longer be resent")
+}
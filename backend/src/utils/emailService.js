@@ -1,8 +1,16 @@
-import nodemailer from "nodemailer"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import EmailMessage from "../models/EmailMessage.js"
+import { formatMoney } from "./money.js"
 
-// Create transporter
-const createTransporter = () => {
-  return nodemailer.createTransporter({
+// EMAIL_TRANSPORT selects how email leaves the app:
+// - smtp (default): sent through the SMTP_* server
+// - file: written as HTML files to EMAIL_OUTPUT_DIR, for working offline
+// - console: logged, for development and tests
+const createSmtpTransporter = async () => {
+  const { default: nodemailer } = await import("nodemailer")
+  return nodemailer.createTransport({
     host: process.env.SMTP_HOST,
     port: process.env.SMTP_PORT,
     secure: false, // true for 465, false for other ports
@@ -13,13 +21,82 @@ const createTransporter = () => {
   })
 }
 
+const createFileTransporter = () => ({
+  sendMail: async (mailOptions) => {
+    const outputDir = process.env.EMAIL_OUTPUT_DIR || path.join(os.tmpdir(), "emails")
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    const headers = [`From: ${mailOptions.from}`, `To: ${mailOptions.to}`, `Subject: ${mailOptions.subject}`]
+
+    await fs.mkdir(outputDir, { recursive: true })
+    const file = path.join(outputDir, `${messageId}.html`)
+    await fs.writeFile(file, `<!--\n${headers.join("\n")}\n-->\n${mailOptions.html}`)
+    return { messageId, file }
+  },
+})
+
+const createConsoleTransporter = () => ({
+  sendMail: async (mailOptions) => {
+    console.log(`[email] to=${mailOptions.to} subject="${mailOptions.subject}"`)
+    return { messageId: `console-${Date.now()}` }
+  },
+})
+
+// Create transporter
+const createTransporter = () => {
+  switch (process.env.EMAIL_TRANSPORT || "smtp") {
+    case "file":
+      return createFileTransporter()
+    case "console":
+      return createConsoleTransporter()
+    default:
+      return createSmtpTransporter()
+  }
+}
+
+const layout = (content) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        ${content}
+      </div>
+    `
+
+const money = (order, amount) => formatMoney(amount, order.currency)
+
+// Escape text entered by customers or admins (names, reasons, tracking details) for use in HTML
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char],
+  )
+
+// Order lines as a table; `items` defaults to every line of the order
+const itemsTable = (order, items = order.items) => `
+        <table style="width: 100%; border-collapse: collapse;">
+          ${items
+            .map(
+              (item) => `
+          <tr>
+            <td style="padding: 4px 0;">${escapeHtml(item.name)}${item.variant?.name ? ` (${escapeHtml(item.variant.name)}: ${escapeHtml(item.variant.value)})` : ""}</td>
+            <td style="padding: 4px 0; text-align: right;">&times; ${item.quantity}</td>
+          </tr>`,
+            )
+            .join("")}
+        </table>
+      `
+
+const orderButton = (data) => `
+        <a href="${data.orderUrl}" 
+           style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+          View Order
+        </a>
+      `
+
 // Email templates
 const emailTemplates = {
   emailVerification: (data) => ({
     subject: "Verify Your Email Address",
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Welcome ${data.name}!</h2>
+        <h2>Welcome ${escapeHtml(data.name)}!</h2>
         <p>Thank you for registering. Please verify your email address by clicking the button below:</p>
         <a href="${data.verificationUrl}" 
            style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
@@ -37,7 +114,7 @@ const emailTemplates = {
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2>Password Reset Request</h2>
-        <p>Hello ${data.name},</p>
+        <p>Hello ${escapeHtml(data.name)},</p>
         <p>You requested a password reset. Click the button below to reset your password:</p>
         <a href="${data.resetUrl}" 
            style="background-color: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
@@ -50,32 +127,141 @@ const emailTemplates = {
       </div>
     `,
   }),
+
+  // Order templates take { name, order, orderUrl } plus the fields noted on each
+  orderConfirmation: (data) => ({
+    subject: `Order Confirmation - ${data.order.orderNumber}`,
+    html: layout(`
+        <h2>Thank you for your order, ${escapeHtml(data.name)}!</h2>
+        <p>We have received order <strong>${data.order.orderNumber}</strong> and will let you know when it ships.</p>
+        ${itemsTable(data.order)}
+        <p>Subtotal: ${money(data.order, data.order.subtotal)}</p>
+        ${data.order.discountAmount > 0 ? `<p>Discount: -${money(data.order, data.order.discountAmount)}</p>` : ""}
+        <p>Shipping: ${money(data.order, data.order.shippingAmount)}</p>
+        <p>Tax: ${money(data.order, data.order.taxAmount)}</p>
+        <p><strong>Total: ${money(data.order, data.order.totalAmount)}</strong></p>
+        ${orderButton(data)}
+    `),
+  }),
+
+  paymentReceived: (data) => ({
+    subject: `Payment Received - ${data.order.orderNumber}`,
+    html: layout(`
+        <h2>Payment received</h2>
+        <p>Hello ${escapeHtml(data.name)},</p>
+        <p>We have received your payment of <strong>${money(data.order, data.order.totalAmount)}</strong> for order ${data.order.orderNumber}.</p>
+        ${orderButton(data)}
+    `),
+  }),
+
+  // shipment: { carrier, trackingNumber, items } where items are order lines with the shipped quantity
+  orderShipped: (data) => ({
+    subject: `Your Order Has Shipped - ${data.order.orderNumber}`,
+    html: layout(`
+        <h2>Your order is on its way</h2>
+        <p>Hello ${escapeHtml(data.name)},</p>
+        <p>The following items of order ${data.order.orderNumber} have shipped:</p>
+        ${itemsTable(data.order, data.shipment.items)}
+        ${
+          data.shipment.trackingNumber
+            ? `<p>Carrier: ${escapeHtml(data.shipment.carrier || "-")}<br>Tracking number: <strong>${escapeHtml(data.shipment.trackingNumber)}</strong></p>`
+            : ""
+        }
+        ${orderButton(data)}
+    `),
+  }),
+
+  orderDelivered: (data) => ({
+    subject: `Your Order Has Been Delivered - ${data.order.orderNumber}`,
+    html: layout(`
+        <h2>Your order has been delivered</h2>
+        <p>Hello ${escapeHtml(data.name)},</p>
+        <p>Order ${data.order.orderNumber} has been delivered. We hope you enjoy your purchase!</p>
+        <p>Something not right? You can request a return from your order page.</p>
+        ${orderButton(data)}
+    `),
+  }),
+
+  orderCancelled: (data) => ({
+    subject: `Order Cancelled - ${data.order.orderNumber}`,
+    html: layout(`
+        <h2>Your order has been cancelled</h2>
+        <p>Hello ${escapeHtml(data.name)},</p>
+        <p>Order ${data.order.orderNumber} has been cancelled.</p>
+        ${data.order.cancellationReason ? `<p>Reason: ${escapeHtml(data.order.cancellationReason)}</p>` : ""}
+        <p>Any payment taken for this order will be refunded to your original payment method.</p>
+        ${orderButton(data)}
+    `),
+  }),
+
+  // refund: the refund record; its items are the refunded lines
+  orderRefunded: (data) => ({
+    subject: `Refund Issued - ${data.order.orderNumber}`,
+    html: layout(`
+        <h2>Your refund is on its way</h2>
+        <p>Hello ${escapeHtml(data.name)},</p>
+        <p>We have refunded <strong>${money(data.order, data.refund.amount)}</strong> for order ${data.order.orderNumber}.</p>
+        ${data.refund.items?.length ? itemsTable(data.order, data.refund.items) : ""}
+        ${data.refund.reason ? `<p>Reason: ${escapeHtml(data.refund.reason)}</p>` : ""}
+        <p>It may take a few business days to appear on your statement.</p>
+        ${orderButton(data)}
+    `),
+  }),
+}
+
+// Templates whose link signs the user in to their account, with the data field holding the link
+// and how long the token in it is valid (see the token generators on the User model)
+const authLinkTemplates = {
+  emailVerification: { link: "verificationUrl", validFor: 24 * 60 * 60 * 1000 },
+  passwordReset: { link: "resetUrl", validFor: 10 * 60 * 1000 },
 }
 
-// Send email function
+// Queue an email for delivery. The message is rendered now and stored in the outbox, from
+// which the email queue worker sends it, retrying with backoff until EMAIL_MAX_ATTEMPTS.
+// Auth links are kept out of the stored HTML, which admins can read: those messages are
+// rendered again from their data when delivered, and expire with their token.
+// Returns the queued EmailMessage.
 export const sendEmail = async ({ to, subject, template, data }) => {
-  try {
-    const transporter = createTransporter()
-
-    let emailContent
-    if (template && emailTemplates[template]) {
-      emailContent = emailTemplates[template](data)
-    } else {
-      emailContent = { subject, html: data.html || data.text }
-    }
-
-    const mailOptions = {
-      from: process.env.EMAIL_FROM || "noreply@ecommerce.com",
-      to,
-      subject: emailContent.subject,
-      html: emailContent.html,
-    }
-
-    const result = await transporter.sendMail(mailOptions)
-    console.log("Email sent successfully:", result.messageId)
-    return result
-  } catch (error) {
-    console.error("Email sending failed:", error)
-    throw error
+  let emailContent
+  if (template && emailTemplates[template]) {
+    emailContent = emailTemplates[template](data)
+  } else {
+    emailContent = { subject, html: data.html || data.text }
   }
+
+  const message = {
+    to,
+    from: process.env.EMAIL_FROM || "noreply@ecommerce.com",
+    template,
+    subject: emailContent.subject,
+    html: emailContent.html,
+    maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+  }
+
+  const authLink = authLinkTemplates[template]
+  if (authLink) {
+    const { [authLink.link]: link, ...rest } = data
+    Object.assign(message, {
+      html: emailTemplates[template]({ ...rest, [authLink.link]: "[link removed]" }).html,
+      data: { name: rest.name, [authLink.link]: link },
+      expiresAt: new Date(Date.now() + authLink.validFor),
+    })
+  }
+
+  return EmailMessage.create(message)
+}
+
+// Hand a queued message to the configured transport. Throws when the transport rejects it.
+// Messages with an auth link need their `data` selected.
+export const deliverEmail = async (message) => {
+  const transporter = await createTransporter()
+
+  const mailOptions = {
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    html: message.data ? emailTemplates[message.template](message.data).html : message.html,
+  }
+
+  return transporter.sendMail(mailOptions)
 }
@@ -0,0 +1,27 @@
+import jwt from "jsonwebtoken"
+
+// Guest tokens carry their own audience, and their own secret when GUEST_TOKEN_SECRET is set,
+// so they are never mistaken for user tokens
+const GUEST_AUDIENCE = "guest-cart"
+const guestSecret = () => process.env.GUEST_TOKEN_SECRET || process.env.JWT_SECRET
+
+// Generate a signed token identifying an anonymous shopper's cart
+export const generateGuestToken = (guestId) => {
+  return jwt.sign({ guestId, type: "guest" }, guestSecret(), {
+    audience: GUEST_AUDIENCE,
+    expiresIn: process.env.GUEST_TOKEN_EXPIRE || "30d",
+  })
+}
+
+// Verify a guest token and return its guest ID, or null if it is invalid
+export const verifyGuestToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, guestSecret(), { audience: GUEST_AUDIENCE })
+    return decoded.type === "guest" && decoded.guestId ? decoded.guestId : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Read the guest token from the request header or body
+export const getGuestToken = (req) => req.headers["x-guest-token"] || req.body?.guestToken
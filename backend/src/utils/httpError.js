@@ -0,0 +1,7 @@
+// Create an error carrying the HTTP status the controller should respond with
+export const createHttpError = (statusCode, message, details) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  if (details) error.details = details
+  return error
+}
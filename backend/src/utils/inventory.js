@@ -0,0 +1,169 @@
+import Product from "../models/Product.js"
+import Order from "../models/Order.js"
+import { createHttpError } from "./httpError.js"
+
+// How long a pending order may hold stock before it is released
+export const getReservationExpiry = () => {
+  const minutes = Number(process.env.RESERVATION_TTL_MINUTES) || 30
+  return new Date(Date.now() + minutes * 60 * 1000)
+}
+
+// An order line draws from its variant's stock when the variant tracks its own stock,
+// otherwise from the product's stock
+export const getStockSource = (variant) => (variant && variant.stock != null ? "variant" : "product")
+
+// Aggregation expression for the units of a stock source not held by pending orders
+const availableExpr = (source, variantId) => {
+  if (source === "product") {
+    return { $subtract: ["$stock", { $ifNull: ["$reserved", 0] }] }
+  }
+
+  return {
+    $let: {
+      vars: {
+        variant: {
+          $arrayElemAt: [{ $filter: { input: "$variants", cond: { $eq: ["$$this._id", variantId] } } }, 0],
+        },
+      },
+      in: { $subtract: [{ $ifNull: ["$$variant.stock", 0] }, { $ifNull: ["$$variant.reserved", 0] }] },
+    },
+  }
+}
+
+// Build the $inc for stock/reserved on a stock source plus the product's totalSales
+const buildUpdate = (source, variantId, fields, totalSales = 0) => {
+  const prefix = source === "variant" ? "variants.$[variant]." : ""
+  const $inc = { totalSales }
+  for (const [field, amount] of Object.entries(fields)) {
+    $inc[`${prefix}${field}`] = amount
+  }
+
+  return {
+    update: { $inc },
+    options: source === "variant" ? { arrayFilters: [{ "variant._id": variantId }] } : {},
+  }
+}
+
+// Describe a change in sellable units for handleStockChange
+const toStockChange = (product, source, variantId, availableDelta) => {
+  const variant = source === "variant" ? product.variants.id(variantId) : null
+  const available = product.availableFor(variant)
+
+  return {
+    productId: product._id,
+    variantId: variant ? variant._id : undefined,
+    oldStock: available - availableDelta,
+    newStock: available,
+    product,
+  }
+}
+
+// Apply a guarded update to the line's stock source and return the resulting stock change.
+// Throws a 409 when the guard no longer holds, i.e. another checkout got there first.
+const takeStock = async (product, variant, quantity, fields, session) => {
+  const source = getStockSource(variant)
+  const variantId = variant?._id
+
+  const filter = { _id: product._id }
+  if (!product.allowBackorder) {
+    filter.$expr = { $gte: [availableExpr(source, variantId), quantity] }
+  }
+
+  const { update, options } = buildUpdate(source, variantId, fields, quantity)
+  const updated = await Product.findOneAndUpdate(filter, update, { ...options, new: true, session })
+
+  if (!updated) {
+    const label = variant ? `${product.name} (${variant.sku || variant.value})` : product.name
+    throw createHttpError(409, `Insufficient stock for product: ${label}`)
+  }
+
+  return { source, ...toStockChange(updated, source, variantId, -quantity) }
+}
+
+// Apply an unguarded update to the stock source an order line drew from
+const adjustLineStock = async (item, fields, totalSales, session) => {
+  const variantId = item.variant?.variantId
+  const { update, options } = buildUpdate(item.stockSource, variantId, fields, totalSales)
+  const updated = await Product.findOneAndUpdate({ _id: item.product }, update, { ...options, new: true, session })
+
+  if (!updated) return null
+
+  const availableDelta = (fields.stock || 0) - (fields.reserved || 0)
+  return toStockChange(updated, item.stockSource, variantId, availableDelta)
+}
+
+// Hold stock for an order line until the order is paid, confirmed or expires.
+// Returns null when the product does not track quantity.
+export const reserveStock = async (product, variant, quantity, session) => {
+  if (!product.trackQuantity) {
+    await Product.updateOne({ _id: product._id }, { $inc: { totalSales: quantity } }, { session })
+    return null
+  }
+
+  return takeStock(product, variant, quantity, { reserved: quantity }, session)
+}
+
+// Decrement stock for an order line straight away (orders that do not wait for payment).
+// Returns null when the product does not track quantity.
+export const decrementStock = async (product, variant, quantity, session) => {
+  if (!product.trackQuantity) {
+    await Product.updateOne({ _id: product._id }, { $inc: { totalSales: quantity } }, { session })
+    return null
+  }
+
+  return takeStock(product, variant, quantity, { stock: -quantity }, session)
+}
+
+// Turn the order's held reservations into real stock deductions.
+// The held -> committed flip is claimed atomically so this is safe to call more than once.
+export const commitReservation = async (order, session) => {
+  const claimed = await Order.updateOne(
+    { _id: order._id, "reservation.status": "held" },
+    { $set: { "reservation.status": "committed" } },
+    { session },
+  )
+  if (claimed.modifiedCount === 0) return false
+
+  for (const item of order.items.filter((line) => line.reserved)) {
+    await adjustLineStock(item, { stock: -item.quantity, reserved: -item.quantity }, 0, session)
+  }
+
+  order.reservation.status = "committed"
+  return true
+}
+
+// Give the order's held units back to the pool of sellable stock. Returns the stock
+// changes to broadcast, or null when the order held no reservation.
+export const releaseReservation = async (order, session) => {
+  const claimed = await Order.updateOne(
+    { _id: order._id, "reservation.status": "held" },
+    { $set: { "reservation.status": "released" } },
+    { session },
+  )
+  if (claimed.modifiedCount === 0) return null
+
+  const stockChanges = []
+  for (const item of order.items.filter((line) => line.reserved)) {
+    const stockChange = await adjustLineStock(item, { reserved: -item.quantity }, -item.quantity, session)
+    if (stockChange) stockChanges.push(stockChange)
+  }
+
+  order.reservation.status = "released"
+  return stockChanges
+}
+
+// Reverse the sale of `quantity` units of an order line, optionally putting them back into
+// the stock they were taken from. Returns the stock change to broadcast, or null when no
+// stock was returned.
+export const reverseLineSale = async (item, quantity, { restock = false } = {}, session) => {
+  const returnsStock = restock && Boolean(item.stockSource)
+  const stockChange = await adjustLineStock(item, returnsStock ? { stock: quantity } : {}, -quantity, session)
+  return returnsStock ? stockChange : null
+}
+
+// Put returned units of an order line back into the stock they were taken from.
+// Returns the stock change to broadcast, or null when the line's quantity is not tracked.
+export const returnLineStock = async (item, quantity, session) => {
+  if (!item.stockSource) return null
+  return adjustLineStock(item, { stock: quantity }, 0, session)
+}
@@ -0,0 +1,147 @@
+import PDFDocument from "pdfkit"
+import { formatMoney } from "./money.js"
+
+const MARGIN = 50
+const PAGE_BOTTOM = 760
+
+// Column x positions and widths of the line item table
+const COLUMNS = {
+  item: { x: 50, width: 190 },
+  sku: { x: 245, width: 80 },
+  quantity: { x: 330, width: 35 },
+  unitPrice: { x: 370, width: 80 },
+  total: { x: 455, width: 90 },
+}
+
+const formatAddress = (address) => {
+  if (!address) return ""
+  return [
+    `${address.firstName || ""} ${address.lastName || ""}`.trim(),
+    address.company,
+    address.address1,
+    address.address2,
+    `${address.city || ""}, ${address.state || ""} ${address.zipCode || ""}`.trim(),
+    address.country,
+  ]
+    .filter(Boolean)
+    .join("\n")
+}
+
+const drawHeader = (doc, invoice) => {
+  const title = invoice.type === "credit_note" ? "CREDIT NOTE" : "INVOICE"
+  doc.fontSize(20).text(title, MARGIN, MARGIN)
+  doc
+    .fontSize(10)
+    .text(`Number: ${invoice.number}`, MARGIN, 80)
+    .text(`Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`, MARGIN, 95)
+    .text(`Order: ${invoice.orderNumber}`, MARGIN, 110)
+
+  if (invoice.type === "credit_note") {
+    doc.text(`Credits invoice: ${invoice.invoiceNumber}`, MARGIN, 125)
+  }
+
+  const { seller } = invoice
+  const sellerLines = [seller.name, seller.address, seller.email, seller.taxId && `Tax ID: ${seller.taxId}`]
+  doc.text(sellerLines.filter(Boolean).join("\n"), 350, MARGIN, { width: 195, align: "right" })
+}
+
+const drawAddresses = (doc, invoice) => {
+  const top = 160
+  doc.fontSize(11).text("Bill to", MARGIN, top).text("Ship to", 300, top)
+
+  const billTo = [invoice.customer?.name, invoice.customer?.email].filter(Boolean).join("\n")
+  doc
+    .fontSize(9)
+    .text(formatAddress(invoice.billingAddress) || billTo, MARGIN, top + 15, { width: 230 })
+    .text(formatAddress(invoice.shippingAddress), 300, top + 15, { width: 230 })
+}
+
+const drawRow = (doc, y, cells, options = {}) => {
+  for (const [column, text] of Object.entries(cells)) {
+    const { x, width } = COLUMNS[column]
+    const align = column === "item" || column === "sku" ? "left" : "right"
+    doc.text(text ?? "", x, y, { width, align, ...options })
+  }
+}
+
+// Draw the line item table and return the y position below it
+const drawItems = (doc, invoice) => {
+  let y = 260
+  doc.fontSize(9).font("Helvetica-Bold")
+  drawRow(doc, y, { item: "Item", sku: "SKU", quantity: "Qty", unitPrice: "Unit price", total: "Amount" })
+  doc.font("Helvetica")
+  doc
+    .moveTo(MARGIN, y + 14)
+    .lineTo(545, y + 14)
+    .stroke()
+  y += 22
+
+  for (const item of invoice.items) {
+    const name = item.variant ? `${item.name}\n${item.variant}` : item.name
+    const height = doc.heightOfString(name, { width: COLUMNS.item.width })
+    if (y + height > PAGE_BOTTOM) {
+      doc.addPage()
+      y = MARGIN
+    }
+
+    drawRow(doc, y, {
+      item: name,
+      sku: item.sku,
+      quantity: String(item.quantity),
+      unitPrice: item.unitPrice != null ? formatMoney(item.unitPrice, invoice.currency) : "",
+      total: formatMoney(item.total, invoice.currency),
+    })
+    y += Math.max(height, 12) + 6
+  }
+
+  return y + 10
+}
+
+// Draw label / amount pairs aligned under the amount column
+const drawTotals = (doc, invoice, top) => {
+  const money = (amount) => formatMoney(amount, invoice.currency)
+  const rows = []
+
+  if (invoice.type === "credit_note") {
+    if (invoice.reason) rows.push(["Reason", invoice.reason])
+    rows.push(["Tax included", money(invoice.taxAmount)])
+    rows.push(["Total credited", money(invoice.totalAmount), true])
+  } else {
+    rows.push(["Subtotal", money(invoice.subtotal)])
+    if (invoice.discountAmount > 0) rows.push(["Discount", `-${money(invoice.discountAmount)}`])
+    rows.push(["Shipping", money(invoice.shippingAmount)])
+    for (const entry of invoice.taxBreakdown) {
+      const label = `${entry.name} (${entry.rate}%${entry.shipping ? " on shipping" : ""})`
+      rows.push([invoice.pricesIncludeTax ? `Incl. ${label}` : label, money(entry.taxAmount)])
+    }
+    if (invoice.taxBreakdown.length === 0) rows.push(["Tax", money(invoice.taxAmount)])
+    rows.push(["Total", money(invoice.totalAmount), true])
+  }
+
+  let y = top
+  if (y + rows.length * 16 > PAGE_BOTTOM) {
+    doc.addPage()
+    y = MARGIN
+  }
+
+  for (const [label, value, bold] of rows) {
+    doc.fontSize(10).font(bold ? "Helvetica-Bold" : "Helvetica")
+    doc.text(label, 300, y, { width: 150, align: "right" })
+    doc.text(value, COLUMNS.total.x, y, { width: COLUMNS.total.width, align: "right" })
+    y += 16
+  }
+  doc.font("Helvetica")
+}
+
+// Render an invoice or credit note. Returns the PDF document; pipe it to a response or file.
+export const renderInvoicePdf = (invoice) => {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN, info: { Title: invoice.number } })
+
+  drawHeader(doc, invoice)
+  drawAddresses(doc, invoice)
+  const itemsEnd = drawItems(doc, invoice)
+  drawTotals(doc, invoice, itemsEnd)
+
+  doc.end()
+  return doc
+}
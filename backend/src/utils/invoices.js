@@ -0,0 +1,158 @@
+import mongoose from "mongoose"
+import Counter from "../models/Counter.js"
+import Invoice from "../models/Invoice.js"
+import { createHttpError } from "./httpError.js"
+import { shareOf } from "./money.js"
+
+const NUMBER_PREFIXES = { invoice: "INV", credit_note: "CN" }
+
+// Order statuses and payment statuses that rule out an invoice: nothing has been sold yet
+const UNINVOICED_ORDER_STATUSES = ["pending"]
+const UNPAID_PAYMENT_STATUSES = ["pending", "failed", "voided"]
+
+// Seller details printed on invoices, configured with SELLER_NAME, SELLER_ADDRESS,
+// SELLER_EMAIL and SELLER_TAX_ID
+export const getSellerDetails = () => ({
+  name: process.env.SELLER_NAME || "",
+  address: process.env.SELLER_ADDRESS || "",
+  email: process.env.SELLER_EMAIL || "",
+  taxId: process.env.SELLER_TAX_ID || "",
+})
+
+const customerDetails = (order) => {
+  const user = order.user?.email ? order.user : null
+  const address = order.billingAddress
+  return {
+    name: user ? `${user.firstName} ${user.lastName}` : `${address.firstName} ${address.lastName}`,
+    email: user?.email,
+  }
+}
+
+const variantLabel = (variant) => (variant?.name ? `${variant.name}: ${variant.value}` : undefined)
+
+// Number and store a document in one transaction, so a failed write gives its number back.
+// When the document already exists (another request issued it first) that one is returned.
+const issue = async (type, fields, existingFilter) => {
+  const existing = await Invoice.findOne(existingFilter)
+  if (existing) return existing
+
+  const issuedAt = new Date()
+  const year = issuedAt.getUTCFullYear()
+  const session = await mongoose.startSession()
+
+  try {
+    let invoice
+    await session.withTransaction(async () => {
+      const sequence = await Counter.next(`${type}:${year}`, session)
+      const number = `${NUMBER_PREFIXES[type]}-${year}-${String(sequence).padStart(6, "0")}`
+      const created = await Invoice.create(
+        [{ ...fields, type, number, year, sequence, issuedAt, seller: getSellerDetails() }],
+        { session },
+      )
+      invoice = created[0]
+    })
+    return invoice
+  } catch (error) {
+    if (error.code === 11000) {
+      const raced = await Invoice.findOne(existingFilter)
+      if (raced) return raced
+    }
+    throw error
+  } finally {
+    await session.endSession()
+  }
+}
+
+// Get the invoice of an order, issuing it on first request. Orders are invoiced once they
+// are confirmed; unpaid orders that were cancelled never are.
+export const issueInvoice = async (order) => {
+  if (
+    UNINVOICED_ORDER_STATUSES.includes(order.orderStatus) ||
+    (order.orderStatus === "cancelled" && UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus))
+  ) {
+    throw createHttpError(409, `Cannot invoice an order that is ${order.orderStatus}`)
+  }
+
+  return issue(
+    "invoice",
+    {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      user: order.user?._id || order.user,
+      customer: customerDetails(order),
+      billingAddress: order.billingAddress,
+      shippingAddress: order.shippingAddress,
+      currency: order.currency,
+      items: order.items.map((item) => ({
+        name: item.name,
+        sku: item.variant?.sku || item.sku,
+        variant: variantLabel(item.variant),
+        quantity: item.quantity,
+        unitPrice: item.price,
+        discountAmount: item.discountAmount,
+        taxRate: item.taxRate,
+        taxAmount: item.taxAmount,
+        total: item.price * item.quantity - item.discountAmount,
+      })),
+      taxBreakdown: order.taxBreakdown.map((entry) => ({
+        name: entry.name,
+        rate: entry.rate,
+        shipping: entry.shipping,
+        taxableAmount: entry.taxableAmount,
+        taxAmount: entry.taxAmount,
+      })),
+      pricesIncludeTax: order.pricesIncludeTax,
+      subtotal: order.subtotal,
+      discountAmount: order.discountAmount,
+      shippingAmount: order.shippingAmount,
+      taxAmount: order.taxAmount,
+      totalAmount: order.totalAmount,
+    },
+    { order: order._id, type: "invoice" },
+  )
+}
+
+// Get the credit note of a succeeded refund, issuing it, and the order's invoice, on first
+// request. The tax it reverses is the refund's proportional share of the order's tax.
+export const issueCreditNote = async (order, refund) => {
+  if (refund.status !== "succeeded") {
+    throw createHttpError(409, `Cannot issue a credit note for a refund that is ${refund.status}`)
+  }
+
+  const invoice = await issueInvoice(order)
+
+  const items = refund.items.length
+    ? refund.items.map((line) => {
+        const item = order.items.id(line.item)
+        return {
+          name: line.name,
+          sku: item?.variant?.sku || item?.sku,
+          variant: variantLabel(item?.variant),
+          quantity: line.quantity,
+          total: line.amount,
+        }
+      })
+    : [{ name: refund.reason || "Refund", quantity: 1, total: refund.amount }]
+
+  return issue(
+    "credit_note",
+    {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      user: order.user?._id || order.user,
+      refund: refund._id,
+      invoice: invoice._id,
+      invoiceNumber: invoice.number,
+      reason: refund.reason,
+      customer: customerDetails(order),
+      billingAddress: order.billingAddress,
+      shippingAddress: order.shippingAddress,
+      currency: order.currency,
+      items,
+      pricesIncludeTax: true,
+      taxAmount: shareOf(order.taxAmount, refund.amount, order.totalAmount),
+      totalAmount: refund.amount,
+    },
+    { refund: refund._id, type: "credit_note" },
+  )
+}
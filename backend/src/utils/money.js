@@ -0,0 +1,75 @@
+// Money is held as integer minor units of its currency (cents for USD, yen for JPY) so that
+// sums never drift. Only the helpers below turn fractional values into minor units:
+// - converting from major units, between currencies, and taking a percentage (tax, percentage
+//   discounts) round half away from zero to a whole minor unit
+// - splitting an amount over parts (discount allocation, partial refunds) uses the largest
+//   remainder method, so the parts always add back up to the whole
+
+// Decimal places of a currency's minor unit, e.g. 2 for USD and 0 for JPY
+export const getCurrencyDecimals = (code) => {
+  try {
+    return new Intl.NumberFormat("en", { style: "currency", currency: code }).resolvedOptions()
+      .maximumFractionDigits
+  } catch {
+    return 2
+  }
+}
+
+// Round a fractional number of minor units half away from zero
+export const roundMinor = (value) => Math.sign(value) * Math.round(Math.abs(value))
+
+// Mongoose validator for fields holding minor units
+export const minorUnits = {
+  validator: (value) => value == null || Number.isSafeInteger(value),
+  message: "{PATH} must be a whole number of minor units",
+}
+
+// Convert a major unit amount such as 12.34 to minor units. Shifting the exponent in the
+// string form avoids binary float error, e.g. 1.005 becomes 101 rather than 100.
+export const toMinor = (amount, code) => {
+  const decimals = getCurrencyDecimals(code)
+  const shifted = Number(`${Math.abs(Number(amount))}e${decimals}`)
+  return Math.sign(amount) * Math.round(shifted)
+}
+
+// Convert minor units back to a major unit amount for display or export
+export const fromMinor = (minor, code) => minor / 10 ** getCurrencyDecimals(code)
+
+// Format minor units for display, e.g. "$1,234.50" or "¥1,000"
+export const formatMoney = (minor, code) => {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: code }).format(fromMinor(minor || 0, code))
+}
+
+// A percentage of an amount, e.g. tax at 7.25% or a 15% discount
+export const percentageOf = (minor, percent) => roundMinor((minor * percent) / 100)
+
+// The share of an amount matching part / whole, e.g. the price of 2 of 3 units of a line.
+// Shares taken cumulatively (0..a, a..b, ...) add up exactly to the amount.
+export const shareOf = (minor, part, whole) => {
+  return whole > 0 ? roundMinor((minor * part) / whole) : 0
+}
+
+// Split an amount over parts in proportion to their weights, handing leftover minor units
+// to the parts with the largest remainders so the result always sums to the amount
+export const allocateMinor = (minor, weights) => {
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0)
+  if (totalWeight <= 0) return weights.map(() => 0)
+
+  const exact = weights.map((weight) => (minor * weight) / totalWeight)
+  const parts = exact.map((value) => Math.floor(value))
+  let leftover = minor - parts.reduce((total, part) => total + part, 0)
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length, leftover -= 1) {
+    parts[byRemainder[i].index] += 1
+  }
+  return parts
+}
+
+// Convert minor units between currencies, where rate is units of `to` per unit of `from`
+export const convertMinor = (minor, from, to, rate) => {
+  const exponent = getCurrencyDecimals(to) - getCurrencyDecimals(from)
+  return roundMinor(minor * rate * 10 ** exponent)
+}
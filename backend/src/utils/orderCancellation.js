@@ -0,0 +1,161 @@
+import mongoose from "mongoose"
+import Order from "../models/Order.js"
+import Coupon from "../models/Coupon.js"
+import CouponRedemption from "../models/CouponRedemption.js"
+import { createHttpError } from "./httpError.js"
+import { releaseReservation, reverseLineSale } from "./inventory.js"
+import { getPaymentProvider, toPaymentStatus } from "./payments/index.js"
+import { applyPaymentResult } from "./payments/orderPayments.js"
+import { refundOrder } from "./refunds.js"
+import { handleOrderStatusChange, handleStockChanges } from "./realtimeEvents.js"
+
+// Give the order's units back: held reservations are released, stock that was already
+// deducted is returned, and totalSales is reversed for every line either way. Units that
+// have shipped are with the customer and stay sold.
+const restoreStock = async (order, session) => {
+  const released = await releaseReservation(order, session)
+  const stockChanges = released || []
+  const shipped = order.getShippedQuantities()
+
+  for (const item of order.items) {
+    // Reserved lines were handled by the release above
+    if (released && item.reserved) continue
+
+    const quantity = item.quantity - item.refundedQuantity - (shipped.get(item._id.toString()) || 0)
+    if (quantity <= 0) continue
+
+    const stockChange = await reverseLineSale(item, quantity, { restock: true }, session)
+    if (stockChange) stockChanges.push(stockChange)
+  }
+
+  return stockChanges
+}
+
+// Remove the order's coupon redemption and give the use back. Only the call that removes the
+// redemption decrements usedCount, so it is never decremented twice.
+const revertCouponUsage = async (order, session) => {
+  if (!order.coupon?.code) return
+
+  const redemption = await CouponRedemption.findOneAndDelete({ order: order._id }, { session })
+  if (!redemption) return
+
+  await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: -1 } }, { session })
+}
+
+// Void an authorized payment at the provider and record the result on the order
+const voidPayment = async (order) => {
+  const result = await getPaymentProvider(order.paymentProvider).void(order.paymentId)
+  await applyPaymentResult(order, {
+    type: "void",
+    providerRef: result.id,
+    status: result.status,
+    paymentStatus: toPaymentStatus(result.status),
+  })
+}
+
+// Void an authorized payment or refund whatever has been captured and not refunded yet
+const reversePayment = async (order, { reason, cancelledBy }) => {
+  if (order.paymentStatus === "authorized") {
+    await voidPayment(order)
+  } else if (["paid", "partially_refunded"].includes(order.paymentStatus)) {
+    await refundOrder(order, {
+      amount: order.totalAmount - order.refundAmount,
+      reason: reason || "Order cancelled",
+      refundedBy: cancelledBy,
+    })
+  }
+}
+
+// Cancel an order that has not shipped in full: restock its unshipped items, reverse totalSales,
+// revert the coupon usage and give the payment back. Which statuses may be cancelled comes from the
+// Order transition table; `conditions` further restricts which orders may be cancelled. Stock and coupon changes run in one transaction with the status change;
+// a failed payment reversal leaves the order cancelled and is returned as paymentError.
+export const cancelOrder = async (orderId, { reason, cancelledBy, conditions = {} } = {}) => {
+  const session = await mongoose.startSession()
+
+  let order
+  let oldStatus
+  let stockChanges
+  try {
+    await session.withTransaction(async () => {
+      const current = await Order.findById(orderId).session(session)
+      if (!current) {
+        throw createHttpError(404, "Order not found")
+      }
+      oldStatus = current.orderStatus
+
+      // Claimed atomically so an order is only ever cancelled, and restocked, once
+      order = await Order.findOneAndUpdate(
+        { _id: orderId, orderStatus: { $in: Order.statusesTransitioningTo("cancelled") }, ...conditions },
+        {
+          $set: { orderStatus: "cancelled", cancelledAt: new Date(), cancellationReason: reason },
+          $push: {
+            statusHistory: { status: "cancelled", note: reason || "Order cancelled", updatedBy: cancelledBy },
+          },
+        },
+        { new: true, session },
+      )
+      if (!order) {
+        throw createHttpError(409, `Cannot cancel an order that is ${current.orderStatus}`)
+      }
+
+      stockChanges = await restoreStock(order, session)
+      await revertCouponUsage(order, session)
+    })
+  } finally {
+    await session.endSession()
+  }
+
+  let paymentError
+  try {
+    await reversePayment(order, { reason, cancelledBy })
+  } catch (error) {
+    paymentError = error.message
+    console.error(`Failed to reverse payment of cancelled order ${order.orderNumber}:`, error)
+  }
+
+  await handleStockChanges(stockChanges)
+  await handleOrderStatusChange(order, oldStatus, "cancelled")
+
+  return { order, paymentError }
+}
+
+// Payment statuses of pending orders that have not been paid
+const UNPAID_STATUSES = ["pending", "failed", "voided"]
+
+// Cancel unpaid pending orders whose reservation has expired and release their stock.
+// Payments that were authorized but never captured are voided first, so they cannot be
+// captured once the stock is gone; orders whose void fails keep their reservation.
+export const releaseExpiredReservations = async () => {
+  const expiredOrders = await Order.find({
+    orderStatus: "pending",
+    paymentStatus: { $in: [...UNPAID_STATUSES, "authorized"] },
+    "reservation.status": "held",
+    "reservation.expiresAt": { $lte: new Date() },
+  })
+
+  let released = 0
+  for (const order of expiredOrders) {
+    if (order.paymentStatus === "authorized") {
+      try {
+        await voidPayment(order)
+      } catch (error) {
+        console.error(`Failed to void the payment of expired order ${order.orderNumber}:`, error)
+        continue
+      }
+    }
+
+    try {
+      // Re-checks the order is still unpaid, in case payment arrived since the query
+      await cancelOrder(order._id, {
+        reason: "Payment was not received before the stock reservation expired",
+        conditions: { orderStatus: "pending", paymentStatus: { $in: UNPAID_STATUSES }, "reservation.status": "held" },
+      })
+      released++
+    } catch (error) {
+      if (error.statusCode !== 409) throw error
+    }
+  }
+
+  return released
+}
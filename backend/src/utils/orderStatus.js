@@ -0,0 +1,56 @@
+import Order from "../models/Order.js"
+import { createHttpError } from "./httpError.js"
+import { commitReservation } from "./inventory.js"
+import { cancelOrder } from "./orderCancellation.js"
+import { handleOrderStatusChange } from "./realtimeEvents.js"
+
+// Side effects of entering a status. `before` returns fields saved together with the status
+// change; `after` runs once the change is stored. Cancellation has its own routine.
+const statusHooks = {
+  // Confirming, processing or shipping the order keeps its reserved stock
+  confirmed: { after: (order) => commitReservation(order) },
+  processing: { after: (order) => commitReservation(order) },
+  shipped: { after: (order) => commitReservation(order) },
+  delivered: { before: () => ({ deliveredAt: new Date() }) },
+}
+
+// Move an order to a new status, enforcing the Order transition table. The change is
+// applied only if the order still has the status it was checked against, so concurrent
+// updates cannot both succeed. Returns { order, paymentError }.
+export const changeOrderStatus = async (orderId, status, { note, updatedBy, set = {} } = {}) => {
+  if (status === "cancelled") {
+    return cancelOrder(orderId, { reason: note, cancelledBy: updatedBy })
+  }
+  // Returned orders restock through their return requests, see returnController
+  if (status === "returned") {
+    throw createHttpError(409, "Orders are marked returned when their return requests are received")
+  }
+
+  const current = await Order.findById(orderId)
+  if (!current) {
+    throw createHttpError(404, "Order not found")
+  }
+
+  const from = current.orderStatus
+  if (!Order.canTransition(from, status)) {
+    throw createHttpError(409, `Cannot change order status from ${from} to ${status}`)
+  }
+
+  const hooks = statusHooks[status] || {}
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, orderStatus: from },
+    {
+      $set: { ...set, ...hooks.before?.(current), orderStatus: status },
+      $push: { statusHistory: { status, note: note || `Order status changed to ${status}`, updatedBy } },
+    },
+    { new: true, runValidators: true },
+  )
+  if (!order) {
+    throw createHttpError(409, "Order status was changed by another request, please retry")
+  }
+
+  await hooks.after?.(order)
+  await handleOrderStatusChange(order, from, status)
+
+  return { order }
+}
@@ -0,0 +1,41 @@
+import mockProvider from "./mockProvider.js"
+
+// Payment providers implement:
+//   name
+//   createIntent({ amount, currency, orderId, metadata }) -> { id, status, amount, clientSecret }
+//   capture(intentId, amount) -> { id, status, amount }
+//   refund(intentId, amount) -> { id, status, amount }
+//   void(intentId) -> { id, status }
+//   signatureHeader - request header carrying the webhook signature
+//   constructWebhookEvent(rawBody, signature, secret) -> { id, type, intentId, objectId, amount, payload }
+//     verifies the signature (throwing a 400 when it does not match) and normalizes the event
+// Amounts are integer minor units of the currency, e.g. 1999 for $19.99.
+// Intent statuses are normalized to requires_capture, succeeded, failed or canceled.
+// Webhook event types are normalized to payment.authorized, payment.succeeded, payment.failed,
+// payment.canceled and refund.succeeded.
+const providers = new Map([[mockProvider.name, mockProvider]])
+
+// Register an additional payment provider
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider)
+}
+
+// Get a provider by name, defaulting to the one configured by PAYMENT_PROVIDER
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || "mock") => {
+  const provider = providers.get(name)
+  if (!provider) {
+    throw new Error(`Payment provider not registered: ${name}`)
+  }
+  return provider
+}
+
+// Map a normalized intent status to Order.paymentStatus
+export const toPaymentStatus = (intentStatus) => {
+  const statusMap = {
+    requires_capture: "authorized",
+    succeeded: "paid",
+    failed: "failed",
+    canceled: "voided",
+  }
+  return statusMap[intentStatus]
+}
@@ -0,0 +1,122 @@
+import crypto from "crypto"
+import { createHttpError } from "../httpError.js"
+import { verifyWebhookSignature } from "../webhookSignature.js"
+
+// In-memory payment provider for development and offline testing.
+// Intents are authorized as soon as they are created; pass metadata.simulate = "decline"
+// to get a failed payment. State is lost when the process restarts.
+// Webhooks are JSON bodies of the form { id, type, data: { intentId, objectId, amount } }
+// signed with the hex HMAC-SHA256 of the raw body in the X-Mock-Signature header.
+const intents = new Map()
+
+const createId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString("hex")}`
+
+const getIntent = (intentId) => {
+  const intent = intents.get(intentId)
+  if (!intent) {
+    throw createHttpError(404, `Unknown payment intent: ${intentId}`)
+  }
+  return intent
+}
+
+const mockProvider = {
+  name: "mock",
+
+  async createIntent({ amount, currency, metadata = {} }) {
+    const intent = {
+      id: createId("pi"),
+      amount,
+      currency,
+      amountCaptured: 0,
+      amountRefunded: 0,
+      status: metadata.simulate === "decline" ? "failed" : "requires_capture",
+      metadata,
+    }
+    intents.set(intent.id, intent)
+
+    return {
+      id: intent.id,
+      status: intent.status,
+      amount,
+      clientSecret: `${intent.id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+    }
+  },
+
+  async capture(intentId, amount) {
+    const intent = getIntent(intentId)
+    if (intent.status !== "requires_capture") {
+      throw createHttpError(409, `Cannot capture a payment in status ${intent.status}`)
+    }
+
+    const captureAmount = amount ?? intent.amount
+    if (captureAmount > intent.amount) {
+      throw createHttpError(400, "Capture amount exceeds the authorized amount")
+    }
+
+    intent.amountCaptured = captureAmount
+    intent.status = "succeeded"
+    return { id: intent.id, status: intent.status, amount: captureAmount }
+  },
+
+  async refund(intentId, amount) {
+    const intent = getIntent(intentId)
+    if (intent.status !== "succeeded") {
+      throw createHttpError(409, `Cannot refund a payment in status ${intent.status}`)
+    }
+
+    const refundable = intent.amountCaptured - intent.amountRefunded
+    const refundAmount = amount ?? refundable
+    if (refundAmount > refundable) {
+      throw createHttpError(400, "Refund amount exceeds the captured amount")
+    }
+
+    intent.amountRefunded += refundAmount
+    return { id: createId("re"), status: "succeeded", amount: refundAmount }
+  },
+
+  async void(intentId) {
+    const intent = getIntent(intentId)
+    if (intent.status !== "requires_capture") {
+      throw createHttpError(409, `Cannot void a payment in status ${intent.status}`)
+    }
+
+    intent.status = "canceled"
+    return { id: intent.id, status: intent.status }
+  },
+
+  signatureHeader: "x-mock-signature",
+
+  constructWebhookEvent(rawBody, signature, secret) {
+    verifyWebhookSignature(rawBody, signature, secret)
+
+    let payload
+    try {
+      payload = JSON.parse(rawBody.toString("utf8"))
+    } catch (error) {
+      throw createHttpError(400, "Webhook body is not valid JSON")
+    }
+
+    if (!payload.id || !payload.type || !payload.data?.intentId) {
+      throw createHttpError(400, "Webhook event is missing id, type or data.intentId")
+    }
+    // Amounts are minor units; refunds cannot be applied without one
+    const { amount } = payload.data
+    if (amount !== undefined && !Number.isSafeInteger(amount)) {
+      throw createHttpError(400, "Webhook data.amount must be an integer")
+    }
+    if (payload.type === "refund.succeeded" && amount === undefined) {
+      throw createHttpError(400, "Refund events need data.amount")
+    }
+
+    return {
+      id: payload.id,
+      type: payload.type,
+      intentId: payload.data.intentId,
+      objectId: payload.data.objectId || payload.data.intentId,
+      amount,
+      payload,
+    }
+  },
+}
+
+export default mockProvider
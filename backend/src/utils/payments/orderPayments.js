@@ -0,0 +1,131 @@
+import { commitReservation, reverseLineSale } from "../inventory.js"
+import { handlePaymentStatusChange, handleRefund, handleStockChanges } from "../realtimeEvents.js"
+
+// Record a provider result on the order and move its paymentStatus accordingly.
+// Paid orders keep their reserved stock; users and admins are notified of status changes.
+export const applyPaymentResult = async (order, { type, providerRef, amount, status, paymentStatus }) => {
+  const oldPaymentStatus = order.paymentStatus
+
+  order.paymentTransactions.push({ type, providerRef, amount, status })
+  if (paymentStatus) {
+    order.paymentStatus = paymentStatus
+  }
+  await order.save()
+
+  if (order.paymentStatus === "paid") {
+    await commitReservation(order)
+  }
+
+  if (order.paymentStatus !== oldPaymentStatus) {
+    await handlePaymentStatusChange(order, oldPaymentStatus, order.paymentStatus)
+  }
+
+  return order
+}
+
+// Record a refund on the order, moving it to refunded once nothing is left to refund.
+// `items` are the refunded order lines ({ item, product, name, quantity, amount }); their sale
+// is reversed on the products and, with `restock`, the units go back into stock.
+export const applyRefundResult = async (
+  order,
+  { providerRef, amount, status, reason, items = [], restock = false, refundedBy },
+) => {
+  const succeeded = status === "succeeded"
+
+  order.refunds.push({
+    amount,
+    items,
+    reason,
+    restocked: succeeded && restock && items.length > 0,
+    provider: order.paymentProvider,
+    providerRef,
+    status: ["pending", "succeeded"].includes(status) ? status : "failed",
+    refundedBy,
+  })
+
+  let paymentStatus
+  if (succeeded) {
+    order.refundAmount += amount
+    if (reason) order.refundReason = reason
+    for (const line of items) {
+      order.items.id(line.item).refundedQuantity += line.quantity
+    }
+    paymentStatus = order.refundAmount >= order.totalAmount ? "refunded" : "partially_refunded"
+  }
+
+  await applyPaymentResult(order, { type: "refund", providerRef, amount, status, paymentStatus })
+  if (succeeded) {
+    await handleRefund(order, order.refunds[order.refunds.length - 1])
+  }
+
+  if (succeeded && items.length > 0) {
+    const stockChanges = []
+    for (const line of items) {
+      const stockChange = await reverseLineSale(order.items.id(line.item), line.quantity, { restock })
+      if (stockChange) stockChanges.push(stockChange)
+    }
+    await handleStockChanges(stockChanges)
+  }
+
+  return order
+}
+
+// Webhook event type -> transaction recorded and the payment statuses it may move the order from
+const webhookTransitions = {
+  "payment.authorized": {
+    type: "intent",
+    status: "requires_capture",
+    paymentStatus: "authorized",
+    from: ["pending", "failed", "voided"],
+  },
+  "payment.succeeded": { type: "capture", status: "succeeded", paymentStatus: "paid", from: ["pending", "authorized"] },
+  "payment.failed": { type: "intent", status: "failed", paymentStatus: "failed", from: ["pending", "authorized"] },
+  "payment.canceled": { type: "void", status: "canceled", paymentStatus: "voided", from: ["pending", "authorized"] },
+  "refund.succeeded": { type: "refund", status: "succeeded", from: ["paid", "partially_refunded"] },
+}
+
+// Apply a verified webhook event to its order. Events the order has already seen through
+// the API, or that would move the payment backwards, are ignored.
+// Returns { status: "processed" | "ignored", reason }.
+export const applyWebhookEvent = async (order, event) => {
+  const transition = webhookTransitions[event.type]
+  if (!transition) {
+    return { status: "ignored", reason: `Unhandled event type: ${event.type}` }
+  }
+
+  const alreadyApplied = order.paymentTransactions.some(
+    (transaction) =>
+      transaction.type === transition.type &&
+      transaction.providerRef === event.objectId &&
+      transaction.status === transition.status,
+  )
+  if (alreadyApplied) {
+    return { status: "ignored", reason: "Already applied to the order" }
+  }
+
+  if (!transition.from.includes(order.paymentStatus)) {
+    return { status: "ignored", reason: `Order payment is already ${order.paymentStatus}` }
+  }
+
+  if (transition.type === "refund") {
+    if (!Number.isSafeInteger(event.amount) || event.amount <= 0) {
+      return { status: "ignored", reason: "Refund event has no amount" }
+    }
+    await applyRefundResult(order, {
+      providerRef: event.objectId,
+      amount: event.amount,
+      status: transition.status,
+      reason: "Refunded at the payment provider",
+    })
+  } else {
+    await applyPaymentResult(order, {
+      type: transition.type,
+      providerRef: event.objectId,
+      amount: event.amount,
+      status: transition.status,
+      paymentStatus: transition.paymentStatus,
+    })
+  }
+
+  return { status: "processed" }
+}
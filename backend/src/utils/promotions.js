@@ -0,0 +1,161 @@
+import Promotion from "../models/Promotion.js"
+import { allocateMinor, percentageOf, shareOf } from "./money.js"
+
+// Promotion rules work on lines shaped like coupon lines (see utils/coupons.js):
+// { product, categories, amount, quantity } with amount the line total in minor units
+// of the base currency.
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+// Whether a line is in a scope of applicable and excluded products and categories. Categories
+// on the line include their parent categories. Exclusions win over inclusions; with no
+// applicable products or categories every line is in scope.
+export const isLineInScope = (scope, line) => {
+  const includes = (ids = [], id) => id != null && ids.some((candidate) => candidate.equals(id))
+  const categories = line.categories || []
+
+  if (includes(scope.excludedProducts, line.product)) return false
+  if (categories.some((category) => includes(scope.excludedCategories, category))) return false
+
+  if (!scope.applicableProducts?.length && !scope.applicableCategories?.length) return true
+  return (
+    includes(scope.applicableProducts, line.product) ||
+    categories.some((category) => includes(scope.applicableCategories, category))
+  )
+}
+
+// Line discounts of each rule type; `inScope` flags the lines the promotion's conditions cover
+const ruleActions = {
+  percentage: ({ action }, lines, inScope) =>
+    lines.map((line, index) => (inScope[index] ? percentageOf(line.amount, action.discountPercentage) : 0)),
+
+  // Every buyQuantity + getQuantity units in scope discount getQuantity of them, cheapest first
+  buy_x_get_y: ({ action }, lines, inScope) => {
+    const discounts = lines.map(() => 0)
+    const units = sum(lines.filter((line, index) => inScope[index]).map((line) => line.quantity))
+    let discountedUnits = Math.floor(units / (action.buyQuantity + action.getQuantity)) * action.getQuantity
+
+    const cheapestFirst = lines
+      .map((line, index) => ({ line, index }))
+      .filter(({ index }) => inScope[index])
+      .sort((a, b) => a.line.amount / a.line.quantity - b.line.amount / b.line.quantity)
+
+    for (const { line, index } of cheapestFirst) {
+      if (discountedUnits === 0) break
+      const lineUnits = Math.min(discountedUnits, line.quantity)
+      discounts[index] = percentageOf(shareOf(line.amount, lineUnits, line.quantity), action.discountPercentage ?? 100)
+      discountedUnits -= lineUnits
+    }
+    return discounts
+  },
+
+  // The highest tier reached sets the percentage off everything in scope
+  tiered: ({ action }, lines, inScope) => {
+    const amounts = lines.map((line, index) => (inScope[index] ? line.amount : 0))
+    const amountInScope = sum(amounts)
+    const tier = [...action.tiers]
+      .sort((a, b) => b.minimumAmount - a.minimumAmount)
+      .find((candidate) => amountInScope >= candidate.minimumAmount)
+
+    return tier ? allocateMinor(percentageOf(amountInScope, tier.discountPercentage), amounts) : amounts.map(() => 0)
+  },
+
+  free_shipping: (promotion, lines) => lines.map(() => 0),
+
+  // Complete sets of the bundle items cost bundlePrice each; units are taken from the lines in order
+  bundle: ({ action }, lines, inScope) => {
+    const matches = (line, index, item) => inScope[index] && String(line.product) === String(item.product)
+    const sets = Math.min(
+      ...action.bundleItems.map((item) => {
+        const units = sum(lines.filter((line, index) => matches(line, index, item)).map((line) => line.quantity))
+        return Math.floor(units / item.quantity)
+      }),
+    )
+    if (sets === 0) return lines.map(() => 0)
+
+    const usedUnits = lines.map(() => 0)
+    for (const item of action.bundleItems) {
+      let needed = item.quantity * sets
+      lines.forEach((line, index) => {
+        if (needed === 0 || !matches(line, index, item)) return
+        const units = Math.min(needed, line.quantity - usedUnits[index])
+        usedUnits[index] += units
+        needed -= units
+      })
+    }
+
+    const bundledAmounts = lines.map((line, index) => shareOf(line.amount, usedUnits[index], line.quantity))
+    const discount = Math.max(0, sum(bundledAmounts) - action.bundlePrice * sets)
+    return allocateMinor(discount, bundledAmounts)
+  },
+}
+
+// Apply a promotion's rule to order lines. Returns { applied: true, discountAmount, lineDiscounts,
+// freeShipping } with discounts in minor units of the base currency, or { applied: false, reason }
+// where reason is no_eligible_items, below_minimum or conditions_not_met.
+export const applyPromotion = (promotion, lines) => {
+  const { conditions = {}, action = {} } = promotion
+  const inScope = lines.map((line) => isLineInScope(conditions, line))
+  const amountInScope = sum(lines.filter((line, index) => inScope[index]).map((line) => line.amount))
+
+  if (amountInScope === 0) return { applied: false, reason: "no_eligible_items" }
+  if (amountInScope < (conditions.minimumOrderAmount || 0)) return { applied: false, reason: "below_minimum" }
+
+  let lineDiscounts = ruleActions[promotion.type](promotion, lines, inScope)
+  let discountAmount = sum(lineDiscounts)
+
+  if (action.maximumDiscountAmount && discountAmount > action.maximumDiscountAmount) {
+    lineDiscounts = allocateMinor(action.maximumDiscountAmount, lineDiscounts)
+    discountAmount = action.maximumDiscountAmount
+  }
+
+  const freeShipping = promotion.type === "free_shipping"
+  if (discountAmount === 0 && !freeShipping) return { applied: false, reason: "conditions_not_met" }
+
+  return { applied: true, discountAmount, lineDiscounts, freeShipping }
+}
+
+// Running automatic promotions, in the order they apply
+export const getAutomaticPromotions = ({ session } = {}) => {
+  const now = new Date()
+  return Promotion.find({ automatic: true, isActive: true, startDate: { $lte: now }, endDate: { $gte: now } })
+    .sort({ priority: -1, createdAt: 1 })
+    .session(session || null)
+}
+
+// Whether a promotion's discount on a product is the same whatever else is ordered, so it can
+// be shown as a sale price on listings
+export const isListingPromotion = (promotion) =>
+  promotion.type === "percentage" && !promotion.conditions?.minimumOrderAmount
+
+// Apply promotions one after another, each to what the previous ones left of the lines, until
+// an exclusive one applies. Returns { promotions, discountAmount, lineDiscounts, freeShipping,
+// combinesWithCoupons } where promotions lists { promotion, name, discountAmount } of those applied.
+export const applyPromotions = (promotions, lines) => {
+  const remaining = lines.map((line) => ({ ...line }))
+  const lineDiscounts = lines.map(() => 0)
+  const applied = []
+  let freeShipping = false
+  let combinesWithCoupons = true
+
+  for (const promotion of promotions) {
+    const result = applyPromotion(promotion, remaining)
+    if (!result.applied) continue
+
+    result.lineDiscounts.forEach((discount, index) => {
+      lineDiscounts[index] += discount
+      remaining[index].amount -= discount
+    })
+    applied.push({ promotion: promotion._id, name: promotion.name, discountAmount: result.discountAmount })
+    freeShipping = freeShipping || result.freeShipping
+    combinesWithCoupons = combinesWithCoupons && promotion.combinesWithCoupons !== false
+
+    if (promotion.exclusive) break
+  }
+
+  return { promotions: applied, discountAmount: sum(lineDiscounts), lineDiscounts, freeShipping, combinesWithCoupons }
+}
+
+// Apply the running automatic promotions to order lines, see applyPromotions
+export const applyAutomaticPromotions = async (lines, { session } = {}) =>
+  applyPromotions(await getAutomaticPromotions({ session }), lines)
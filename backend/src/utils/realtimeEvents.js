@@ -4,14 +4,46 @@ import {
   emitAdminAnalytics,
   emitLowStockAlert,
 } from "../controllers/websocketController.js"
-import Product from "../models/Product.js" // Declare the Product variable
+import User from "../models/User.js"
+import { sendEmail } from "./emailService.js"
+
+// Queue an email to the customer of an order. Failures are logged rather than thrown so
+// email never fails the order change that triggered it.
+const emailCustomer = async (order, template, data = {}) => {
+  try {
+    const user = order.user?.email ? order.user : await User.findById(order.user).select("firstName email")
+    if (!user) return
+
+    await sendEmail({
+      to: user.email,
+      template,
+      data: {
+        name: user.firstName,
+        order,
+        orderUrl: `${process.env.CLIENT_URL}/orders/${order._id}`,
+        ...data,
+      },
+    })
+  } catch (error) {
+    console.error(`Failed to queue ${template} email for order ${order.orderNumber}:`, error)
+  }
+}
 
-// Stock management events
-export const handleStockChange = async (productId, oldStock, newStock, product) => {
+// Shipment lines as order lines carrying the shipped quantity
+const shipmentItems = (order, shipment) =>
+  shipment.items.map((line) => {
+    const item = order.items.id(line.item)
+    return { name: item?.name, variant: item?.variant, quantity: line.quantity }
+  })
+
+// Stock management events. Stock figures are units available for sale;
+// variantId is set when the change applies to a single variant.
+export const handleStockChange = async (productId, oldStock, newStock, product, variantId) => {
   const stockData = {
+    variantId,
     stock: newStock,
     previousStock: oldStock,
-    isInStock: product.isInStock(),
+    isInStock: product.isInStock(1, variantId && product.variants.id(variantId)),
     lowStock: newStock <= product.lowStockThreshold,
     stockChange: newStock - oldStock,
   }
@@ -23,6 +55,7 @@ export const handleStockChange = async (productId, oldStock, newStock, product)
   if (newStock <= product.lowStockThreshold && oldStock > product.lowStockThreshold) {
     emitLowStockAlert({
       productId,
+      variantId,
       name: product.name,
       stock: newStock,
       threshold: product.lowStockThreshold,
@@ -56,10 +89,22 @@ export const handleOrderStatusChange = async (order, oldStatus, newStatus) => {
     type: "order_status_change",
     orderData,
   })
+
+  // Orders shipped through shipments are emailed per shipment, see handleShipmentUpdate
+  if (newStatus === "shipped" && order.shipments.length === 0) {
+    await emailCustomer(order, "orderShipped", {
+      shipment: { carrier: order.shippingCarrier, trackingNumber: order.trackingNumber, items: order.items },
+    })
+  } else if (newStatus === "delivered") {
+    await emailCustomer(order, "orderDelivered")
+  } else if (newStatus === "cancelled") {
+    await emailCustomer(order, "orderCancelled")
+  }
 }
 
-// New order events
-export const handleNewOrder = async (order) => {
+// New order events. Stock is decremented during checkout; the committed
+// changes are passed in so subscribers can be notified.
+export const handleNewOrder = async (order, stockChanges = []) => {
   const orderData = {
     orderId: order._id,
     orderNumber: order.orderNumber,
@@ -75,18 +120,16 @@ export const handleNewOrder = async (order) => {
     orderData,
   })
 
-  // Update stock for ordered items
-  for (const item of order.items) {
-    const product = await Product.findById(item.product)
-    if (product && product.trackQuantity) {
-      const oldStock = product.stock
-      product.stock -= item.quantity
-      product.totalSales += item.quantity
-      await product.save()
-
-      // Emit stock update
-      await handleStockChange(item.product, oldStock, product.stock, product)
-    }
+  await emailCustomer(order, "orderConfirmation")
+
+  // Emit stock updates for ordered items
+  await handleStockChanges(stockChanges)
+}
+
+// Emit a batch of stock changes collected by the inventory helpers
+export const handleStockChanges = async (stockChanges = []) => {
+  for (const { productId, oldStock, newStock, product, variantId } of stockChanges) {
+    await handleStockChange(productId, oldStock, newStock, product, variantId)
   }
 }
 
@@ -111,6 +154,74 @@ export const handlePaymentStatusChange = async (order, oldStatus, newStatus) =>
     type: "payment_status_change",
     paymentData,
   })
+
+  if (newStatus === "paid") {
+    await emailCustomer(order, "paymentReceived")
+  }
+}
+
+// Succeeded refunds, including further partial refunds that leave the payment status unchanged
+export const handleRefund = async (order, refund) => {
+  emitOrderUpdate(order.user, {
+    type: "refund_update",
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    refundId: refund._id,
+    amount: refund.amount,
+    refundAmount: order.refundAmount,
+  })
+
+  await emailCustomer(order, "orderRefunded", { refund })
+}
+
+// Return request events
+export const handleReturnStatusChange = async (returnRequest, order, oldStatus, newStatus) => {
+  const returnData = {
+    returnId: returnRequest._id,
+    rmaNumber: returnRequest.rmaNumber,
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    oldReturnStatus: oldStatus,
+    newReturnStatus: newStatus,
+  }
+
+  // Emit to user and admin order feed
+  emitOrderUpdate(order.user, {
+    type: "return_update",
+    ...returnData,
+  })
+
+  // Update admin analytics
+  emitAdminAnalytics({
+    type: "return_status_change",
+    returnData,
+  })
+}
+
+// Shipment tracking events. `created` is set for a new shipment, which the customer is emailed about.
+export const handleShipmentUpdate = async (order, shipment, { created = false } = {}) => {
+  const latestEvent = shipment.events[shipment.events.length - 1]
+
+  emitOrderUpdate(order.user, {
+    type: "shipment_update",
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    shipmentId: shipment._id,
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    shipmentStatus: shipment.status,
+    latestEvent,
+  })
+
+  if (created) {
+    await emailCustomer(order, "orderShipped", {
+      shipment: {
+        carrier: shipment.carrier,
+        trackingNumber: shipment.trackingNumber,
+        items: shipmentItems(order, shipment),
+      },
+    })
+  }
 }
 
 // User activity events
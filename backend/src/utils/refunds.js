@@ -0,0 +1,118 @@
+import Order from "../models/Order.js"
+import { createHttpError } from "./httpError.js"
+import { getPaymentProvider } from "./payments/index.js"
+import { applyRefundResult } from "./payments/orderPayments.js"
+import { shareOf } from "./money.js"
+
+// How long a refund may hold the order before it counts as abandoned
+const REFUND_LOCK_MINUTES = 5
+
+// What `quantity` more units of a line are worth after the line's share of the order discount,
+// plus their tax unless prices already include it. Units are priced as a cumulative share of
+// the line so that refunding a line piece by piece adds up to exactly what was charged for it.
+export const lineRefundAmount = (order, item, quantity) => {
+  const lineTotal =
+    item.price * item.quantity - item.discountAmount + (order.pricesIncludeTax ? 0 : item.taxAmount)
+  const refunded = item.refundedQuantity
+  return shareOf(lineTotal, refunded + quantity, item.quantity) - shareOf(lineTotal, refunded, item.quantity)
+}
+
+// Resolve requested { itemId, quantity } pairs to refund lines. Quantity defaults to
+// everything on the line that has not been refunded yet.
+const selectRefundLines = (order, requestedItems) => {
+  const quantities = new Map()
+  for (const { itemId, quantity } of requestedItems) {
+    const item = order.items.id(itemId)
+    if (!item) {
+      throw createHttpError(400, `Order item not found: ${itemId}`)
+    }
+
+    const remaining = item.quantity - item.refundedQuantity
+    const requested = (quantities.get(item) || 0) + (quantity !== undefined ? Number(quantity) : remaining)
+    if (requested > remaining) {
+      throw createHttpError(400, `Only ${remaining} of ${item.name} can still be refunded`)
+    }
+    quantities.set(item, requested)
+  }
+
+  return [...quantities].map(([item, quantity]) => ({
+    item: item._id,
+    product: item.product,
+    name: item.name,
+    quantity,
+    amount: lineRefundAmount(order, item, quantity),
+  }))
+}
+
+// Refund an order in full, by line items or by a plain amount.
+// - no items and no amount: every unrefunded line and the whole remaining balance
+// - items: those lines, priced after discount; the whole remaining balance when no line is left over
+// - amount: overrides the computed amount, in minor units of the order currency
+// Offline payments such as cash on delivery are recorded as refunded without a provider call.
+// Returns the refund record added to the order.
+export const refundOrder = async (order, { items, amount, reason, restock = false, refundedBy }) => {
+  if (!["paid", "partially_refunded"].includes(order.paymentStatus)) {
+    throw createHttpError(409, `Cannot refund a payment that is ${order.paymentStatus}`)
+  }
+
+  const refundable = order.totalAmount - order.refundAmount
+  if (refundable <= 0) {
+    throw createHttpError(409, "Order has already been fully refunded")
+  }
+
+  const wholeOrder = !items?.length && amount === undefined
+  const requestedItems = wholeOrder ? order.items.map((item) => ({ itemId: item._id })) : items || []
+  const lines = selectRefundLines(order, requestedItems).filter((line) => line.quantity > 0)
+
+  let refundAmount
+  if (amount !== undefined) {
+    refundAmount = Number(amount)
+  } else {
+    const refundsEveryLine = order.items.every((item) => {
+      const line = lines.find((refundLine) => refundLine.item.equals(item._id))
+      return item.quantity - item.refundedQuantity === (line ? line.quantity : 0)
+    })
+    const linesAmount = lines.reduce((total, line) => total + line.amount, 0)
+    refundAmount = refundsEveryLine ? refundable : Math.min(linesAmount, refundable)
+  }
+
+  if (!Number.isSafeInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw createHttpError(400, `Refund amount must be between 0 and ${refundable}`)
+  }
+
+  // The checks above ran on the order as it was read. Claim the order for this refund, which
+  // fails when another refund is in progress or has completed since, so that concurrent
+  // refunds cannot together give back more than was paid.
+  const now = new Date()
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      refundAmount: order.refundAmount,
+      $or: [{ refundLockedUntil: null }, { refundLockedUntil: { $lte: now } }],
+    },
+    { $set: { refundLockedUntil: new Date(now.getTime() + REFUND_LOCK_MINUTES * 60 * 1000) } },
+  )
+  if (claimed.modifiedCount === 0) {
+    throw createHttpError(409, "Another refund of this order is in progress or has just completed")
+  }
+
+  try {
+    const result = order.paymentProvider
+      ? await getPaymentProvider(order.paymentProvider).refund(order.paymentId, refundAmount)
+      : { status: "succeeded", amount: refundAmount }
+
+    await applyRefundResult(order, {
+      providerRef: result.id,
+      amount: result.amount,
+      status: result.status,
+      reason,
+      items: lines,
+      restock,
+      refundedBy,
+    })
+  } finally {
+    await Order.updateOne({ _id: order._id }, { $unset: { refundLockedUntil: "" } })
+  }
+
+  return order.refunds[order.refunds.length - 1]
+}
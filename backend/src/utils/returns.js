@@ -0,0 +1,45 @@
+import ReturnRequest from "../models/ReturnRequest.js"
+
+// Statuses of return requests that still count against an order line
+const ACTIVE_RETURN_STATUSES = ["requested", "approved", "received"]
+
+// Units of each order line already covered by return requests, keyed by order item ID
+export const getReturnedQuantities = async (orderId, statuses = ACTIVE_RETURN_STATUSES, { refunded = false } = {}) => {
+  const returns = await ReturnRequest.find({
+    order: orderId,
+    status: { $in: statuses },
+    ...(refunded && { refund: { $ne: null } }),
+  })
+  const quantities = new Map()
+  for (const returnRequest of returns) {
+    for (const line of returnRequest.items) {
+      const key = line.item.toString()
+      quantities.set(key, (quantities.get(key) || 0) + line.quantity)
+    }
+  }
+  return quantities
+}
+
+// Units of each order line that can come back through returns, keyed by order item ID. Units
+// refunded without a return cannot be returned for another refund, so they are left out.
+export const getReturnableQuantities = async (order) => {
+  // Refunded when their return was received
+  const returnRefunded = await getReturnedQuantities(order._id, ["received"], { refunded: true })
+  return new Map(
+    order.items.map((item) => {
+      const key = item._id.toString()
+      const refundedOutsideReturns = item.refundedQuantity - (returnRefunded.get(key) || 0)
+      return [key, item.quantity - Math.max(0, refundedOutsideReturns)]
+    }),
+  )
+}
+
+// Whether every returnable unit of an order has come back
+export const isFullyReturned = async (order) => {
+  const received = await getReturnedQuantities(order._id, ["received"])
+  const returnable = await getReturnableQuantities(order)
+  return order.items.every((item) => {
+    const key = item._id.toString()
+    return (received.get(key) || 0) >= returnable.get(key)
+  })
+}
@@ -1,6 +1,9 @@
 import cron from "node-cron"
 import Product from "../models/Product.js"
 import { generateDailyReport } from "./reportGenerator.js"
+import { releaseExpiredReservations } from "./orderCancellation.js"
+import { importExchangeRates } from "./currency.js"
+import { processEmailQueue } from "./emailQueue.js"
 
 export const startScheduledTasks = () => {
   // Daily stock audit at 2 AM
@@ -35,6 +38,42 @@ export const startScheduledTasks = () => {
     }
   })
 
+  // Release stock held by unpaid orders every minute
+  cron.schedule("* * * * *", async () => {
+    try {
+      const released = await releaseExpiredReservations()
+      if (released > 0) {
+        console.log(`🔓 Released stock reservations for ${released} expired orders`)
+      }
+    } catch (error) {
+      console.error("❌ Reservation release failed:", error)
+    }
+  })
+
+  // Send queued emails every 10 seconds
+  cron.schedule("*/10 * * * * *", async () => {
+    try {
+      const { sent, failed } = await processEmailQueue()
+      if (sent + failed > 0) {
+        console.log(`📧 Sent ${sent} queued emails, ${failed} failed`)
+      }
+    } catch (error) {
+      console.error("❌ Email queue processing failed:", error)
+    }
+  })
+
+  // Refresh exchange rates from the rates file every hour when one is configured
+  if (process.env.EXCHANGE_RATES_FILE) {
+    cron.schedule("30 * * * *", async () => {
+      try {
+        const { updated } = await importExchangeRates()
+        console.log(`💱 Exchange rates refreshed for ${updated.length} currencies`)
+      } catch (error) {
+        console.error("❌ Exchange rate refresh failed:", error)
+      }
+    })
+  }
+
   // Clean up expired sessions every hour
   cron.schedule("0 * * * *", async () => {
     console.log("🧹 Cleaning up expired sessions...")
@@ -0,0 +1,144 @@
+import Order from "../models/Order.js"
+import { createHttpError } from "./httpError.js"
+import { changeOrderStatus } from "./orderStatus.js"
+import { handleShipmentUpdate } from "./realtimeEvents.js"
+
+// Order statuses in which new shipments may be created
+const SHIPPABLE_STATUSES = ["confirmed", "processing", "partially_shipped"]
+
+// Order statuses passed through to reach each fulfilment status
+const FULFILMENT_STEPS = {
+  partially_shipped: ["partially_shipped"],
+  shipped: ["shipped"],
+  delivered: ["shipped", "delivered"],
+}
+
+// Units of a line still to be delivered: refunded units are never shipped, nor are lines
+// that do not need shipping
+const shippableQuantity = (item) => (item.requiresShipping === false ? 0 : item.quantity - item.refundedQuantity)
+
+// The order status implied by its shipments, or null before anything has shipped
+const deriveFulfilmentStatus = (order) => {
+  if (order.shipments.length === 0) return null
+
+  const shipped = order.getShippedQuantities()
+  const allShipped = order.items.every((item) => (shipped.get(item._id.toString()) || 0) >= shippableQuantity(item))
+  if (!allShipped) return "partially_shipped"
+
+  return order.shipments.every((shipment) => shipment.status === "delivered") ? "delivered" : "shipped"
+}
+
+// Move the order forward to the status its shipments imply, stepping through the
+// intermediate fulfilment statuses so each transition runs its own side effects
+const syncOrderStatus = async (order, updatedBy) => {
+  const target = deriveFulfilmentStatus(order)
+  if (!target) return order
+
+  let current = order
+  for (const status of FULFILMENT_STEPS[target]) {
+    if (!current.canTransitionTo(status)) continue
+
+    const result = await changeOrderStatus(current._id, status, {
+      note: `Order ${status.replace("_", " ")} according to its shipments`,
+      updatedBy,
+    })
+    current = result.order
+  }
+  return current
+}
+
+// Ship some or all unshipped units of an order. Items are { itemId, quantity }; quantity
+// defaults to every unit of the line that has not shipped yet.
+export const createShipment = async (order, { items, carrier, trackingNumber, createdBy }) => {
+  if (!SHIPPABLE_STATUSES.includes(order.orderStatus)) {
+    throw createHttpError(409, `Cannot ship an order that is ${order.orderStatus}`)
+  }
+
+  const shipped = order.getShippedQuantities()
+  const requestedItems = items?.length
+    ? items
+    : order.items.filter((item) => item.requiresShipping !== false).map((item) => ({ itemId: item._id }))
+
+  const shipmentItems = []
+  for (const { itemId, quantity } of requestedItems) {
+    const item = order.items.id(itemId)
+    if (!item) {
+      throw createHttpError(400, `Order item not found: ${itemId}`)
+    }
+
+    if (item.requiresShipping === false) {
+      throw createHttpError(400, `${item.name} does not need shipping`)
+    }
+
+    const alreadyShipped = shipped.get(item._id.toString()) || 0
+    const unshipped = Math.max(shippableQuantity(item) - alreadyShipped, 0)
+    const requested = quantity !== undefined ? Number(quantity) : unshipped
+    if (requested > unshipped) {
+      throw createHttpError(400, `Only ${unshipped} of ${item.name} are left to ship`)
+    }
+    if (requested < 1) continue
+
+    shipped.set(item._id.toString(), alreadyShipped + requested)
+    shipmentItems.push({ item: item._id, quantity: requested })
+  }
+
+  if (shipmentItems.length === 0) {
+    throw createHttpError(400, "Nothing is left to ship")
+  }
+
+  order.shipments.push({
+    items: shipmentItems,
+    carrier,
+    trackingNumber,
+    events: [{ status: "in_transit", description: `Handed over to ${carrier}` }],
+  })
+  const shipment = order.shipments[order.shipments.length - 1]
+
+  order.trackingNumber = trackingNumber
+  order.shippingCarrier = carrier
+  await order.save()
+
+  await handleShipmentUpdate(order, shipment, { created: true })
+  const updatedOrder = await syncOrderStatus(order, createdBy)
+
+  return { order: updatedOrder, shipment: updatedOrder.shipments.id(shipment._id) }
+}
+
+// Append a tracking event to a shipment and move the shipment, and the order, along.
+// Events already recorded with the same status and time are ignored so carrier retries are safe.
+export const addTrackingEvent = async (order, shipment, { status, description, location, occurredAt }, updatedBy) => {
+  const eventTime = occurredAt ? new Date(occurredAt) : new Date()
+  const duplicate = shipment.events.some(
+    (event) => event.status === status && event.occurredAt?.getTime() === eventTime.getTime(),
+  )
+  if (duplicate) {
+    return { order, shipment, duplicate: true }
+  }
+
+  shipment.events.push({ status, description, location, occurredAt: eventTime })
+  if (shipment.status !== "delivered") {
+    shipment.status = status
+    if (status === "delivered") {
+      shipment.deliveredAt = eventTime
+    }
+  }
+  await order.save()
+
+  await handleShipmentUpdate(order, shipment)
+  const updatedOrder = await syncOrderStatus(order, updatedBy)
+
+  return { order: updatedOrder, shipment: updatedOrder.shipments.id(shipment._id), duplicate: false }
+}
+
+// Find the order and shipment a carrier tracking number belongs to
+export const findShipmentByTrackingNumber = async (trackingNumber, carrier) => {
+  const order = await Order.findOne({ "shipments.trackingNumber": trackingNumber })
+  if (!order) return null
+
+  const shipment = order.shipments.find(
+    (candidate) =>
+      candidate.trackingNumber === trackingNumber &&
+      (!carrier || candidate.carrier.toLowerCase() === carrier.toLowerCase()),
+  )
+  return shipment ? { order, shipment } : null
+}
@@ -0,0 +1,154 @@
+import ShippingZone from "../models/ShippingZone.js"
+import { createHttpError } from "./httpError.js"
+import { allocateMinor } from "./money.js"
+
+const KILOGRAMS_PER_UNIT = { kg: 1, g: 0.001, lb: 0.45359237, oz: 0.028349523125 }
+const CENTIMETERS_PER_UNIT = { cm: 1, m: 100, in: 2.54, ft: 30.48 }
+
+// Convert a weight between kg, g, lb and oz
+export const convertWeight = (value, from = "kg", to = "kg") => {
+  return (value * KILOGRAMS_PER_UNIT[from]) / KILOGRAMS_PER_UNIT[to]
+}
+
+// Convert a length between cm, m, in and ft
+export const convertLength = (value, from = "cm", to = "cm") => {
+  return (value * CENTIMETERS_PER_UNIT[from]) / CENTIMETERS_PER_UNIT[to]
+}
+
+// Weight, volume and value of the lines that need shipping.
+// Lines are { product, quantity, price } with a populated product document and the price in
+// minor units of the base currency.
+const buildParcel = (lines, discountAmount = 0) => {
+  const lineTotals = lines.map((line) => line.price * line.quantity)
+  const lineDiscounts = allocateMinor(discountAmount, lineTotals)
+  const parcel = { weightKg: 0, volumeCm3: 0, value: 0, requiresShipping: false }
+
+  lines.forEach(({ product, quantity }, index) => {
+    if (product.requiresShipping === false) return
+    parcel.requiresShipping = true
+
+    if (product.weight?.value) {
+      parcel.weightKg += convertWeight(product.weight.value, product.weight.unit) * quantity
+    }
+
+    const { length, width, height, unit } = product.dimensions || {}
+    if (length && width && height) {
+      const volume = convertLength(length, unit) * convertLength(width, unit) * convertLength(height, unit)
+      parcel.volumeCm3 += volume * quantity
+    }
+
+    // Order value counts the line's share of the discount
+    parcel.value += lineTotals[index] - lineDiscounts[index]
+  })
+
+  return parcel
+}
+
+const findTier = (tiers, amount) => {
+  return tiers.find((tier) => amount >= tier.min && (tier.max == null || amount < tier.max))
+}
+
+// Price a method for a parcel, or null when the method does not cover it
+const priceMethod = (method, parcel) => {
+  switch (method.type) {
+    case "flat":
+      return method.rate
+    case "free_over":
+      return method.freeThreshold != null && parcel.value >= method.freeThreshold ? 0 : method.rate
+    case "price":
+      return findTier(method.tiers, parcel.value)?.rate ?? null
+    case "weight": {
+      const volumetricKg = method.volumetricDivisor ? parcel.volumeCm3 / method.volumetricDivisor : 0
+      const billableWeight = convertWeight(Math.max(parcel.weightKg, volumetricKg), "kg", method.weightUnit)
+      return findTier(method.tiers, billableWeight)?.rate ?? null
+    }
+    default:
+      return null
+  }
+}
+
+// Find the most specific active zone covering an address
+const findZone = async (address) => {
+  const country = String(address?.country || "").toUpperCase()
+  const zones = await ShippingZone.find({
+    isActive: true,
+    $or: [{ countries: country }, { countries: { $size: 0 } }],
+  })
+
+  return zones
+    .filter((zone) => zone.matchesAddress(address))
+    .sort((a, b) => b.specificity - a.specificity)[0]
+}
+
+// Quote every available shipping method for some lines shipped to an address. Amounts are
+// in minor units of the base currency. Returns { requiresShipping, zone, quotes } with quotes
+// [{ methodId, name, type, amount, estimatedDays }], cheapest first.
+export const getShippingQuotes = async ({ lines, address, discountAmount = 0 }) => {
+  const parcel = buildParcel(lines, discountAmount)
+  if (!parcel.requiresShipping) {
+    return { requiresShipping: false, zone: null, quotes: [] }
+  }
+
+  const zone = await findZone(address)
+  if (!zone) {
+    return { requiresShipping: true, zone: null, quotes: [] }
+  }
+
+  const quotes = []
+  for (const method of zone.methods.filter((zoneMethod) => zoneMethod.isActive)) {
+    const amount = priceMethod(method, parcel)
+    if (amount == null) continue
+
+    quotes.push({
+      methodId: method._id,
+      name: method.name,
+      type: method.type,
+      amount,
+      estimatedDays: method.estimatedDays,
+    })
+  }
+
+  return {
+    requiresShipping: true,
+    zone: { _id: zone._id, name: zone.name },
+    quotes: quotes.sort((a, b) => a.amount - b.amount),
+  }
+}
+
+// Shipping rate, in minor units of the base currency, of stores without active shipping zones
+const getDefaultShippingRate = () => Number(process.env.DEFAULT_SHIPPING_RATE) || 0
+
+// Price the chosen shipping method for an order, the cheapest available one when none is
+// chosen. Returns { amount, method } where method is what gets stored on the order. Nothing to
+// ship costs nothing, and stores without active shipping zones charge DEFAULT_SHIPPING_RATE
+// without a method. Throws a 400 when no method, or not the chosen one, covers the address.
+export const resolveShippingMethod = async ({ lines, address, discountAmount = 0, methodId }) => {
+  const { requiresShipping, zone, quotes } = await getShippingQuotes({ lines, address, discountAmount })
+  if (!requiresShipping) {
+    return { amount: 0, method: undefined }
+  }
+
+  if (!zone && !(await ShippingZone.exists({ isActive: true }))) {
+    return { amount: getDefaultShippingRate(), method: undefined }
+  }
+
+  if (!zone || quotes.length === 0) {
+    throw createHttpError(400, "No shipping method is available for this address")
+  }
+
+  const quote = methodId ? quotes.find((candidate) => candidate.methodId.toString() === String(methodId)) : quotes[0]
+  if (!quote) {
+    throw createHttpError(400, "Shipping method is not available for this order", { quotes })
+  }
+
+  return {
+    amount: quote.amount,
+    method: {
+      zone: zone._id,
+      methodId: quote.methodId,
+      name: quote.name,
+      type: quote.type,
+      estimatedDays: quote.estimatedDays,
+    },
+  }
+}
@@ -0,0 +1,85 @@
+import TaxRate from "../models/TaxRate.js"
+import { percentageOf, roundMinor } from "./money.js"
+
+// Tax class whose rates apply to shipping charges. Shipping is not taxed in regions
+// without a rate in this class.
+export const SHIPPING_TAX_CLASS = "shipping"
+
+// Whether catalogue prices already include tax (PRICES_INCLUDE_TAX=true)
+export const pricesIncludeTax = () => process.env.PRICES_INCLUDE_TAX === "true"
+
+// Tax contained in, or to be added to, an amount in minor units
+const taxFor = (amount, rate, inclusive) => {
+  return inclusive ? roundMinor(amount - amount / (1 + rate / 100)) : percentageOf(amount, rate)
+}
+
+// Pick the most specific active rate per tax class for an address
+const findRates = async (address) => {
+  if (!address?.country) return new Map()
+
+  const candidates = await TaxRate.find({ country: address.country.toUpperCase(), isActive: true })
+  const rates = new Map()
+  for (const rate of candidates) {
+    if (!rate.matchesAddress(address)) continue
+
+    const current = rates.get(rate.taxClass)
+    if (!current || rate.specificity > current.specificity) {
+      rates.set(rate.taxClass, rate)
+    }
+  }
+  return rates
+}
+
+// Calculate line-level tax for an order shipped to `address`, rounding per line.
+// Lines are { price, quantity, taxable, taxClass, discount } in minor units, where discount is the
+// part of the order discount allocated to the line; tax is charged on what the customer actually pays.
+// With tax-inclusive pricing the tax is extracted from the amounts instead of added on top.
+// Returns { taxAmount, shippingTax, lines: [{ taxAmount, taxRate }], breakdown, pricesIncludeTax }.
+export const calculateTax = async ({ lines, shippingAmount = 0, address }) => {
+  const inclusive = pricesIncludeTax()
+  const rates = await findRates(address)
+  const breakdown = new Map()
+
+  const addToBreakdown = (rate, taxableAmount, taxAmount, shipping) => {
+    const key = `${rate._id}:${shipping}`
+    const entry = breakdown.get(key) || {
+      taxRate: rate._id,
+      name: rate.name,
+      taxClass: rate.taxClass,
+      rate: rate.rate,
+      shipping,
+      taxableAmount: 0,
+      taxAmount: 0,
+    }
+    entry.taxableAmount += taxableAmount
+    entry.taxAmount += taxAmount
+    breakdown.set(key, entry)
+  }
+
+  const taxedLines = lines.map((line) => {
+    const rate = line.taxable === false ? null : rates.get(line.taxClass || "standard")
+    if (!rate) return { taxAmount: 0, taxRate: 0 }
+
+    const taxableAmount = Math.max(0, line.price * line.quantity - (line.discount || 0))
+    const taxAmount = taxFor(taxableAmount, rate.rate, inclusive)
+    addToBreakdown(rate, taxableAmount, taxAmount, false)
+    return { taxAmount, taxRate: rate.rate }
+  })
+
+  let shippingTax = 0
+  const shippingRate = rates.get(SHIPPING_TAX_CLASS)
+  if (shippingRate && shippingAmount > 0) {
+    shippingTax = taxFor(shippingAmount, shippingRate.rate, inclusive)
+    addToBreakdown(shippingRate, shippingAmount, shippingTax, true)
+  }
+
+  const lineTax = taxedLines.reduce((total, line) => total + line.taxAmount, 0)
+
+  return {
+    taxAmount: lineTax + shippingTax,
+    shippingTax,
+    lines: taxedLines,
+    breakdown: [...breakdown.values()],
+    pricesIncludeTax: inclusive,
+  }
+}
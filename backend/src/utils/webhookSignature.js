@@ -0,0 +1,28 @@
+import crypto from "crypto"
+import { createHttpError } from "./httpError.js"
+
+// Hex HMAC-SHA256 of a raw webhook body
+export const signWebhookPayload = (rawBody, secret) => {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+}
+
+// Check a webhook signature against the raw body it was computed over.
+// Throws a 400 for missing or mismatching signatures.
+export const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!secret) {
+    throw createHttpError(500, "Webhook secret is not configured")
+  }
+  if (!signature) {
+    throw createHttpError(400, "Missing webhook signature")
+  }
+  // Without a body express.raw() leaves an empty object instead of a Buffer
+  if (!Buffer.isBuffer(rawBody)) {
+    throw createHttpError(400, "Webhook body is missing")
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, secret), "hex")
+  const received = Buffer.from(String(signature), "hex")
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw createHttpError(400, "Invalid webhook signature")
+  }
+}
@@ -0,0 +1,64 @@
+import mongoose from "mongoose"
+import Coupon from "../src/models/Coupon.js"
+
+const DAY = 24 * 60 * 60 * 1000
+const shirt = new mongoose.Types.ObjectId()
+const socks = new mongoose.Types.ObjectId()
+
+const coupon = (fields) =>
+  new Coupon({
+    code: "TEST10",
+    name: "Test coupon",
+    startDate: new Date(Date.now() - DAY),
+    endDate: new Date(Date.now() + DAY),
+    ...fields,
+  })
+
+const lines = [
+  { product: shirt, amount: 1000, quantity: 1 },
+  { product: socks, amount: 500, quantity: 1 },
+]
+
+describe("Coupon.calculateLineDiscounts", () => {
+  it("shares a percentage discount in proportion to the lines", () => {
+    expect(coupon({ discountType: "percentage", discountValue: 10 }).calculateLineDiscounts(lines)).toEqual([100, 50])
+  })
+
+  it("never discounts more than the lines in scope are worth", () => {
+    const fixed = coupon({ discountType: "fixed", discountValue: 5000 })
+    expect(fixed.calculateLineDiscounts(lines)).toEqual([1000, 500])
+  })
+
+  it("caps the discount at the maximum", () => {
+    const capped = coupon({ discountType: "percentage", discountValue: 50, maximumDiscountAmount: 200 })
+    expect(capped.calculateLineDiscounts(lines)).toEqual([133, 67])
+  })
+
+  it("leaves excluded products undiscounted", () => {
+    const scoped = coupon({ discountType: "percentage", discountValue: 10, excludedProducts: [socks] })
+    expect(scoped.calculateLineDiscounts(lines)).toEqual([100, 0])
+  })
+
+  it("applies the minimum order amount to the lines in scope", () => {
+    const scoped = coupon({
+      discountType: "fixed",
+      discountValue: 100,
+      minimumOrderAmount: 1200,
+      applicableProducts: [shirt],
+    })
+    expect(scoped.calculateLineDiscounts(lines)).toEqual([0, 0])
+  })
+
+  it("gives nothing once the coupon is no longer valid", () => {
+    const expired = coupon({
+      discountType: "percentage",
+      discountValue: 10,
+      startDate: new Date(Date.now() - 2 * DAY),
+      endDate: new Date(Date.now() - DAY),
+    })
+    const usedUp = coupon({ discountType: "percentage", discountValue: 10, usageLimit: 1, usedCount: 1 })
+
+    expect(expired.calculateLineDiscounts(lines)).toEqual([0, 0])
+    expect(usedUp.calculateLineDiscounts(lines)).toEqual([0, 0])
+  })
+})
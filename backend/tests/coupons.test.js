@@ -0,0 +1,88 @@
+import { jest } from "@jest/globals"
+import mongoose from "mongoose"
+import Coupon from "../src/models/Coupon.js"
+import CouponRedemption from "../src/models/CouponRedemption.js"
+import Order from "../src/models/Order.js"
+import { evaluateCoupon } from "../src/utils/coupons.js"
+
+const DAY = 24 * 60 * 60 * 1000
+const userId = new mongoose.Types.ObjectId()
+
+const coupon = (fields) =>
+  new Coupon({
+    code: "WELCOME",
+    name: "Welcome",
+    discountType: "percentage",
+    discountValue: 10,
+    startDate: new Date(Date.now() - DAY),
+    endDate: new Date(Date.now() + DAY),
+    ...fields,
+  })
+
+// Queries resolve to `value` whatever session they run in
+const query = (value) => ({ session: () => Promise.resolve(value) })
+
+describe("evaluateCoupon", () => {
+  let previousOrder
+  let redemptions
+
+  beforeEach(() => {
+    previousOrder = null
+    redemptions = 0
+    jest.spyOn(Order, "exists").mockImplementation(() => query(previousOrder))
+    jest.spyOn(CouponRedemption, "countDocuments").mockImplementation(() => query(redemptions))
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("discounts an eligible order", async () => {
+    expect(await evaluateCoupon(coupon(), { userId, orderAmount: 2000 })).toEqual({
+      eligible: true,
+      discountAmount: 200,
+      lineDiscounts: [200],
+      freeShipping: false,
+    })
+  })
+
+  it("keeps first-order coupons to customers without an order", async () => {
+    const firstOrder = coupon({ firstTimeCustomersOnly: true })
+    expect((await evaluateCoupon(firstOrder, { userId, orderAmount: 2000 })).eligible).toBe(true)
+
+    previousOrder = { _id: new mongoose.Types.ObjectId() }
+    expect(await evaluateCoupon(firstOrder, { userId, orderAmount: 2000 })).toMatchObject({
+      eligible: false,
+      reason: "not_first_order",
+    })
+    expect(Order.exists).toHaveBeenCalledWith({ user: userId, orderStatus: { $ne: "cancelled" } })
+  })
+
+  it("keeps user-specific coupons to their users", async () => {
+    const personal = coupon({ applicableUsers: [new mongoose.Types.ObjectId()] })
+    expect(await evaluateCoupon(personal, { userId, orderAmount: 2000 })).toMatchObject({
+      eligible: false,
+      reason: "user_not_eligible",
+    })
+
+    personal.applicableUsers.push(userId)
+    expect((await evaluateCoupon(personal, { userId, orderAmount: 2000 })).eligible).toBe(true)
+  })
+
+  it("counts the user's redemptions against the per-user limit", async () => {
+    const limited = coupon({ usageLimitPerUser: 2 })
+    redemptions = 1
+    expect((await evaluateCoupon(limited, { userId, orderAmount: 2000 })).eligible).toBe(true)
+
+    redemptions = 2
+    expect(await evaluateCoupon(limited, { userId, orderAmount: 2000 })).toMatchObject({
+      eligible: false,
+      reason: "user_usage_limit_reached",
+      message: "You have already used this coupon the maximum number of times",
+    })
+  })
+
+  it("explains a missed minimum order amount", async () => {
+    const result = await evaluateCoupon(coupon({ minimumOrderAmount: 5000 }), { userId, orderAmount: 2000 })
+    expect(result).toMatchObject({ eligible: false, reason: "below_minimum" })
+    expect(result.message).toMatch(/^Minimum order amount of/)
+  })
+})
@@ -0,0 +1,60 @@
+import { jest } from "@jest/globals"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import mongoose from "mongoose"
+import EmailMessage from "../src/models/EmailMessage.js"
+import { deliverEmail, sendEmail } from "../src/utils/emailService.js"
+import { resendEmail } from "../src/utils/emailQueue.js"
+
+const resetUrl = "https://shop.example/reset-password?token=secret-token"
+
+describe("sendEmail", () => {
+  let outputDir
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "emails-"))
+    process.env.EMAIL_TRANSPORT = "file"
+    process.env.EMAIL_OUTPUT_DIR = outputDir
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    delete process.env.EMAIL_TRANSPORT
+    delete process.env.EMAIL_OUTPUT_DIR
+    await fs.rm(outputDir, { recursive: true, force: true })
+  })
+
+  it("keeps auth links out of the stored HTML and puts them back on delivery", async () => {
+    jest.spyOn(EmailMessage, "create").mockImplementation(async (fields) => fields)
+
+    const message = await sendEmail({
+      to: "ada@example.com",
+      template: "passwordReset",
+      data: { name: "Ada", resetToken: "secret-token", resetUrl },
+    })
+    expect(message.html).not.toContain("secret-token")
+    expect(message.data).toEqual({ name: "Ada", resetUrl })
+    expect(message.expiresAt.getTime()).toBeGreaterThan(Date.now())
+
+    const { file } = await deliverEmail(message)
+    expect(await fs.readFile(file, "utf8")).toContain(resetUrl)
+  })
+})
+
+describe("resendEmail", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("refuses messages whose auth link has expired", async () => {
+    jest.spyOn(EmailMessage, "findOneAndUpdate").mockResolvedValue(null)
+    jest
+      .spyOn(EmailMessage, "findById")
+      .mockReturnValue({ select: async () => ({ status: "failed", expiresAt: new Date(Date.now() - 1000) }) })
+
+    await expect(resendEmail(new mongoose.Types.ObjectId())).rejects.toMatchObject({
+      statusCode: 409,
+      message: "The link in this message has expired, so it can no longer be resent",
+    })
+    expect(EmailMessage.findOneAndUpdate.mock.calls[0][0].expiresAt).toEqual({ $not: { $lte: expect.any(Date) } })
+  })
+})
@@ -0,0 +1,34 @@
+import { jest } from "@jest/globals"
+import mongoose from "mongoose"
+import Order from "../src/models/Order.js"
+import { getOrderInvoice } from "../src/controllers/invoiceController.js"
+
+// An unconfirmed order whose customer account was deleted, so populate leaves user null
+const mockOrder = () => {
+  const order = new Order({ orderStatus: "pending" })
+  order.user = null
+  jest.spyOn(Order, "findById").mockReturnValue({ populate: async () => order })
+}
+
+const respond = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() })
+
+describe("getOrderInvoice", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("denies customers the orders of deleted accounts", async () => {
+    mockOrder()
+    const res = respond()
+
+    await getOrderInvoice({ params: { id: "order" }, user: { _id: new mongoose.Types.ObjectId(), role: "user" } }, res)
+    expect(res.status).toHaveBeenCalledWith(403)
+  })
+
+  it("lets admins through to the invoice of orders of deleted accounts", async () => {
+    mockOrder()
+    const res = respond()
+
+    await getOrderInvoice({ params: { id: "order" }, user: { _id: new mongoose.Types.ObjectId(), role: "admin" } }, res)
+    // Reaches invoicing, which refuses unconfirmed orders
+    expect(res.status).toHaveBeenCalledWith(409)
+  })
+})
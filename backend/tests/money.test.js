@@ -0,0 +1,71 @@
+import { allocateMinor, convertMinor, percentageOf, roundMinor, shareOf, toMinor } from "../src/utils/money.js"
+
+describe("toMinor", () => {
+  it("converts major units to minor units of the currency", () => {
+    expect(toMinor(19.99, "USD")).toBe(1999)
+    expect(toMinor(1000, "JPY")).toBe(1000)
+    expect(toMinor(1.2345, "BHD")).toBe(1235)
+  })
+
+  it("avoids binary float error", () => {
+    expect(toMinor(1.005, "USD")).toBe(101)
+    expect(toMinor(0.1 + 0.2, "USD")).toBe(30)
+  })
+
+  it("rounds negative amounts away from zero", () => {
+    expect(toMinor(-2.505, "USD")).toBe(-251)
+  })
+})
+
+describe("roundMinor and percentageOf", () => {
+  it("round half away from zero", () => {
+    expect(roundMinor(2.5)).toBe(3)
+    expect(roundMinor(-2.5)).toBe(-3)
+    expect(percentageOf(1999, 7.25)).toBe(145)
+    expect(percentageOf(250, 10)).toBe(25)
+  })
+})
+
+describe("shareOf", () => {
+  it("adds up to the amount when taken cumulatively", () => {
+    const first = shareOf(1000, 1, 3)
+    const second = shareOf(1000, 2, 3) - first
+    const third = shareOf(1000, 3, 3) - shareOf(1000, 2, 3)
+
+    expect([first, second, third]).toEqual([333, 334, 333])
+    expect(first + second + third).toBe(1000)
+  })
+
+  it("is zero when the whole is zero", () => {
+    expect(shareOf(1000, 1, 0)).toBe(0)
+  })
+})
+
+describe("allocateMinor", () => {
+  it("splits an amount in proportion to the weights", () => {
+    expect(allocateMinor(300, [100, 200])).toEqual([100, 200])
+  })
+
+  it("hands leftover units to the largest remainders", () => {
+    expect(allocateMinor(5, [3, 1])).toEqual([4, 1])
+    expect(allocateMinor(100, [1, 1, 1])).toEqual([34, 33, 33])
+  })
+
+  it("always sums to the amount", () => {
+    const parts = allocateMinor(1001, [333, 17, 250, 1])
+    expect(parts.reduce((total, part) => total + part, 0)).toBe(1001)
+  })
+
+  it("gives nothing to zero weights", () => {
+    expect(allocateMinor(10, [0, 5])).toEqual([0, 10])
+    expect(allocateMinor(10, [0, 0])).toEqual([0, 0])
+  })
+})
+
+describe("convertMinor", () => {
+  it("converts between currencies with different minor units", () => {
+    expect(convertMinor(1000, "USD", "JPY", 150)).toBe(1500)
+    expect(convertMinor(1500, "JPY", "USD", 1 / 150)).toBe(1000)
+    expect(convertMinor(1999, "USD", "EUR", 0.92)).toBe(1839)
+  })
+})
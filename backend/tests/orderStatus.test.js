@@ -0,0 +1,57 @@
+import { jest } from "@jest/globals"
+import Order from "../src/models/Order.js"
+import { changeOrderStatus } from "../src/utils/orderStatus.js"
+
+describe("Order status transitions", () => {
+  it("moves orders forward through fulfilment", () => {
+    expect(Order.canTransition("pending", "confirmed")).toBe(true)
+    expect(Order.canTransition("confirmed", "partially_shipped")).toBe(true)
+    expect(Order.canTransition("partially_shipped", "shipped")).toBe(true)
+    expect(Order.canTransition("shipped", "delivered")).toBe(true)
+    expect(Order.canTransition("delivered", "returned")).toBe(true)
+  })
+
+  it("does not move orders backwards or skip delivery", () => {
+    expect(Order.canTransition("shipped", "processing")).toBe(false)
+    expect(Order.canTransition("delivered", "shipped")).toBe(false)
+    expect(Order.canTransition("shipped", "returned")).toBe(false)
+  })
+
+  it("keeps cancelled and returned orders final", () => {
+    for (const status of ["pending", "confirmed", "shipped", "delivered", "cancelled"]) {
+      expect(Order.canTransition("cancelled", status)).toBe(false)
+      expect(Order.canTransition("returned", status)).toBe(false)
+    }
+  })
+
+  it("allows cancelling orders that have not shipped in full", () => {
+    expect(Order.statusesTransitioningTo("cancelled")).toEqual([
+      "pending",
+      "confirmed",
+      "processing",
+      "partially_shipped",
+    ])
+  })
+
+  it("rejects unknown statuses", () => {
+    expect(Order.canTransition("lost", "pending")).toBe(false)
+    expect(Order.canTransition("pending", "lost")).toBe(false)
+  })
+
+  it("checks transitions from an order's own status", () => {
+    const order = new Order({ orderStatus: "processing" })
+    expect(order.canTransitionTo("shipped")).toBe(true)
+    expect(order.canTransitionTo("delivered")).toBe(false)
+  })
+})
+
+describe("changeOrderStatus", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("leaves marking orders returned to the return flow", async () => {
+    const findById = jest.spyOn(Order, "findById")
+
+    await expect(changeOrderStatus("64b000000000000000000001", "returned")).rejects.toMatchObject({ statusCode: 409 })
+    expect(findById).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,71 @@
+import { jest } from "@jest/globals"
+import Product from "../src/models/Product.js"
+import Promotion from "../src/models/Promotion.js"
+import { getProducts } from "../src/controllers/productController.js"
+
+const shirt = (options) =>
+  new Product({
+    name: "Shirt",
+    sku: "SHIRT",
+    price: 2000,
+    stock: 0,
+    options,
+  })
+
+describe("Product.syncVariants", () => {
+  it("generates a variant per combination of option values", () => {
+    const product = shirt([
+      { name: "Size", values: ["S", "M"] },
+      { name: "Color", values: ["Red"] },
+    ])
+    product.syncVariants()
+
+    expect(product.variants.map((variant) => variant.sku)).toEqual(["SHIRT-S-RED", "SHIRT-M-RED"])
+    expect(product.variants.every((variant) => variant.isActive)).toBe(true)
+  })
+
+  it("deactivates combinations no longer offered", () => {
+    const product = shirt([{ name: "Size", values: ["S", "M"] }])
+    product.syncVariants()
+    product.options = [{ name: "Size", values: ["M"] }]
+    product.syncVariants()
+
+    expect(product.variants.map((variant) => [variant.value, variant.isActive])).toEqual([
+      ["S", false],
+      ["M", true],
+    ])
+  })
+
+  it("deactivates every generated variant when the options are cleared", () => {
+    const product = shirt([{ name: "Size", values: ["S", "M"] }])
+    product.syncVariants()
+    product.options = []
+    product.syncVariants()
+
+    expect(product.variants).toHaveLength(2)
+    expect(product.variants.some((variant) => variant.isActive)).toBe(false)
+    expect(product.requiresVariant()).toBe(false)
+  })
+})
+
+describe("getProducts", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("counts stock held by active variants as in stock", async () => {
+    const aggregate = jest.spyOn(Product, "aggregate").mockResolvedValue([])
+    jest.spyOn(Product, "countDocuments").mockResolvedValue(0)
+    jest.spyOn(Promotion, "find").mockReturnValue({ sort: () => ({ session: () => Promise.resolve([]) }) })
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+
+    await getProducts({ query: { inStock: "true" } }, res)
+    expect(res.status).toHaveBeenCalledWith(200)
+
+    const { $expr } = aggregate.mock.calls[0][0][0].$match
+    const [productStock, variantStock] = $expr.$or
+    expect(productStock).toEqual({ $gt: [{ $subtract: ["$stock", { $ifNull: ["$reserved", 0] }] }, 0] })
+    expect(variantStock.$gt[0].$size.$filter.cond.$and).toEqual([
+      { $ne: ["$$variant.isActive", false] },
+      { $gt: [{ $subtract: ["$$variant.stock", { $ifNull: ["$$variant.reserved", 0] }] }, 0] },
+    ])
+  })
+})
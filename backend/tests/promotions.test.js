@@ -0,0 +1,147 @@
+import { jest } from "@jest/globals"
+import mongoose from "mongoose"
+import Promotion from "../src/models/Promotion.js"
+import { createPromotion } from "../src/controllers/adminController.js"
+import { applyPromotion, applyPromotions } from "../src/utils/promotions.js"
+
+const shirt = new mongoose.Types.ObjectId()
+const socks = new mongoose.Types.ObjectId()
+
+// A 10.00 shirt and 5.00 of socks
+const lines = () => [
+  { product: shirt, amount: 1000, quantity: 1 },
+  { product: socks, amount: 500, quantity: 1 },
+]
+
+const percentage = (discountPercentage, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: `${discountPercentage}% off`,
+  type: "percentage",
+  action: { discountPercentage },
+  ...fields,
+})
+
+describe("applyPromotion", () => {
+  it("discounts every line in scope", () => {
+    expect(applyPromotion(percentage(10), lines())).toEqual({
+      applied: true,
+      discountAmount: 150,
+      lineDiscounts: [100, 50],
+      freeShipping: false,
+    })
+  })
+
+  it("only discounts products the conditions cover", () => {
+    const result = applyPromotion(percentage(10, { conditions: { applicableProducts: [shirt] } }), lines())
+    expect(result.lineDiscounts).toEqual([100, 0])
+  })
+
+  it("explains why it does not apply", () => {
+    const excluded = percentage(10, { conditions: { excludedProducts: [shirt, socks] } })
+    const belowMinimum = percentage(10, { conditions: { minimumOrderAmount: 2000 } })
+
+    expect(applyPromotion(excluded, lines())).toEqual({ applied: false, reason: "no_eligible_items" })
+    expect(applyPromotion(belowMinimum, lines())).toEqual({ applied: false, reason: "below_minimum" })
+  })
+
+  it("caps the discount at the maximum and shares it out", () => {
+    const promotion = percentage(50, { action: { discountPercentage: 50, maximumDiscountAmount: 300 } })
+    const result = applyPromotion(promotion, lines())
+    expect(result.discountAmount).toBe(300)
+    expect(result.lineDiscounts).toEqual([200, 100])
+  })
+
+  it("gives the cheapest units away with buy x get y", () => {
+    const promotion = { type: "buy_x_get_y", action: { buyQuantity: 2, getQuantity: 1 } }
+    const result = applyPromotion(promotion, [
+      { product: shirt, amount: 3000, quantity: 3 },
+      { product: socks, amount: 500, quantity: 1 },
+    ])
+    expect(result.lineDiscounts).toEqual([0, 500])
+  })
+
+  it("uses the highest tier reached", () => {
+    const promotion = {
+      type: "tiered",
+      action: {
+        tiers: [
+          { minimumAmount: 1000, discountPercentage: 5 },
+          { minimumAmount: 1500, discountPercentage: 10 },
+        ],
+      },
+    }
+    expect(applyPromotion(promotion, lines()).lineDiscounts).toEqual([100, 50])
+  })
+
+  it("prices complete bundles at the bundle price", () => {
+    const promotion = {
+      type: "bundle",
+      action: {
+        bundlePrice: 1200,
+        bundleItems: [
+          { product: shirt, quantity: 1 },
+          { product: socks, quantity: 1 },
+        ],
+      },
+    }
+    const result = applyPromotion(promotion, lines())
+    expect(result.discountAmount).toBe(300)
+    expect(result.lineDiscounts).toEqual([200, 100])
+  })
+
+  it("applies free shipping without a discount", () => {
+    expect(applyPromotion({ type: "free_shipping" }, lines())).toEqual({
+      applied: true,
+      discountAmount: 0,
+      lineDiscounts: [0, 0],
+      freeShipping: true,
+    })
+  })
+})
+
+
+describe("applyPromotions", () => {
+  it("applies each promotion to what the previous ones left", () => {
+    const result = applyPromotions([percentage(10), percentage(10)], [{ product: shirt, amount: 1000, quantity: 1 }])
+    expect(result.lineDiscounts).toEqual([190])
+    expect(result.discountAmount).toBe(190)
+    expect(result.promotions.map((promotion) => promotion.discountAmount)).toEqual([100, 90])
+  })
+
+  it("stops after an exclusive promotion", () => {
+    const result = applyPromotions([percentage(10, { exclusive: true }), percentage(20)], lines())
+    expect(result.promotions).toHaveLength(1)
+    expect(result.discountAmount).toBe(150)
+  })
+
+  it("skips promotions that do not apply", () => {
+    const result = applyPromotions(
+      [percentage(10, { conditions: { minimumOrderAmount: 5000 } }), percentage(20, { combinesWithCoupons: false })],
+      lines(),
+    )
+    expect(result.promotions).toHaveLength(1)
+    expect(result.lineDiscounts).toEqual([200, 100])
+    expect(result.combinesWithCoupons).toBe(false)
+    expect(result.freeShipping).toBe(false)
+  })
+})
+
+describe("createPromotion", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("rejects rules missing the fields of their type with a 400", async () => {
+    jest.spyOn(Promotion, "create").mockImplementation((fields) => new Promotion(fields).validate())
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+
+    await createPromotion(
+      {
+        body: { name: "Spend more", type: "tiered", startDate: new Date(), endDate: new Date(Date.now() + 60000) },
+        user: { _id: new mongoose.Types.ObjectId() },
+      },
+      res,
+    )
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: "Tiered promotions need at least one tier" })
+  })
+})
@@ -0,0 +1,56 @@
+import { jest } from "@jest/globals"
+import Order from "../src/models/Order.js"
+import { lineRefundAmount, refundOrder } from "../src/utils/refunds.js"
+
+// 3 units at 10.00 with 1.00 of the order discount and 2.90 tax on the line
+const line = (refundedQuantity = 0) => ({
+  price: 1000,
+  quantity: 3,
+  discountAmount: 100,
+  taxAmount: 290,
+  refundedQuantity,
+})
+
+describe("lineRefundAmount", () => {
+  it("includes the line's discount and tax", () => {
+    expect(lineRefundAmount({ pricesIncludeTax: false }, line(), 3)).toBe(3190)
+  })
+
+  it("leaves out tax already included in prices", () => {
+    expect(lineRefundAmount({ pricesIncludeTax: true }, line(), 3)).toBe(2900)
+  })
+
+  it("adds up to the line total when refunded unit by unit", () => {
+    const order = { pricesIncludeTax: false }
+    const amounts = [0, 1, 2].map((refunded) => lineRefundAmount(order, line(refunded), 1))
+
+    expect(amounts).toEqual([1063, 1064, 1063])
+    expect(amounts.reduce((total, amount) => total + amount, 0)).toBe(3190)
+  })
+
+  it("prices the remaining units after a partial refund", () => {
+    const order = { pricesIncludeTax: false }
+    expect(lineRefundAmount(order, line(), 1) + lineRefundAmount(order, line(1), 2)).toBe(3190)
+  })
+})
+
+describe("refundOrder", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("refuses to refund an order another refund has claimed", async () => {
+    const updateOne = jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 0 })
+    const order = new Order({ paymentStatus: "paid", totalAmount: 5000, refundAmount: 1000 })
+
+    await expect(refundOrder(order, { amount: 500 })).rejects.toMatchObject({ statusCode: 409 })
+    expect(updateOne).toHaveBeenCalledTimes(1)
+    expect(updateOne.mock.calls[0][0]).toMatchObject({ _id: order._id, refundAmount: 1000 })
+  })
+
+  it("never refunds more than is left", async () => {
+    const updateOne = jest.spyOn(Order, "updateOne")
+    const order = new Order({ paymentStatus: "partially_refunded", totalAmount: 5000, refundAmount: 4500 })
+
+    await expect(refundOrder(order, { amount: 600 })).rejects.toMatchObject({ statusCode: 400 })
+    expect(updateOne).not.toHaveBeenCalled()
+  })
+})
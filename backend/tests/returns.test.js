@@ -0,0 +1,64 @@
+import { jest } from "@jest/globals"
+import mongoose from "mongoose"
+import Order from "../src/models/Order.js"
+import ReturnRequest from "../src/models/ReturnRequest.js"
+import { getReturnableQuantities, isFullyReturned } from "../src/utils/returns.js"
+
+// Two lines of 2 units; the first had one unit refunded without a return
+const order = new Order({
+  items: [
+    { product: new mongoose.Types.ObjectId(), name: "Shirt", price: 2000, quantity: 2, refundedQuantity: 1 },
+    { product: new mongoose.Types.ObjectId(), name: "Socks", price: 500, quantity: 2 },
+  ],
+})
+const [shirt, socks] = order.items
+
+// Return requests as stored, filtered the way the query filters them
+const mockReturns = (returns) =>
+  jest.spyOn(ReturnRequest, "find").mockImplementation(async (filter) =>
+    returns.filter(
+      (returnRequest) =>
+        filter.status.$in.includes(returnRequest.status) && (!filter.refund || returnRequest.refund != null),
+    ),
+  )
+
+const received = (items, refund = null) => ({ status: "received", items, refund })
+
+describe("getReturnableQuantities", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("leaves out units refunded without a return", async () => {
+    mockReturns([])
+    const returnable = await getReturnableQuantities(order)
+
+    expect(returnable.get(shirt._id.toString())).toBe(1)
+    expect(returnable.get(socks._id.toString())).toBe(2)
+  })
+
+  it("keeps units whose refund came with their return", async () => {
+    mockReturns([received([{ item: shirt._id, quantity: 1 }], new mongoose.Types.ObjectId())])
+    expect((await getReturnableQuantities(order)).get(shirt._id.toString())).toBe(2)
+  })
+})
+
+describe("isFullyReturned", () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it("is true once every unit not refunded otherwise has come back", async () => {
+    mockReturns([
+      received([
+        { item: shirt._id, quantity: 1 },
+        { item: socks._id, quantity: 2 },
+      ]),
+    ])
+    expect(await isFullyReturned(order)).toBe(true)
+  })
+
+  it("is false while units are still out", async () => {
+    mockReturns([
+      received([{ item: socks._id, quantity: 2 }]),
+      { status: "approved", items: [{ item: shirt._id, quantity: 1 }] },
+    ])
+    expect(await isFullyReturned(order)).toBe(false)
+  })
+})
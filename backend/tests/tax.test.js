@@ -0,0 +1,79 @@
+import { jest } from "@jest/globals"
+import TaxRate from "../src/models/TaxRate.js"
+import { calculateTax } from "../src/utils/tax.js"
+
+const taxRate = (taxClass, rate, specificity = 1) => ({
+  _id: `${taxClass}-${rate}`,
+  name: `${taxClass} ${rate}%`,
+  taxClass,
+  rate,
+  specificity,
+  matchesAddress: () => true,
+})
+
+const address = { country: "us", state: "CA" }
+
+describe("calculateTax", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(TaxRate, "find")
+      .mockResolvedValue([taxRate("standard", 5), taxRate("standard", 10, 2), taxRate("shipping", 5)])
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    delete process.env.PRICES_INCLUDE_TAX
+  })
+
+  it("taxes each line after its discount with the most specific rate", async () => {
+    const result = await calculateTax({
+      lines: [
+        { price: 1000, quantity: 2, taxClass: "standard", discount: 200 },
+        { price: 500, quantity: 1, taxable: false },
+      ],
+      address,
+    })
+
+    expect(TaxRate.find).toHaveBeenCalledWith({ country: "US", isActive: true })
+    expect(result.lines).toEqual([
+      { taxAmount: 180, taxRate: 10 },
+      { taxAmount: 0, taxRate: 0 },
+    ])
+    expect(result.taxAmount).toBe(180)
+    expect(result.breakdown).toHaveLength(1)
+    expect(result.breakdown[0]).toMatchObject({ taxClass: "standard", rate: 10, taxableAmount: 1800, taxAmount: 180 })
+  })
+
+  it("taxes shipping at the shipping rate", async () => {
+    const result = await calculateTax({
+      lines: [{ price: 1000, quantity: 1, taxClass: "standard" }],
+      shippingAmount: 1000,
+      address,
+    })
+
+    expect(result.shippingTax).toBe(50)
+    expect(result.taxAmount).toBe(150)
+    expect(result.breakdown.find((entry) => entry.shipping)).toMatchObject({ taxableAmount: 1000, taxAmount: 50 })
+  })
+
+  it("extracts tax from tax-inclusive prices", async () => {
+    process.env.PRICES_INCLUDE_TAX = "true"
+    const result = await calculateTax({
+      lines: [{ price: 1000, quantity: 2, taxClass: "standard", discount: 200 }],
+      shippingAmount: 1000,
+      address,
+    })
+
+    expect(result.pricesIncludeTax).toBe(true)
+    expect(result.lines[0].taxAmount).toBe(164)
+    expect(result.shippingTax).toBe(48)
+  })
+
+  it("charges no tax without a country", async () => {
+    const result = await calculateTax({ lines: [{ price: 1000, quantity: 1 }], shippingAmount: 500, address: {} })
+
+    expect(TaxRate.find).not.toHaveBeenCalled()
+    expect(result.taxAmount).toBe(0)
+    expect(result.breakdown).toEqual([])
+  })
+})